@@ -19,7 +19,19 @@ const details = () => ({
 			name: 'codecsToConvert',
 			type: 'string',
 			defaultValue: 'truehd,eac3,dts',
-			tooltip: 'Comma-separated list of codecs to convert.',
+			tooltip: 'Comma-separated list of codecs to convert (e.g., `truehd,eac3,dts`). Use `*` for all codecs, or prefix a codec with `!` to convert all codecs except this one (e.g., `!aac,!ac3`).',
+		},
+		{
+			name: 'sampleRatesToConvert',
+			type: 'string',
+			defaultValue: '*',
+			tooltip: 'Comma-separated list of sample rate selectors in Hz (`*`, `N`, `<N`, `<=N`, `>N` or `>=N`), all of which the tracks to convert must meet (e.g., `>48000` to only convert high resolution tracks). `*` = all sample rates.',
+		},
+		{
+			name: 'bitDepthsToConvert',
+			type: 'string',
+			defaultValue: '*',
+			tooltip: 'Comma-separated list of bit depth selectors (`*`, `N`, `<N`, `<=N`, `>N` or `>=N`), all of which the tracks to convert must meet (e.g., `24`), compared to ffprobe\'s bits_per_raw_sample. Lossy tracks have no bit depth, and only match `*`. `*` = all bit depths.',
 		},
 		{
 			name: 'targetCodec',
@@ -62,13 +74,43 @@ const details = () => ({
 					'8',
 				],
 			},
-			tooltip: 'Maximum number of channels. -1 = same as original track. AC3 is already limited internally to 6 channels, and MP3 to 2.',
+			tooltip: 'Maximum number of channels. -1 = same as original track. Channels are already limited internally to what the target codec supports (e.g., 6 for AC3 and E-AC3, 2 for MP3).',
+		},
+		{
+			name: 'downmix',
+			type: 'string',
+			defaultValue: 'default',
+			inputUI: {
+				type: 'dropdown',
+				options: [
+					'default',
+					'itu',
+					'dplii',
+					'dialogue',
+					'night',
+				],
+			},
+			tooltip: 'Matrix used when the transcoded track has fewer channels than the original track. "default" = ffmpeg\'s default downmix, "itu" = ITU-R BS.775 standard, "dplii" = Dolby Pro Logic II style (stereo only), "dialogue" = center channel boost, "night" = center channel boost and dynamic range compression. Supports 5.0, 5.1, 5.1(side), 6.1, 7.1 and 7.1(wide) sources downmixed to mono, stereo or 5.1, and falls back to ffmpeg\'s default downmix otherwise.',
 		},
 		{
 			name: 'maxBitrate',
 			type: 'int',
 			defaultValue: '-1',
-			tooltip: 'Maximum bitrate in bps. -1 = keep the original track bitrate. AC3 is already limited internally to 640kbps, and MP3 to 320kbps.',
+			tooltip: 'Maximum bitrate in bps. -1 = keep the original track bitrate. Bitrates are already fitted internally to what the target codec supports for the number of channels (e.g., AC3 bitrates up to 640kbps, MP3 up to 320kbps), and ignored for lossless codecs.',
+		},
+		{
+			name: 'bitrateMode',
+			type: 'string',
+			defaultValue: 'source',
+			inputUI: {
+				type: 'dropdown',
+				options: [
+					'source',
+					'per_channel',
+					'quality',
+				],
+			},
+			tooltip: 'How the bitrate of the transcoded tracks is chosen: "source" = the original track bitrate (losslessDefaultBitrate for lossless tracks), "per_channel" = bitratePerChannel times the output channels, so that 7.1 and stereo tracks get proportionate bitrates, "quality" = the target codec\'s native VBR mode with the given quality. maxBitrate applies to all modes.',
 		},
 		{
 			name: 'losslessDefaultBitrate',
@@ -76,6 +118,85 @@ const details = () => ({
 			defaultValue: '640000',
 			tooltip: 'Bitrate to default to when original audio track is in a lossless format, in bps.',
 		},
+		{
+			name: 'bitratePerChannel',
+			type: 'int',
+			defaultValue: '96000',
+			tooltip: 'When bitrateMode is "per_channel", the bitrate per output channel in bps (e.g., 96000 gives 192kbps for stereo and 576kbps for 5.1), then fitted to the target codec\'s supported bitrates.',
+		},
+		{
+			name: 'quality',
+			type: 'string',
+			defaultValue: '',
+			tooltip: 'When bitrateMode is "quality", the VBR quality on the target codec\'s native scale, replacing the bitrate: `-q:a` for libmp3lame (0 to 9, lower is better), libvorbis (-1 to 10) and aac (0.1 to 2), `-vbr` for libfdk_aac (1 to 5), and the compression level for flac (0 to 12) and libopus (0 to 10, the bitrate remaining the VBR target). Clamped to the codec\'s range. Codecs without VBR mode (e.g., AC3) fall back to the "source" mode.',
+		},
+		{
+			name: 'sampleRate',
+			type: 'int',
+			defaultValue: '-1',
+			tooltip: 'Sample rate of the transcoded tracks in Hz (e.g., 48000). -1 = same as original track. Sample rates are snapped internally to the closest one the target codec supports, preferably of the same family (e.g., 96000 becomes 48000 and 88200 becomes 44100 for AC3), which also applies to the original sample rate.',
+		},
+		{
+			name: 'sampleFormat',
+			type: 'string',
+			defaultValue: '',
+			tooltip: 'ffmpeg sample format of the transcoded tracks (e.g., `s16` for 16 bits, `s32` for 24 and 32 bits, `fltp` for planar floats). Empty = let ffmpeg choose. Snapped internally to the closest sample format the target codec supports (e.g., `s16` becomes `s16p` for ALAC).',
+		},
+		{
+			name: 'resampler',
+			type: 'string',
+			defaultValue: 'swr',
+			inputUI: {
+				type: 'dropdown',
+				options: [
+					'swr',
+					'soxr',
+				],
+			},
+			tooltip: 'Resampler converting the sample rate and format, when they are: "swr" = ffmpeg\'s default resampler, "soxr" = the SoX resampler, of higher quality (with a 28 bits precision).',
+		},
+		{
+			name: 'dither',
+			type: 'string',
+			defaultValue: 'default',
+			inputUI: {
+				type: 'dropdown',
+				options: [
+					'default',
+					'rectangular',
+					'triangular',
+					'triangular_hp',
+					'lipshitz',
+					'shibata',
+					'low_shibata',
+					'high_shibata',
+					'f_weighted',
+					'e_weighted',
+					'modified_e_weighted',
+				],
+			},
+			tooltip: 'Dither method applied when the bit depth is reduced (e.g., 24 bits FLAC to `s16`). "default" = no dithering, "triangular" is a safe choice, and "shibata" variants use noise shaping.',
+		},
+		{
+			name: 'incompatibleContainer',
+			type: 'string',
+			defaultValue: 'skip',
+			inputUI: {
+				type: 'dropdown',
+				options: [
+					'skip',
+					'fallback',
+					'switch_to_mkv',
+				],
+			},
+			tooltip: 'What to do when the file\'s container can\'t hold the target codec (e.g., TrueHD or Vorbis in MP4, Opus in AVI). "skip" = skip the file, "fallback" = transcode to containerFallbackCodec instead, "switch_to_mkv" = switch the output container to MKV (text subtitles are converted, other subtitles MKV can\'t hold are dropped).',
+		},
+		{
+			name: 'containerFallbackCodec',
+			type: 'string',
+			defaultValue: 'aac',
+			tooltip: 'When incompatibleContainer is "fallback", the codec to transcode to when the file\'s container can\'t hold the target codec.',
+		},
 		{
 			name: 'overwriteTrack',
 			type: 'boolean',
@@ -89,12 +210,71 @@ const details = () => ({
 			},
 			tooltip: 'Whether to overwrite the original audio track with the transcoded track (true), or add the transcoded audio track after the original audio track (false)',
 		},
+		{
+			name: 'skipExistingTargetTracks',
+			type: 'boolean',
+			defaultValue: 'false',
+			inputUI: {
+				type: 'dropdown',
+				options: [
+					'true',
+					'false',
+				],
+			},
+			tooltip: 'Whether to skip adding a transcoded track when the file already has another audio track in the target codec, in the same language and with the same number of channels as the track that would be added (true), or always add it (false)',
+		},
+		{
+			name: 'dropStreams',
+			type: 'string',
+			defaultValue: '',
+			tooltip: 'Comma-separated list of the streams and data to drop, everything being kept by default: `attachments` (e.g., fonts used by ASS subtitles), `data` (e.g., timecodes), `chapters`, `metadata` (the file\'s global metadata) and `attachedPictures` (cover art). E.g., `chapters,attachedPictures`. Streams the output container can\'t hold are dropped as well, and every dropped stream is logged.',
+		},
+		{
+			name: 'electDefaultTrack',
+			type: 'boolean',
+			defaultValue: 'false',
+			inputUI: {
+				type: 'dropdown',
+				options: [
+					'true',
+					'false',
+				],
+			},
+			tooltip: 'Whether to make sure the output file has exactly one default audio track (true), or leave the dispositions untouched (false). Commentary, hearing impaired and visual impaired tracks are avoided, then tracks are preferred by language (defaultTrackLanguages), codec (defaultTrackCodecs), and channels count (more is better). The election is explained in the log.',
+		},
+		{
+			name: 'defaultTrackLanguages',
+			type: 'string',
+			defaultValue: '',
+			tooltip: 'When electDefaultTrack is true, comma-separated list of the preferred languages of the default track, in order (e.g., `fre,eng`). ISO 639 codes of a language are equivalent (e.g., `fr`, `fre` and `fra`), and `original` stands for the language of the first audio track flagged "original", or of the first audio track.',
+		},
+		{
+			name: 'defaultTrackCodecs',
+			type: 'string',
+			defaultValue: '',
+			tooltip: 'When electDefaultTrack is true, comma-separated list of the preferred codecs of the default track, in order (e.g., `ac3,eac3`).',
+		},
+		{
+			name: 'watermark',
+			type: 'string',
+			defaultValue: 'copyright',
+			inputUI: {
+				type: 'dropdown',
+				options: [
+					'copyright',
+					'tag',
+					'disabled',
+				],
+			},
+			tooltip: 'Where to mark the file as processed, so that the same tracks aren\'t added again: "copyright" = in the file\'s copyright metadata, next to the actual copyright, "tag" = in the dedicated "TDARR_WATERMARK" metadata tag, "disabled" = nowhere. Previous marks of this plugin are replaced.',
+		},
 	],
 });
 
 // Plugin logic (functionality)
 const plugin = (file, libraryOptions, inputs) => {
 	const lib = require('../methods/lib')();
+	const rules = require('./lib/audio_rules');
 	// eslint-disable-next-line @typescript-eslint/no-unused-vars,no-param-reassign
 	inputs = lib.loadDefaultValues(inputs, details);
 	const response = {
@@ -106,32 +286,92 @@ const plugin = (file, libraryOptions, inputs) => {
 	};
 
 	// Log utility function
-	function log(entry) {
-		console.log(entry);
-		response.infoLog += entry + "\n";
-	}
+	const log = rules.createLogger(response);
 	
 	log(`--- Starting Add Transcoded Audio Tracks plugin on ${file.file} ...`);
 
 	// Retrieve the list of codecs to convert and the target codec from the inputs
-	const codecsToConvert = inputs.codecsToConvert.split(',').map(c => c.trim().toLowerCase());
-	const targetCodec = inputs.targetCodec === 'custom' ? inputs.customTargetCodec : inputs.targetCodec;
+	const codecsToConvert = inputs.codecsToConvert.split(',').map(c => c.trim().toLowerCase()).filter(c => c !== '');
+	const selectedCodec = inputs.targetCodec === 'custom' ? inputs.customTargetCodec : inputs.targetCodec;
 	const maxChannels = inputs.maxChannels;
 	const maxBitrate = inputs.maxBitrate;
+	const downmix = inputs.downmix;
 	const losslessDefaultBitrate = inputs.losslessDefaultBitrate;
-	const overwriteTrack = inputs.overwriteTrack === 'true';
-	
-	const pluginWatermark = `[Tdarr:add_transcoded_audio_tracks:${details().Version}:${codecsToConvert.join('|')}:${targetCodec}]`;
-	
-	// Define limitations for specific codecs
-	const codecChannelsLimits = {
-		ac3: 6, // AC3 maximum channels is 6
-		mp3: 2, // AC3 maximum channels is 6
+	const bitratePerChannel = inputs.bitratePerChannel;
+	const qualityInput = String(inputs.quality).trim();
+	const sampleRatesToConvert = inputs.sampleRatesToConvert.split(',').map(s => s.trim()).filter(s => s !== '');
+	const bitDepthsToConvert = inputs.bitDepthsToConvert.split(',').map(s => s.trim()).filter(s => s !== '');
+	const sampleRateInput = inputs.sampleRate;
+	const sampleFormatInput = inputs.sampleFormat.trim();
+	const resampler = {
+		engine: inputs.resampler !== 'swr' ? inputs.resampler : undefined,
+		precision: inputs.resampler === 'soxr' ? 28 : undefined,
+		dither: inputs.dither !== 'default' ? inputs.dither : undefined,
 	};
-	const codecBitrateLimits = {
-		ac3: 640000, // AC3 maximum bitrate is 640 kbps
-		mp3: 320000, // MP3 maximum bitrate is 320 kbps
+	const containerPolicy = {
+		skip: { action: 'skip' },
+		fallback: { action: 'fallback', codec: inputs.containerFallbackCodec },
+		switch_to_mkv: { action: 'switch', container: 'mkv' },
+	}[inputs.incompatibleContainer];
+	const droppedStreams = Object.fromEntries(inputs.dropStreams.split(',').map(t => t.trim()).filter(t => t !== '').map(t => [t, 'drop']));
+	const streamsPolicy = rules.getStreamsPolicy(droppedStreams);
+	const overwriteTrack = inputs.overwriteTrack === 'true';
+	const skipExistingTargetTracks = inputs.skipExistingTargetTracks === 'true';
+	const electDefaultTrack = inputs.electDefaultTrack === 'true';
+	const defaultTrackPolicy = {
+		languages: inputs.defaultTrackLanguages.split(',').map(l => l.trim()).filter(l => l !== ''),
+		codecs: inputs.defaultTrackCodecs.split(',').map(c => rules.getEncoderCodecName(c.trim())).filter(c => c !== ''),
 	};
+	
+	// The watermark covers every input affecting the output, so that files are processed again when one of them changes
+	const pluginWatermark = rules.getPluginWatermark('add_transcoded_audio_tracks', details().Version, {
+		codecs: codecsToConvert,
+		sampleRates: sampleRatesToConvert,
+		bitDepths: bitDepthsToConvert,
+		codec: selectedCodec,
+		maxChannels,
+		downmix: downmix !== 'default' ? downmix : undefined,
+		maxBitrate,
+		bitrateMode: inputs.bitrateMode,
+		bitratePerChannel: inputs.bitrateMode === 'per_channel' ? bitratePerChannel : undefined,
+		quality: inputs.bitrateMode === 'quality' ? qualityInput : undefined,
+		losslessDefaultBitrate,
+		sampleRate: sampleRateInput,
+		sampleFormat: sampleFormatInput,
+		resampler,
+		containerPolicy,
+		overwriteTrack,
+		skipExistingTargetTracks,
+		droppedStreams,
+		defaultTrackPolicy: electDefaultTrack ? defaultTrackPolicy : undefined,
+	});
+	const watermarkMode = inputs.watermark;
+
+	// Check the sample rates and bit depths selectors
+	const selectorsError = rules.validateMatch({ sampleRate: sampleRatesToConvert, bitDepth: bitDepthsToConvert });
+	if (selectorsError) {
+		log(`Invalid sampleRatesToConvert or bitDepthsToConvert: ${selectorsError}`);
+		return response;
+	}
+
+	// Check the VBR quality
+	if (inputs.bitrateMode === 'quality' && (qualityInput === '' || isNaN(Number(qualityInput)))) {
+		log(`Invalid quality "${qualityInput}": expected a number on the target codec's VBR quality scale`);
+		return response;
+	}
+
+	// Check the sample format
+	if (sampleFormatInput !== '' && rules.getSampleFormatBits(sampleFormatInput) === undefined) {
+		log(`Invalid sampleFormat "${sampleFormatInput}": expected an ffmpeg sample format (e.g., s16, s32, fltp)`);
+		return response;
+	}
+
+	// Check the streams to drop
+	const streamsPolicyError = rules.validateStreamsPolicy(droppedStreams);
+	if (streamsPolicyError) {
+		log(`Invalid dropStreams: ${streamsPolicyError}`);
+		return response;
+	}
 
 	// Check if the file is valid for processing
 	log("Checking for ffProbeData...");
@@ -141,15 +381,29 @@ const plugin = (file, libraryOptions, inputs) => {
 	}
 
 	// Check plugin didn't process the file already
-	let copyrightData = file.ffProbeData.format && file.ffProbeData.format.tags && file.ffProbeData.format.tags.COPYRIGHT || '';
-	if (copyrightData.includes(pluginWatermark)) {
+	if (rules.hasWatermark(file, pluginWatermark, watermarkMode)) {
 		log('Plugin watermark found -> file already processed. Aborting.');
 		return response;
 	}
 
+	// Check ffmpeg can encode to the target codec, falling back to another codec if the container can't hold it
+	const targetCodec = rules.getContainerCodec(selectedCodec, file.container, containerPolicy, log);
+	const encoderError = rules.getEncoderError(targetCodec);
+	if (encoderError) {
+		log(`Invalid target codec: ${encoderError}`);
+		return response;
+	}
+	const losslessTarget = rules.isLosslessEncoder(targetCodec);
+	let bitrateMode = inputs.bitrateMode;
+	const qualityControl = rules.getQualityControl(targetCodec);
+	if (bitrateMode === 'quality' && !qualityControl) {
+		log(`${targetCodec} has no VBR mode, using the source bitrate instead of the quality`);
+		bitrateMode = 'source';
+	}
+
 	// Extract audio tracks data
 	log("FFProbeData present, extracting audio tracks data...");
-	const audioTracks = file.ffProbeData.streams.filter(stream => stream.codec_type === 'audio');
+	const audioTracks = rules.getAudioTracks(file);
 	if (audioTracks.length === 0) {
 		log('No audio tracks, nothing to do');
 		return response;
@@ -157,94 +411,146 @@ const plugin = (file, libraryOptions, inputs) => {
 	log(audioTracks.length + " audio tracks");
 	
 	// Check each audio track
-	const audioTracksCommands = [];
-	let inputAudioTrackIndex = -1;
-	let outputAudioTrackIndex = -1;
+	const matchContext = rules.getMatchContext(file);
+	const outputTracks = [];
 	let requireTranscode = false;
-	audioTracks.forEach((track) => {
-		inputAudioTrackIndex += 1;
-		outputAudioTrackIndex += 1;
+	audioTracks.forEach((track, inputAudioTrackIndex) => {
 		
 		// Transcode track if needed
-		if (codecsToConvert.includes(track.codec_name.toLowerCase())) {
+		if (codecsToConvert.length > 0 && rules.trackMatches(track, { codecs: codecsToConvert, sampleRate: sampleRatesToConvert, bitDepth: bitDepthsToConvert })) {
 			log(`Track ${inputAudioTrackIndex} is in a codec to convert (${track.codec_name.toUpperCase()})`);
-			requireTranscode = true;
 			
 			// Prepare transcoded track parameters
 			let bitrate = track.bit_rate ? parseInt(track.bit_rate) : losslessDefaultBitrate; // Default to losslessDefaultBitrate if bitrate is undefined
 			let channels = track.channels || 2; // Default to stereo if channels are undefined
-			const lang = track.tags && track.tags.language ? track.tags.language : 'und';
+			const lang = rules.getTrackLanguage(track);
 
 			// Adjust based on codec limitations
-			if(codecChannelsLimits[targetCodec] && channels > codecChannelsLimits[targetCodec]) {
-				log(`Downmixing to ${codecChannelsLimits[targetCodec]}ch from ${channels}ch since ${targetCodec} limits channels to ${codecChannelsLimits[targetCodec]}`);
-				channels = codecChannelsLimits[targetCodec];
-			}
-			if (codecBitrateLimits[targetCodec] && bitrate > codecBitrateLimits[targetCodec]) {
-				log(`Limiting bitrate to ${codecBitrateLimits[targetCodec]}bps from ${bitrate}bps since ${targetCodec} limits bitrate to ${codecBitrateLimits[targetCodec]}`);
-				bitrate = codecBitrateLimits[targetCodec];
+			const codecChannelsLimit = rules.limitChannels(targetCodec, channels);
+			if(codecChannelsLimit !== channels) {
+				log(`Downmixing to ${codecChannelsLimit}ch from ${channels}ch since ${targetCodec} doesn't support ${channels} channels`);
+				channels = codecChannelsLimit;
 			}
 
 			// Adjust based on user-specified limitations
 			if(maxChannels > 0 && channels > maxChannels) {
 				log(`Limiting channels to ${maxChannels}ch as stipulated by the user.`);
-				channels = maxChannels;
+				channels = rules.limitChannels(targetCodec, maxChannels);
+			}
+			// Remap the channels to a layout the target codec accepts, when it doesn't accept the original one
+			const channelLayout = rules.getOutputChannelLayout(targetCodec, track, channels) || undefined;
+			if(channelLayout) {
+				log(`Remapping the channels to the ${channelLayout} layout since ${targetCodec} doesn't support the ${rules.getTrackChannelLayout(track) || 'unknown'} layout`);
+			}
+
+			if(bitrateMode === 'per_channel') {
+				bitrate = bitratePerChannel * channels;
+				log(`Setting bitrate to ${bitrate}bps for ${channels} channels (${bitratePerChannel}bps per channel)`);
 			}
 			if(maxBitrate > 0 && bitrate > maxBitrate) {
 				log(`Limiting bitrate to ${maxBitrate}bps as stipulated by the user.`);
 				bitrate = maxBitrate;
 			}
+
+			// Set the VBR quality, fitted to the target codec's range
+			let quality;
+			if(bitrateMode === 'quality') {
+				quality = rules.limitQuality(targetCodec, Number(qualityInput));
+				log(quality !== Number(qualityInput) ? `Adjusting VBR quality to ${quality} from ${qualityInput} to fit ${targetCodec} quality range` : `Using VBR quality ${quality}`);
+			}
+
+			// Fit the bitrate to the ones the target codec supports for the channels count
+			if(losslessTarget || (quality !== undefined && !qualityControl.bitrateTarget)) {
+				bitrate = null;
+			}
+			else {
+				const codecBitrate = rules.limitBitrate(targetCodec, bitrate, channels);
+				if(codecBitrate !== bitrate) {
+					log(`Adjusting bitrate to ${codecBitrate}bps from ${bitrate}bps to fit ${targetCodec} supported bitrates for ${channels} channels`);
+					bitrate = codecBitrate;
+				}
+			}
+			
+			// Fit the sample rate and format to the ones the target codec supports
+			const sourceSampleRate = sampleRateInput > 0 ? sampleRateInput : track.sample_rate;
+			let sampleRate = sourceSampleRate ? rules.limitSampleRate(targetCodec, sourceSampleRate) : sourceSampleRate;
+			if(sampleRate !== sourceSampleRate) {
+				log(`Adjusting sample rate to ${sampleRate}Hz from ${sourceSampleRate}Hz to fit ${targetCodec} supported sample rates`);
+			}
+			sampleRate = sampleRateInput > 0 || sampleRate !== sourceSampleRate ? parseInt(sampleRate) : undefined;
+			let sampleFormat;
+			if(sampleFormatInput !== '') {
+				sampleFormat = rules.limitSampleFormat(targetCodec, sampleFormatInput);
+				if(sampleFormat !== sampleFormatInput) log(`Adjusting sample format to ${sampleFormat} from ${sampleFormatInput} to fit ${targetCodec} supported sample formats`);
+			}
+
+			// Skip the track if the file already has an equivalent one
+			if(skipExistingTargetTracks && !rules.trackMatches(track, { noOtherTrack: { codecs: rules.getEncoderCodecName(targetCodec), channels: `${channels}`, sameLanguage: true } }, matchContext)) {
+				log(`The file already has a ${targetCodec.toUpperCase()} ${channels}ch track in language ${lang}, copying the original track`);
+				outputTracks.push({ inputIndex: inputAudioTrackIndex, track, codec: 'copy' }); // Copy the original audio track
+				return;
+			}
+			requireTranscode = true;
 			
+			// Downmix with the selected matrix
+			let filters;
+			if(downmix !== 'default' && channels < track.channels) {
+				const downmixError = rules.getDownmixError(track, channels, downmix);
+				if(downmixError) {
+					log(`Ignoring the "${downmix}" downmix: ${downmixError}`);
+				}
+				else {
+					filters = rules.getDownmixFilters(track, channels, downmix);
+					log(`Downmixing with the "${downmix}" matrix`);
+				}
+			}
+
+			// Remap the channels, then resample with the selected resampler and dither method
+			if(channelLayout) {
+				filters = rules.composeFilters(filters, rules.getChannelLayoutFilter(channelLayout));
+			}
+			if(resampler.engine || resampler.dither) {
+				filters = rules.composeFilters(filters, rules.getResampleFilter(resampler, sampleRate, sampleFormat)) || undefined;
+			}
+
 			// Prepare track title
-			const title = (track.tags && track.tags.title ? track.tags.title + ' -> ' : lang.toUpperCase() + ' ') + `${targetCodec.toUpperCase()} ${channels}ch ${bitrate/1000}kbps [Auto]`;
+			const title = rules.getNewTrackTitle(track, null, (track.tags && track.tags.title ? '{title} -> ' : '{LANG} ') + '{o_CODEC} {o_channels}ch' + (losslessTarget ? '' : '{#o_bitrate} {o_bitrate_kbps}kbps{/o_bitrate}{#o_quality} VBR q{o_quality}{/o_quality}') + ' [Auto]', { codec: targetCodec, channels, channelLayout, bitrate, quality, sampleRate });
 
 			// Copy original track if no overwrite required
 			if(!overwriteTrack) {
 				log('Copying original audio track');
-				audioTracksCommands.push(`-map 0:a:${inputAudioTrackIndex} -c:a:${outputAudioTrackIndex} copy`); // Copy the original audio track
-				outputAudioTrackIndex += 1;
+				outputTracks.push({ inputIndex: inputAudioTrackIndex, track, codec: 'copy' }); // Copy the original audio track
 			}
 			
-			// Create ffmpeg command to add the target codec track
+			// Add the target codec track
 			log('Adding transcoded audio track');
-			audioTracksCommands.push(`-map 0:a:${inputAudioTrackIndex}`); // Map the original audio track
-			audioTracksCommands.push(`-c:a:${outputAudioTrackIndex} ${targetCodec}`); // Set the new track's target codec
-			audioTracksCommands.push(`-b:a:${outputAudioTrackIndex} ${bitrate}`); // Set bitrate
-			audioTracksCommands.push(`-ac:a:${outputAudioTrackIndex} ${channels}`); // Set channels
-			audioTracksCommands.push(`-metadata:s:a:${outputAudioTrackIndex} 'language=${lang}'`); // Set language
-			audioTracksCommands.push(`-metadata:s:a:${outputAudioTrackIndex} "title=${title}"`); // Set track title
+			outputTracks.push({ inputIndex: inputAudioTrackIndex, track, codec: targetCodec, bitrate, quality, channels, channelLayout, sampleRate, sampleFormat, language: lang, title, filters, containerPolicy });
 		}
 		else { // -> copy the original track
 			log(`Track ${inputAudioTrackIndex} doesn't require transcoding (${track.codec_name.toUpperCase()}), copying the original track`);
-			audioTracksCommands.push(`-map 0:a:${inputAudioTrackIndex} -c:a:${outputAudioTrackIndex} copy`); // Copy the original audio track
+			outputTracks.push({ inputIndex: inputAudioTrackIndex, track, codec: 'copy' }); // Copy the original audio track
 		}
 	});
 
-	// If new audio tracks were created, build the ffmpeg command
-	if (requireTranscode) {
-		response.processFile = true;
+	// Make the output tracks fit the container
+	const containerCheck = rules.applyContainerPolicies(outputTracks, file.container, log);
+	const containerSwitched = containerCheck.container !== file.container.toLowerCase();
+	if (containerSwitched) response.container = `.${containerCheck.container}`;
 
-		// --- FIX FOR UNSUPPORTED SUBTITLES ---
-		// We only map subtitle streams that have a valid codec name identified by FFprobe.
-		const subtitleStreams = file.ffProbeData.streams.filter(s => s.codec_type === 'subtitle');
-		let subtitleCommands = '';
-
-		subtitleStreams.forEach((s, idx) => {
-			if (s.codec_name && s.codec_name !== 'none') {
-				subtitleCommands += `-map 0:s:${idx} -c:s:${idx} copy `;
-			} else {
-				log(` -> Subtitle track ${s.index}: Missing codec name. Skipping to prevent crash.`);
-			}
-		});
-
-		if (subtitleCommands === '') { subtitleCommands = '-sn '; }
-		// ----------------------------------------
+	// Elect the default track
+	if (electDefaultTrack && rules.applyDefaultTrackPolicy(outputTracks, defaultTrackPolicy, log, matchContext.originalLanguage)) requireTranscode = true;
 
+	// If new audio tracks were created, build the ffmpeg command
+	if (containerCheck.skip) {
+		log(`Skipping the file: ${containerCheck.skip}`);
+	} else if (requireTranscode) {
+		response.processFile = true;
 		response.preset = ',' + 
-			'-map 0:v -c:v copy ' + // Copy video stream without re-encoding
-			audioTracksCommands.join(' ') + ' ' + // Add audio tracks
-			subtitleCommands + // Add subtitles
-			'-metadata "copyright=' + copyrightData + pluginWatermark + '"'; // Add plugin watermark
+			rules.getVideoCommands(file, streamsPolicy, containerCheck.container, log) + // Copy video streams without re-encoding
+			rules.getAudioTracksCommands(outputTracks) + ' ' + // Add audio tracks
+			rules.getSubtitlesCommands(file, log, containerSwitched ? containerCheck.container : undefined) + // Add subtitles
+			rules.getPreservedStreamsCommands(file, streamsPolicy, containerCheck.container, log) + // Keep or drop attachments, data streams, chapters and metadata
+			rules.getWatermarkCommand(file, pluginWatermark, watermarkMode, containerCheck.container); // Add plugin watermark
 	} else {
 		log("Nothing to convert.");
 	}
@@ -33,42 +33,141 @@ const details = () => ({
             ⠀- "operations" : defines the list of operations to apply to audio tracks that matches. Leaving the "operations" array empty will remove the track from the original file. 
                               Use "copy" operation to keep a copy of the original track.\\n
             ⠀- "name" : (optional) the name of the rule, used for logging and useful to keep track of what exactly a rule does.\\n
+            ⠀- "containerPolicy" : (optional) what to do when the file's container can't hold a codec the rule transcodes to (e.g., TrueHD or Vorbis in MP4, Opus in AVI). Skips the file when omitted:\\n
+            ⠀    ⠀- {"action": "fallback", "codec": "aac"} : transcodes to the fallback codec instead.\\n
+            ⠀    ⠀- {"action": "switch", "container": "mkv"} : switches the output container (text subtitles are converted, other subtitles the new container can't hold are dropped).\\n
+            ⠀    ⠀- {"action": "skip"} : skips the file, with an explanatory log.\\n
+            ⠀\\n
+            Instead of an array, you can provide an object to set file-level options: {"rules": [...], "subtitleRules": [...], "streams": {...}, "sort": [...], "defaultTrack": {...}}.\\n
+            ⠀- "rules" : the JSON array of rules described above.\\n
+            ⠀- "subtitleRules" : (optional) a JSON array of rules applied to the subtitle tracks, with the same "match" objects ("noOtherTrack" and "anyOtherTrack" 
+                                 look at the other subtitle tracks). Leaving the "operations" array empty removes the track, and the available operations are:\\n
+            ⠀    ⠀- "copy" : copies the track, with optional "title" and "dispositions" as for audio tracks.\\n
+            ⠀    ⠀- "transcode" : converts a text subtitle track to "codec" ("srt", "ass", "mov_text" for MP4, or "webvtt"), with optional "title" and "dispositions". 
+                                  Bitmap subtitles (e.g., PGS, VobSub) can't be converted and are copied instead.\\n
+            ⠀    ⠀E.g., [{"match":{"codecs":"*","languages":["!eng","!fre"]},"operations":[]},{"match":{"codecs":"ass"},"operations":[{"transcode":{"codec":"srt"}}]}] 
+                 removes the subtitles in other languages than English and French, and converts ASS subtitles to SRT.\\n
+            ⠀- "streams" : (optional) whether to "keep" (default) or "drop" the streams and data no rule targets: "attachments" (e.g., fonts used by ASS subtitles), "data" (e.g., timecodes), 
+                           "chapters", "metadata" (the file's global metadata) and "attachedPictures" (cover art). E.g., {"chapters":"drop","attachedPictures":"drop"}. 
+                           Streams the output container can't hold are dropped as well, and every dropped stream is logged.\\n
+            ⠀- "sort" : (optional) an array of sort keys reordering the output audio tracks once all operations are applied. Each key only breaks the ties of the 
+                        previous ones, and tracks that remain tied keep their order. Available sort keys:\\n
+            ⠀    ⠀- {"by": "languages", "order": ["eng","fre"]} : tracks in the listed languages first, in the given order.\\n
+            ⠀    ⠀- {"by": "codecs", "order": ["truehd","eac3","ac3"]} : tracks in the listed codecs first, in the given order.\\n
+            ⠀    ⠀- {"by": "channels", "direction": "desc"} and {"by": "bitrate", "direction": "desc"} : by channels count or bitrate, "asc" (default) or "desc".\\n
+            ⠀    ⠀- {"by": "disposition", "flag": "comment"} : tracks without the disposition flag first ("asc", default), or with the flag first ("desc").\\n
+            ⠀    ⠀E.g., [{"by":"disposition","flag":"comment"},{"by":"languages","order":["fre","eng"]},{"by":"channels","direction":"desc"}] places commentaries last, 
+                 then French tracks before English tracks, then tracks with more channels first.\\n
+            ⠀- "defaultTrack" : (optional) a policy electing exactly one default audio track once the tracks are sorted, clearing the "default" flag from the others. 
+                                The election is explained in the log. Criteria, by decreasing importance:\\n
+            ⠀    ⠀- "avoid" : (optional) dispositions the default track should not have. Defaults to ["comment","hearing_impaired","visual_impaired"].\\n
+            ⠀    ⠀- "languages" : (optional) preferred languages, in order (e.g., ["fre","eng"]).\\n
+            ⠀    ⠀- "codecs" : (optional) preferred codecs, in order (e.g., ["eac3","ac3"]).\\n
+            ⠀    ⠀- "channels" : (optional) "desc" (default) to prefer tracks with more channels, "asc" to prefer tracks with fewer channels.\\n
+            ⠀    ⠀Remaining ties are won by the current default track, then by the first track.\\n
             ⠀\\n
             "match" object definition:\\n
-            ⠀- "codecs" : either an array of codecs to match, or "*" for all codecs, or "!codec" (e.g., "!aac", "!eac3") for all codecs except the one listed. Usual ones are : 
+            ⠀- "codecs" : either a codec or an array of codecs to match, or "*" for all codecs. Prefix a codec with "!" (e.g., "!aac", ["!aac","!eac3"]) to match all codecs except this one. Usual ones are : 
                           "aac, ac3, eac3, flac, libmp3lame, libopus, truehd, libvorbis". 
                           Use the command "ffmpeg -encoders" or "ffmpeg -decoders" for a complete list of available codecs.\\n
             ⠀- "channels" : (optional) a channels selectors (e.g., "<=6", ">2", "8", etc.), or an array of channels selectors to match. Matches all channels when omitted.\\n
+            ⠀- "channelLayouts" : (optional) a channel layout or an array of channel layouts to match, as reported by ffprobe (e.g., "5.1(side)", "7.1", "stereo", "4.0"), or "!layout" to exclude a layout. 
+                                  Matches all layouts when omitted.\\n
+            ⠀- "profiles" : (optional) a codec profile or an array of codec profiles to match, as reported by ffprobe (e.g., "DTS-HD MA", "Dolby TrueHD + Dolby Atmos"), 
+                            a part of it (e.g., "Dolby Atmos", "DTS:X") or one of the aliases "atmos", "dts:x", "joc" (E-AC3 with Atmos) and "object-based" (Atmos or DTS:X). 
+                            Prefix with "!" to exclude a profile (e.g., "!object-based" to keep object-based audio untouched). Tracks without profile only match "*" and excluded profiles. 
+                            Matches all profiles when omitted.\\n
             ⠀- "bitrate" : (optional) a bitrate selector (e.g., "<=640000", ">128000", etc.) or an array of bitrates to match. Matches all bitrates when omitted.\\n
-            ⠀- "languages" : (optional) a string or an array of languages to match (e.g., "eng", "fre", etc.) to match. Matches all languages when omitted.\\n
+            ⠀- "sampleRate" : (optional) a sample rate selector in Hz (e.g., ">48000") or an array of sample rate selectors to match. Matches all sample rates when omitted.\\n
+            ⠀- "bitDepth" : (optional) a bit depth selector (e.g., "24", ">16") or an array of bit depth selectors to match, compared to ffprobe's "bits_per_raw_sample". 
+                            Lossy tracks have no bit depth, and only match "*". Matches all bit depths when omitted.\\n
+            ⠀- "languages" : (optional) a string or an array of languages to match (e.g., "eng", "fre", etc.), or "!lang" (e.g., "!jpn") to exclude a language. Matches all languages when omitted. 
+                             ISO 639-1, 639-2/B and 639-2/T codes and English names of a language are equivalent (e.g., "fr", "fre", "fra" and "French"), and "original" stands for the original language of the file (see the originalLanguage input).\\n
             ⠀- "dispositions" : (optional) an object containing ffprobe's disposition "key:value" pairs to match (e.g., {"default":"1"}, {"comment":"1","hearing_impaired":"1"}, etc.).
                                 Matches only if all "key:value" pairs are met. Matches all dispositions when omitted.\\n
             ⠀- "title" : (optional) an object containing the RegExp definition to test against the track's title. Matches all titles when omitted. Expected "title" content:\\n
-            ⠀    ⠀- "pattern" : the global regexp to use against the track's title to match tracks to rename. Capture groups can be used for renaming. Named capture groups are not supported.\\n
-            ⠀    ⠀- "caseSensitive" : (optional) a boolean stating whether the regexp test is case sensitive. Defaults to true.\\n
+            ⠀    ⠀- "pattern" : the global regexp to use against the track's title to match tracks to rename. Capture groups, numbered or named (e.g., "(?<director>.*)"), can be used in titles.\\n
+            ⠀    ⠀- "caseSensitive" : (optional) a boolean stating whether the regexp test is case sensitive. Defaults to false.\\n
+            ⠀- "any" : (optional) an array of "match" objects, at least one of which must match the track (e.g., [{"codecs":"truehd"},{"codecs":"dts"}]).\\n
+            ⠀- "all" : (optional) an array of "match" objects that must all match the track.\\n
+            ⠀- "not" : (optional) a "match" object, or an array of "match" objects, none of which may match the track (e.g., {"languages":"jpn"}).\\n
+            ⠀    ⠀"any", "all" and "not" blocks can be nested, and are combined with the other conditions of the object they belong to. 
+                 "codecs" is optional when the "match" object contains one of these blocks. The log tells which "any" branch matched a track.\\n
+            ⠀- "audioTracksCount" : (optional) a selector (e.g., ">2") or an array of selectors on the number of audio tracks in the file.\\n
+            ⠀- "noOtherTrack" : (optional) a "match" object that no other audio track of the file may match (e.g., {"codecs":"aac","channels":"<=2"}).\\n
+            ⠀- "anyOtherTrack" : (optional) a "match" object that at least one other audio track of the file must match.\\n
+            ⠀    ⠀Inside "noOtherTrack" and "anyOtherTrack", use "sameLanguage": true to only consider tracks in the same language as the tested track 
+                 (e.g., {"noOtherTrack":{"sameLanguage":true}} matches tracks that are the only one in their language), and "betterTrack": true to only consider tracks better than the tested track: 
+                 more channels, then a higher bitrate, then first in the file (e.g., {"noOtherTrack":{"sameLanguage":true,"betterTrack":true}} matches the best track of each language).\\n
             ⠀\\n
             ⠀\\n
             "operations" objects definition:\\n
             ⠀- "copy" : Set this to an object to copy the original track. /!\\ WARNING /!\\ IF YOU DO NOT COPY THE ORIGINAL TRACK, ANY ORIGINAL MATCHING TRACK WILL BE DELETED FROM THE ORIGINAL FILE /!\\\\n
             ⠀    ⠀- "title": (optional) the new track title. Retains the original track's title when omitted. Check below for the list of available tags you can use.\\n
             ⠀    ⠀- "dispositions": (optional) an object containing ffprobe's disposition "key:boolean_value" pairs to set on the copied track (e.g., {"default":false}, {"comment":true,"hearing_impaired":false}, etc.).\\n
+            ⠀- "extractCore" : Set this to an object to extract the backward-compatible core of the original track losslessly, without re-encoding: the 5.1 DTS core of DTS-HD MA, DTS-HD HRA 
+                               and DTS:X tracks ("dca_core" bitstream filter), or the 7.1 TrueHD core of TrueHD Atmos tracks ("truehd_core" bitstream filter). Tracks of other codecs, 
+                               and DTS Express tracks, have no core: the original track is copied instead. The output codec, channels and bitrate tags are the core's (e.g., "{o_bitrate_kbps}" is 1509 for DTS cores).\\n
+            ⠀    ⠀- "title": (optional) the new track title. Retains the original track's title when omitted. Check below for the list of available tags you can use.\\n
+            ⠀    ⠀- "dispositions": (optional) an object containing ffprobe's disposition "key:boolean_value" pairs to set on the extracted track.\\n
+            ⠀    ⠀E.g., {"name":"Add DTS core","match":{"codecs":"dts","profiles":"DTS-HD MA"},"operations":[{"copy":{}},{"extractCore":{"title":"{o_CODEC} {o_channels_fancy}","dispositions":{"default":false}}}]}\\n
             ⠀- "transcode" :\\n
-            ⠀    ⠀- "codec": the new codec to transcode to, or "copy" to copy the original track's codec.\\n
+            ⠀    ⠀- "codec": the new codec to transcode to, or "copy" to copy the original track's codec. Codec names are accepted for encoders named differently (e.g., "opus" for "libopus", "mp3" for "libmp3lame").
+                      Codecs ffmpeg can't encode (e.g., WMA Pro) are refused and the original track is copied instead.\\n
             ⠀    ⠀- "channels": (optional) new number of channels (e.g., "6" for 5.1, "2" for stereo, etc.). Copies the original number of channels when omitted (respecting codecs limitations automatically).\\n
-            ⠀    ⠀- "bitrate": (optional) new bitrate in bps. Omit if the codec is a lossless codec, or to copy the original bitrate (respecting codecs limitations automatically).\\n
+            ⠀    ⠀- "channelLayout": (optional) new channel layout (e.g., "5.1(side)", "7.1", "stereo"), setting the number of channels as well. Remapped to the codec's standard layout for 
+                      the number of channels when the codec doesn't accept it. Layouts the codec doesn't accept are remapped even when omitted (e.g., Atmos beds such as "5.1.2", "7.1(wide)" in Opus), 
+                      keeping the original number of channels.\\n
+            ⠀    ⠀- "bitrate": (optional) new bitrate in bps. Omit if the codec is a lossless codec, or to copy the original bitrate. Clamped to the codec's bitrates range for the number of channels, 
+                      or snapped to the codec's closest lower bitrate (e.g., 450000 becomes 448000 in AC3).\\n
+            ⠀    ⠀- "bitratePerChannel": (optional) new bitrate in bps per output channel, instead of "bitrate", so that tracks get bitrates proportionate to their channels 
+                      (e.g., 96000 gives 192000 for stereo and 576000 for 5.1). Clamped or snapped like "bitrate".\\n
+            ⠀    ⠀- "quality": (optional) a VBR quality on the encoder's native scale, replacing the bitrate: "-q:a" for libmp3lame (0 to 9, lower is better), libvorbis (-1 to 10) and aac (0.1 to 2), 
+                      "-vbr" for libfdk_aac (1 to 5), and the compression level for flac (0 to 12) and libopus (0 to 10, the bitrate remaining the VBR target). Clamped to the encoder's range, 
+                      and ignored for encoders without VBR mode (e.g., AC3).\\n
+            ⠀    ⠀- "sampleRate": (optional) new sample rate in Hz (e.g., 48000). Copies the original sample rate when omitted. Snapped to the closest sample rate the codec supports, 
+                      preferably of the same family (e.g., 96000 becomes 48000 and 88200 becomes 44100 in AC3), which also applies to the original sample rate.\\n
+            ⠀    ⠀- "sampleFormat": (optional) new ffmpeg sample format (e.g., "s16" for 16 bits, "s32" for 24 and 32 bits, "fltp" for planar floats). Lets ffmpeg choose when omitted. 
+                      Snapped to the closest sample format the codec supports (e.g., "s16" becomes "s16p" in ALAC, "fltp" becomes "s32" in FLAC).\\n
+            ⠀    ⠀- "resampler": (optional) an object setting how the sample rate and format are converted, when they are: "engine" ("swr", ffmpeg's default, or "soxr", of higher quality), 
+                      "precision" (soxr's precision in bits, 15 to 33, e.g., 28 for very high quality) and "dither" (the dither method applied when reducing the bit depth: "rectangular", "triangular", 
+                      "triangular_hp", "lipshitz", "shibata", "low_shibata", "high_shibata", "f_weighted", "e_weighted" or "modified_e_weighted"). E.g., {"engine":"soxr","precision":28,"dither":"triangular"}\\n
             ⠀    ⠀- "title": (optional) the new track title. Retains the original track's title when omitted. Check below for the list of available tags you can use.\\n
             ⠀    ⠀- "dispositions": (optional) an object containing ffprobe's disposition "key:boolean_value" pairs to set on the transcoded track (e.g., {"default":false}, {"comment":true,"hearing_impaired":false}, etc.).\\n
-            ⠀    ⠀- "filters": (optional) a string containing ffmpeg filters to apply to the track (e.g., "dynaudnorm").\\n
+            ⠀    ⠀- "downmix": (optional) the matrix used when "channels" is lower than the original track's channels, instead of ffmpeg's default downmix which often buries dialogues:
+                      "itu" (ITU-R BS.775 standard), "dplii" (Dolby Pro Logic II style, stereo only), "dialogue" (center channel boost) or "night" (center channel boost and dynamic range compression).
+                      Supports 5.0, 5.1, 5.1(side), 6.1, 7.1 and 7.1(wide) sources, downmixed to mono, stereo or 5.1. Unsupported downmixes fall back to ffmpeg's default downmix.\\n
+            ⠀    ⠀- "filters": (optional) a string containing ffmpeg filters to apply to the track (e.g., "dynaudnorm"), after the downmix if any, and before the resampler if any.\\n
+            ⠀- "setLanguage" : sets the language of the tracks matching the rule, which must be the rule's only operation. Language rules are applied to all the tracks before the other rules, 
+                               which see the tracks as if they were tagged with the new language, and the language is written in the output file:\\n
+            ⠀    ⠀- "language": (optional) the language to set (e.g., "fre"), or "original" for the original language of the file. Used as a fallback when "infer" is set and no language is found.\\n
+            ⠀    ⠀- "infer": (optional) "title", "path" or ["title", "path"], where to look for the language, in order: the track's title, or the file name and its folders. 
+                      English language names (e.g., "French", "Japanese"), native names (e.g., "Castellano", "Deutsch") and release tags (e.g., "VF", "TRUEFRENCH", and "VO" for the original language) are recognized.\\n
+            ⠀    ⠀E.g., {"name":"Tag untagged tracks","match":{"codecs":"*","languages":"und"},"operations":[{"setLanguage":{"infer":["title","path"],"language":"original"}}]}\\n
+            ⠀\\n
+            "title" templates: tags between braces are replaced by their value, and removed when the track has no such value (e.g., an unknown bitrate).\\n
+            ⠀- "{tag|filter}" : transforms the tag's value with one or more filters (e.g., "{o_bitrate|kbps}", "{lang|lang_name|upper}"): "upper", "lower", "capitalize" (first letter of each word), 
+                                "kbps" (bps to rounded kbps), "khz" (Hz to kHz), "fancy" (channels count as "Mono", "Stereo" or "X.1"), "lang_name" (language code to English name, e.g., "fre" to "French") 
+                                and "default:text" (text used when the value is empty, e.g., "{i_bitrate_kbps|default:?}").\\n
+            ⠀- "{#tag}...{/tag}" : the enclosed part is kept only when the tag has a value (e.g., "{title}{#o_bitrate} {o_bitrate|kbps}kbps{/o_bitrate}"), and "{^tag}...{/tag}" only when it hasn't. Sections can be nested.\\n
             ⠀\\n
             "title" available tags:\\n
-            ⠀- "{1}, {2}, etc." : the capture groups of the "pattern" regexp if any were used\\n
+            ⠀- "{1}, {2}, etc." : the capture groups of the first match of the "pattern" regexp in the title if any were used (empty for groups it doesn't use), and "{name}" for its named capture groups 
+                (e.g., "(?<director>.*)" gives "{director}")\\n
             ⠀- "{title}" : the title of the original track\\n
-            ⠀- "{lang}, {LANG}" : the language of the track, in lowercase or uppercase\\n
+            ⠀- "{lang}, {LANG}" : the language of the track, in lowercase or uppercase, and "{lang_name}" its English name (e.g., "French")\\n
+            ⠀- "{rule}" : the name of the rule that matched the track\\n
+            ⠀- "{dispositions}" : the dispositions of the output track, separated by spaces (e.g., "default original"), and "{flag_X}" for a single disposition, empty when not set (e.g., "{#flag_comment} (Commentary){/flag_comment}")\\n
             ⠀- "{i_codec}, {i_CODEC}, {o_codec}, {o_CODEC}" : the name of the input (i_) or output (o_) codec, in lowercase or uppercase\\n
             ⠀- "{i_channels}, {o_channels}" : the number of input (i_) or output (o_) channels of the track\\n
             ⠀- "{i_channels_fancy}, {o_channels_fancy}" : the number of input (i_) or output (o_) channels in a fancy way ("Mono", "Stereo", or "X.1")\\n
-            ⠀- "{i_channel_layout}" : the channels layout reported by ffprobe on the input track (e.g., \`5.1(side)\`)\\n
-            ⠀- "{i_bitrate}, {i_bitrate_kbps}, {o_bitrate}, {o_bitrate_kbps}" : the input (i_) or output (o_) bitrate in bps or kbps\\n
+            ⠀- "{i_channel_layout}, {o_channel_layout}" : the channels layout reported by ffprobe on the input track (e.g., \`5.1(side)\`), or the output (o_) one, empty when ffmpeg picks it\\n
+            ⠀- "{i_bitrate}, {i_bitrate_kbps}, {o_bitrate}, {o_bitrate_kbps}" : the input (i_) or output (o_) bitrate in bps or kbps, the output bitrate being the effective one 
+                (e.g., computed from "bitratePerChannel", and empty when "quality" replaces it)\\n
+            ⠀- "{o_quality}" : the output VBR quality, once fitted to the encoder's range (e.g., "{#o_quality}VBR q{o_quality}{/o_quality}")\\n
+            ⠀- "{i_sample_rate}, {o_sample_rate}" : the input (i_) or output (o_) sample rate in Hz (e.g., "48000", or "48" with "{i_sample_rate|khz}")\\n
+            ⠀- "{i_profile}" : the codec profile reported by ffprobe on the input track (e.g., "DTS-HD MA"), or hinted by its title when ffprobe reports none\\n
+            ⠀   Tags without prefix ({codec}, {channels}, etc.) refer to the input track.\\n
             ⠀\\n
             Example JSON:\\n
             ⠀\\n
@@ -124,7 +223,7 @@ const details = () => ({
             ⠀⠀⠀⠀⠀⠀{\\n
             ⠀⠀⠀⠀⠀⠀⠀⠀"transcode": {\\n
             ⠀⠀⠀⠀⠀⠀⠀⠀⠀⠀"codec": "ac3",\\n
-            ⠀⠀⠀⠀⠀⠀⠀⠀⠀⠀"title": "{1} {i_CODEC} {i_channels_fancy} {i_bitrate_kbps}kbps -> {o_CODEC} {o_channels_fancy} {o_bitrate_kbps}kbps [Auto]"\\n
+            ⠀⠀⠀⠀⠀⠀⠀⠀⠀⠀"title": "{1} {i_CODEC} {i_channels_fancy}{#i_bitrate} {i_bitrate_kbps}kbps{/i_bitrate} -> {o_CODEC} {o_channels_fancy}{#o_bitrate} {o_bitrate_kbps}kbps{/o_bitrate} [Auto]"\\n
             ⠀⠀⠀⠀⠀⠀⠀⠀}\\n
             ⠀⠀⠀⠀⠀⠀}\\n
             ⠀⠀⠀⠀]\\n
@@ -143,7 +242,72 @@ const details = () => ({
             while setting the original track to not default and not comment, renaming it accordingly with the original title followed by a description of the transcoding characteristics.\\n
             ⠀3rd rule: matches any track in E-AC3, TrueHD or FLAC with 6 channels or less (from mono to 5.1), and replaces it with an AC3 version of it, retaining all characteristics, and renaming it accordingly with the 
             original title followed by a description of the transcoding characteristics.\\n
-            ⠀4th rule: removes any track that didn't match previous rules.\\n`,
+            ⠀4th rule: removes any track that didn't match previous rules.\\n
+            ⠀\\n
+            Combining conditions: the following "match" object matches TrueHD or DTS tracks, except commentaries and Japanese tracks:\\n
+            ⠀{"any":[{"codecs":"truehd"},{"codecs":"dts"}],"not":[{"dispositions":{"comment":1}},{"languages":"jpn"}]}\\n
+            ⠀\\n
+            Adding a track only when it is missing: the following "match" object matches non-AAC tracks of languages for which the file has no AAC stereo track yet:\\n
+            ⠀{"codecs":"!aac","noOtherTrack":{"codecs":"aac","channels":"<=2","sameLanguage":true}}\\n
+            ⠀\\n
+            The rules are fully checked before any file is processed: every error is logged with its location (e.g., "rules[2].match.channels"), and nothing is done until they're all fixed. Rules that can never match because earlier rules match all their tracks, unknown codecs and transcode settings the encoder will adjust are logged as warnings.\\n`,
+        },
+        {
+            name: 'transcodeRulesFile',
+            type: 'string',
+            defaultValue: '',
+            tooltip: `
+            Path to a file holding the transcode rules, used instead of transcodeRules. The file is read again on every run, so it can be edited, version-controlled and shared between libraries.\n
+            The file holds the same array of rules or configuration object as transcodeRules, either as JSON (".json", "//" and "/* */" comments allowed) or as YAML (".yaml" or ".yml", "#" comments allowed). In YAML, values starting with "!", "*" or ">" (e.g., "!aac", "*", ">6") must be quoted.\n
+            ⠀\n
+            Example of YAML rules file:\n
+            ⠀rules:\n
+            ⠀⠀# Lossless tracks get an AAC stereo version\n
+            ⠀⠀- name: Lossless to AAC stereo\n
+            ⠀⠀⠀match: {codecs: [truehd, flac], channels: ">2"}\n
+            ⠀⠀⠀operations:\n
+            ⠀⠀⠀⠀- copy: {}\n
+            ⠀⠀⠀⠀- transcode: {codec: aac, channels: 2, bitrate: 192000, title: "{LANG} AAC Stereo"}\n`,
+        },
+        {
+            name: 'preset',
+            type: 'string',
+            defaultValue: 'none',
+            inputUI: {
+                type: 'dropdown',
+                options: [
+                    'none',
+                    'remove_commentary',
+                    'aac_stereo_per_language',
+                    'lossless_to_eac3',
+                    'original_and_english',
+                ],
+            },
+            tooltip: `
+            A built-in set of rules, used alone (leave transcodeRules empty) or combined with the transcodeRules:\n
+            ⠀- "remove_commentary": removes the tracks flagged as commentaries or whose title contains "commentary", unless they are the only audio tracks.\n
+            ⠀- "aac_stereo_per_language": adds a non-default AAC 2.0 192kbps track titled "{LANG} AAC Stereo" for each language without an AAC stereo track yet, after the best non-AAC, non-commentary track of that language (most channels, then highest bitrate).\n
+            ⠀- "lossless_to_eac3": replaces TrueHD, FLAC, ALAC and PCM tracks by E-AC3 tracks of up to 5.1 channels at 640kbps, except Atmos tracks.\n
+            ⠀- "original_and_english": keeps the tracks flagged as original, English and untagged tracks, and removes the other languages (only when at least one track is kept).\n`,
+        },
+        {
+            name: 'customRulesPosition',
+            type: 'string',
+            defaultValue: 'before',
+            inputUI: {
+                type: 'dropdown',
+                options: [
+                    'before',
+                    'after',
+                ],
+            },
+            tooltip: 'When a preset is selected, whether the rules of transcodeRules are tried before the preset rules (they take precedence over the preset for the tracks they match), or after them (they only apply to the tracks the preset doesn\'t match).',
+        },
+        {
+            name: 'originalLanguage',
+            type: 'string',
+            defaultValue: '',
+            tooltip: 'The original language of the files of the library (e.g., `jpn` for an anime library), which the "original" language selector stands for in the rules (e.g., "languages": ["original", "eng"]), as well as in the "sort" and "defaultTrack" languages. When empty, the original language is the language of the first audio track flagged "original", or of the first audio track.',
         },
         {
             name: 'dryRun',
@@ -156,7 +320,34 @@ const details = () => ({
                     'false',
                 ],
             },
-            tooltip: 'When set to "true", no operations will actually be applied. Use this to test your set of rules and operations before applying to your whole library.',
+            tooltip: 'When set to "true", no operations will actually be applied, and the resulting plan (which rule matched each input track, and the resulting output tracks) is logged along with the ffmpeg command. Use this to test your set of rules and operations before applying to your whole library.',
+        },
+        {
+            name: 'explain',
+            type: 'boolean',
+            defaultValue: 'false',
+            inputUI: {
+                type: 'dropdown',
+                options: [
+                    'true',
+                    'false',
+                ],
+            },
+            tooltip: 'When set to "true", logs for each audio track every rule that was tried, and the exact condition that prevented the rules from matching. A machine-readable version of the plan is always available in the plugin\'s response, as "audioTracksPlan".',
+        },
+        {
+            name: 'watermark',
+            type: 'string',
+            defaultValue: 'copyright',
+            inputUI: {
+                type: 'dropdown',
+                options: [
+                    'copyright',
+                    'tag',
+                    'disabled',
+                ],
+            },
+            tooltip: 'Where to write the watermark telling the file was processed with the current rules, so that it isn\'t processed again: "copyright" = appended to the file\'s copyright metadata, "tag" = in a dedicated "TDARR_WATERMARK" metadata tag, "disabled" = no watermark (files are still skipped when the rules would leave them unchanged). The watermark is a short hash of the plugin version and rules, replacing the previous watermark of the plugin, and any other copyright text is kept.',
         },
     ],
 });
@@ -164,6 +355,8 @@ const details = () => ({
 // Plugin logic (functionality)
 const plugin = (file, libraryOptions, inputs) => {
     const lib = require('../methods/lib')();
+    const rules = require('./lib/audio_rules');
+    const rulesFiles = require('./lib/rules_file');
     // eslint-disable-next-line @typescript-eslint/no-unused-vars,no-param-reassign
     inputs = lib.loadDefaultValues(inputs, details);
     const response = {
@@ -175,235 +368,65 @@ const plugin = (file, libraryOptions, inputs) => {
     };
 
     // Log utility function
-    function log(entry) {
-        console.log(entry);
-        response.infoLog += entry + "\n";
-    }
-
-    // Define limitations for specific codecs
-    const codecChannelsLimits = {
-        ac3: 6, // AC3 maximum channels is 6
-        mp3: 2, // AC3 maximum channels is 6
-    };
-    const codecBitrateLimits = {
-        ac3: 640000, // AC3 maximum bitrate is 640 kbps
-        mp3: 320000, // MP3 maximum bitrate is 320 kbps
-    };
-
-    // Validates the transcode rules JSON
-    function validateTranscodeRules(jsonString) {
-        try {
-            const rules = JSON.parse(jsonString);
-
-            if (!Array.isArray(rules)) return "Expected a JSON array of rules.";
-
-            for (let i = 0; i < rules.length; i++) {
-                const rule = rules[i];
-
-                if (typeof rule !== 'object' || rule === null) return `Rule at index ${i} is not an object.`;
-                if (!rule.hasOwnProperty('match') || !rule.hasOwnProperty('operations')) return `Rule at index ${i} is missing 'match' or 'operations' property.`;
+    const log = rules.createLogger(response);
 
-                const match = rule.match;
-                if (typeof match !== 'object' || match === null) return `Match property in rule at index ${i} is not an object.`;
-                if (!match.hasOwnProperty('codecs')) return `Match property in rule at index ${i} is missing 'codecs' property.`;
-                if (!Array.isArray(match.codecs) && match.codecs !== '*' && !match.codecs.startsWith('!')) return `'codecs' property in rule at index ${i} must be an array, '*', or '!codec'.`;
 
-                if (match.hasOwnProperty('channels') && typeof match.channels !== 'string' && !Array.isArray(match.channels)) return `'channels' property in rule at index ${i} must be a string or an array.`;
-                if (match.hasOwnProperty('bitrate') && typeof match.bitrate !== 'string' && !Array.isArray(match.bitrate)) return `'bitrate' property in rule at index ${i} must be a string or an array.`;
-                if (match.hasOwnProperty('languages') && typeof match.languages !== 'string' && !Array.isArray(match.languages)) return `'languages' property in rule at index ${i} must be a string or an array.`;
-                if (match.hasOwnProperty('dispositions') && (typeof match.dispositions !== 'object' || match.dispositions === null)) return `'dispositions' property in rule at index ${i} must be an object.`;
-
-                if (match.hasOwnProperty('title')) {
-                    if (typeof match.title !== 'object' || match.title === null) return `'title' property in rule at index ${i} must be an object.`;
-                    if (!match.title.hasOwnProperty('pattern')) return `'title' property in rule at index ${i} is missing 'pattern' property.`;
-                    if (typeof match.title.pattern !== 'string') return `'pattern' property in rule at index ${i} must be a string.`;
-                    if (match.title.hasOwnProperty('caseSensitive') && typeof match.title.caseSensitive !== 'boolean') return `'caseSensitive' property in rule at index ${i} must be a boolean.`;
-                    match.title.pattern = match.title.pattern.replaceAll("\\\\", "\\");
-                }
-
-                const operations = rule.operations;
-                if (!Array.isArray(operations)) return `Operations property in rule at index ${i} must be an array.`;
-
-                for (let j = 0; j < operations.length; j++) {
-                    const operation = operations[j];
-
-                    if (typeof operation !== 'object' || operation === null) return `Operation at index ${j} in rule at index ${i} is not an object.`;
-
-                    if (operation.hasOwnProperty('copy')) {
-                        if (typeof operation.copy !== 'object' || operation.copy === null) return `'copy' operation at index ${j} in rule at index ${i} must be an object.`;
-                        if (operation.copy.hasOwnProperty('title') && typeof operation.copy.title !== 'string') return `'title' property in 'copy' operation at index ${j} in rule at index ${i} must be a string.`;
-                        if (operation.copy.hasOwnProperty('dispositions')) {
-                            if(typeof operation.copy.dispositions !== 'object' || operation.copy.dispositions === null) return `'dispositions' property in 'copy' operation at index ${j} in rule at index ${i} must be an object.`;
-                            for(let flag in operation.copy.dispositions) { if(typeof operation.copy.dispositions[flag] !== 'boolean')
-                                return `'${flag}' property in 'dispositions' object in 'copy' operation at index ${j} rule at index ${i} must be a boolean.`;
-                            }
-                        }
+    // --------------------------------------------------- MAIN --------------------------------------------------- //
 
-                    } else if (operation.hasOwnProperty('transcode')) {
-                        if (typeof operation.transcode !== 'object' || operation.transcode === null) return `'transcode' operation at index ${j} in rule at index ${i} must be an object.`;
-                        if (!operation.transcode.hasOwnProperty('codec')) return `'transcode' operation at index ${j} in rule at index ${i} is missing 'codec' property.`;
-                        if (typeof operation.transcode.codec !== 'string') return `'codec' property in 'transcode' operation at index ${j} in rule at index ${i} must be a string.`;
-                        if (operation.transcode.hasOwnProperty('channels') && typeof operation.transcode.channels !== 'number') return `'channels' property in 'transcode' operation at index ${j} in rule at index ${i} must be a number.`;
-                        if (operation.transcode.hasOwnProperty('bitrate') && typeof operation.transcode.bitrate !== 'number') return `'bitrate' property in 'transcode' operation at index ${j} in rule at index ${i} must be a number.`;
-                        if (operation.transcode.hasOwnProperty('title') && typeof operation.transcode.title !== 'string') return `'title' property in 'transcode' operation at index ${j} in rule at index ${i} must be a string.`;
-                        if (operation.transcode.hasOwnProperty('dispositions')) {
-                            if(typeof operation.transcode.dispositions !== 'object' || operation.transcode.dispositions === null) return `'dispositions' property in 'transcode' operation at index ${j} in rule at index ${i} must be an object.`;
-                            for(let flag in operation.transcode.dispositions) { if(typeof operation.transcode.dispositions[flag] !== 'boolean')
-                                return `'${flag}' property in 'dispositions' object in 'transcode' operation at index ${j} rule at index ${i} must be a boolean.`;
-                            }
-                        }
-                        if (operation.transcode.hasOwnProperty('filters') && typeof operation.transcode.filters !== 'string') return `'filters' property in 'transcode' operation at index ${j} in rule at index ${i} must be a string.`;
-                    } else {
-                        return `Operation at index ${j} in rule at index ${i} must have either 'copy' or 'transcode' property.`;
-                    }
-                }
-            }
 
-            // If everything is valid, return the parsed rules object
-            return rules;
-        } catch (e) {
-            return `Invalid JSON: ${e.message}`;
-        }
-    }
+    log(`--- Starting Advanced Audio Tracks Transcode / Rename / Remove plugin on ${file.file} ...`);
 
-    // Checks the given int value against a string condition
-    function matchesIntCondition (value, condition) {
-        if (condition.startsWith("<=")) return value <= parseInt(condition.slice(2));
-        if (condition.startsWith(">=")) return value >= parseInt(condition.slice(2));
-        if (condition.startsWith("<")) return value < parseInt(condition.slice(1));
-        if (condition.startsWith(">")) return value > parseInt(condition.slice(1));
-        return value === parseInt(condition);
+    // Check the preset
+    const presetError = rules.validatePreset(inputs.preset, inputs.customRulesPosition);
+    if (presetError) {
+        log(`Invalid preset: ${presetError}`);
+        return response;
     }
 
-    // Tests a given track data against the given selectors
-    function trackMatches(trackData, matchRule) {
-        if( (Array.isArray(matchRule.codecs) && !matchRule.codecs.includes(trackData.codec_name.toLowerCase())) ||
-            (!Array.isArray(matchRule.codecs) && matchRule.codecs !== '*' && trackData.codec_name.toLowerCase() === matchRule.codecs.slice(1).toLowerCase()) ) return false;
-
-        if(matchRule.channels) {
-            const channelsRules = Array.isArray(matchRule.channels) ? matchRule.channels : [matchRule.channels];
-            for(let channels of channelsRules)
-                if(!matchesIntCondition(trackData.channels, channels)) return false;
+    // Read the transcode rules from the rules file when one is given, re-read on every run
+    const rulesFile = inputs.transcodeRulesFile.trim();
+    let customRules = inputs.transcodeRules;
+    if (rulesFile !== '') {
+        customRules = rulesFiles.readRulesFile(rulesFile);
+        if (typeof customRules === 'string') {
+            log(`Invalid transcodeRulesFile "${rulesFile}": ${customRules}`);
+            return response;
         }
-
-        if(matchRule.bitrate) {
-            const bitrateRules = Array.isArray(matchRule.bitrate) ? matchRule.bitrate : [matchRule.bitrate];
-            for(let bitrate of bitrateRules)
-                if(!matchesIntCondition(trackData.bit_rate, bitrate)) return false;
-        }
-
-        if(matchRule.languages) {
-            const languages = Array.isArray(matchRule.languages) ? matchRule.languages : [matchRule.languages];
-            const trackLanguage = trackData.tags && trackData.tags.language ? trackData.tags.language : 'und';
-            if (!languages.includes(trackLanguage)) return false;
-        }
-
-        if(matchRule.dispositions && !Object.entries(matchRule.dispositions).every(([key, value]) => key in trackData.disposition && trackData.disposition[key] === value)) return false;
-
-        if(matchRule.title) {
-            const trackTitle = (trackData.tags && trackData.tags.title ? trackData.tags.title : '');
-            const patternRegExp = matchRule.title.caseSensitive && matchRule.title.caseSensitive ? new RegExp(matchRule.title.pattern) : new RegExp(matchRule.title.pattern, "i");
-            if(!patternRegExp.test(trackTitle)) return false;
-        }
-
-        return true;
-    }
-
-    // Returns a fancy channel name from the channels count
-    function getFancyChannels(channelsCount) {
-        const channels = parseInt(channelsCount);
-        if(channels === 1) return "Mono";
-        if(channels === 2) return "Stereo";
-        return `${channels - 1}.1`;
+        log(`Transcode rules read from "${rulesFile}"${inputs.transcodeRules.trim() !== '' ? ', ignoring the transcodeRules input' : ''}`);
     }
 
-    // Returns the track's title based on the given rule
-    function getNewTrackTitle(track, matchTitle, operation, bitrate) {
-        const trackTitle = (track.tags && track.tags.title ? track.tags.title : '');
-        let newTrackTitle = operation.title + "";
-
-        function updateTrackTitle(find, replaceWith) {
-            newTrackTitle = newTrackTitle.replaceAll(find, replaceWith);
-        }
-
-        // Capture groups:
-        if(matchTitle) {
-            const patternRegExp = new RegExp(matchTitle.pattern, matchTitle.caseSensitive ? "g" : "gi");
-            for (const match of trackTitle.matchAll(patternRegExp)) {
-                match.slice(1).forEach((group, index) => {
-                    updateTrackTitle("{" + (index + 1) + "}", group);
-                });
-            }
-        }
-
-        // Title:
-        updateTrackTitle("{title}", trackTitle);
-
-        // Languages:
-        const trackLanguage = track.tags && track.tags.language ? track.tags.language : 'und';
-        updateTrackTitle("{lang}", trackLanguage.toLowerCase());
-        updateTrackTitle("{LANG}", trackLanguage.toUpperCase());
-
-        // Codec:
-        updateTrackTitle("{i_codec}", track.codec_name.toLowerCase());
-        updateTrackTitle("{i_CODEC}", track.codec_name.toUpperCase());
-
-        const codecName = operation.codec && operation.codec !== "copy" ? operation.codec : track.codec_name;
-        updateTrackTitle("{o_codec}", codecName.toLowerCase());
-        updateTrackTitle("{o_CODEC}", codecName.toUpperCase());
-
-        // Channels:
-        updateTrackTitle("{i_channels}", track.channels);
-        updateTrackTitle("{i_channels_fancy}", getFancyChannels(track.channels));
-        updateTrackTitle("{i_channel_layout}", track.channel_layout);
-        const outputChannels = operation.channels ? operation.channels : track.channels;
-        updateTrackTitle("{o_channels}", outputChannels);
-        updateTrackTitle("{o_channels_fancy}", getFancyChannels(outputChannels));
-
-        // Bitrate:
-        if (track.bit_rate) {
-            updateTrackTitle("{i_bitrate}", track.bit_rate);
-            updateTrackTitle("{i_bitrate_kbps}", (parseInt(track.bit_rate) / 1000).toString());
-        }
-        if(bitrate) {
-            updateTrackTitle("{o_bitrate}", bitrate);
-            updateTrackTitle("{o_bitrate_kbps}", (parseInt(bitrate) / 1000).toString());
-        }
-
-        // Replace special characters that can make the command fail:
-        newTrackTitle = newTrackTitle.replaceAll(',', '‚'); // -> replace with a unicode SINGLE LOW-9 QUOTATION MARK
-        newTrackTitle = newTrackTitle.replaceAll('"', '″'); // -> replace with a unicode DOUBLE PRIME
-
-        return newTrackTitle;
+    // Parse the transcode rules, which can be left empty when a preset is used, and add the preset rules
+    if (inputs.preset !== 'none' && typeof customRules === 'string' && customRules.trim() === '') customRules = '[]';
+    const rulesSource = rulesFile !== '' ? `transcodeRulesFile "${rulesFile}"` : 'transcodeRules JSON';
+    const validation = rules.lintTranscodeConfig(customRules);
+    if (validation.errors.length > 0) {
+        log(`Invalid ${rulesSource}: ${rules.formatValidationIssues(validation.errors)}`);
+        return response;
     }
-
-    // Returns the FFMpeg command flags from the given disposition's object
-    function getDispositionFlags(dispositions) {
-        const flags = [];
-        let isFirstFlag = true;
-        for (const [flag, value] of Object.entries(dispositions)) {
-            flags.push(value === true ? (isFirstFlag? flag : '+' + flag) : '-' + flag);
-            isFirstFlag = false;
-        }
-        return flags.join('');
+    validation.warnings.forEach(warning => log(`Warning in ${rulesSource}: ${rules.formatValidationIssue(warning)}`));
+    const customConfig = validation.config;
+    const transcodeConfig = rules.applyPreset(customConfig, inputs.preset, inputs.customRulesPosition);
+    if (inputs.preset !== 'none') {
+        log(`Using the "${inputs.preset}" preset, with ${customConfig.rules.length} custom rule(s) ${inputs.customRulesPosition} the preset rules`);
     }
+    const transcodeRules = transcodeConfig.rules;
+    const streamsPolicy = rules.getStreamsPolicy(transcodeConfig.streams);
 
+    const dryRun = inputs.dryRun === 'true';
+    const explain = inputs.explain === 'true';
 
-    // --------------------------------------------------- MAIN --------------------------------------------------- //
-
-
-    log(`--- Starting Advanced Audio Tracks Transcode / Rename / Remove plugin on ${file.file} ...`);
-
-    // Parse the transcode rules from the input
-    const transcodeRules = validateTranscodeRules(inputs.transcodeRules);
-    if (typeof transcodeRules === 'string') {
-        log(`Invalid transcodeRules JSON: ${transcodeRules}`);
+    // Check the original language setting
+    const originalLanguage = inputs.originalLanguage.trim();
+    if (originalLanguage !== '' && !rules.getIsoLanguage(originalLanguage) && !/^[a-z]{3}$/i.test(originalLanguage)) {
+        log(`Invalid originalLanguage "${originalLanguage}": expected an ISO 639 code (e.g., eng, fre, ja) or an English language name.`);
         return response;
     }
 
-    const dryRun = inputs.dryRun === 'true';
-
-    const pluginWatermark = `[Tdarr:advanced_audio_transcode_rename_remove:${btoa(JSON.stringify(transcodeRules))}]`;
+    // Rules without any other configuration section keep the watermark of the bare rules array
+    let watermarkData = Object.keys(transcodeConfig).length === 1 ? transcodeRules : transcodeConfig;
+    if (originalLanguage !== '') watermarkData = { config: watermarkData, originalLanguage: rules.normalizeLanguage(originalLanguage) };
+    const pluginWatermark = rules.getPluginWatermark('advanced_audio_transcode_rename_remove', details().Version, watermarkData);
+    const watermarkMode = inputs.watermark;
 
     // Check if the file is valid for processing
     log("Checking for ffProbeData...");
@@ -413,171 +436,374 @@ const plugin = (file, libraryOptions, inputs) => {
     }
 
     // Check plugin didn't process the file already
-    const copyrightData = file.ffProbeData.format && file.ffProbeData.format.tags && file.ffProbeData.format.tags.COPYRIGHT || '';
-    if (copyrightData.includes(pluginWatermark)) {
+    if (rules.hasWatermark(file, pluginWatermark, watermarkMode)) {
         log('Plugin watermark found -> file already processed. Aborting.');
         return response;
     }
 
     // Extract audio tracks data
     log("FFProbeData present, extracting audio tracks data...");
-    const audioTracks = file.ffProbeData.streams.filter(stream => stream.codec_type === 'audio');
-    if (audioTracks.length === 0) {
+    const audioTracks = rules.getAudioTracks(file);
+    if (audioTracks.length === 0 && !transcodeConfig.subtitleRules) {
         log('No audio tracks, nothing to do');
         return response;
     }
     log(audioTracks.length + " audio tracks");
 
     // Check each audio track
-    const audioTracksCommands = [];
-    let inputTrackIndex = 0;
-    let outputTrackIndex = 0;
+    const matchContext = rules.getMatchContext(file, 'audio', originalLanguage);
+    log(`Original language: ${matchContext.originalLanguage} (${originalLanguage !== '' ? 'from the originalLanguage input' : 'from the audio tracks'})`);
+    const inputTracksMatches = [];
+    const outputTracks = [];
     let requireTranscode = false;
 
-    audioTracks.forEach(track => {
+    // Set the languages of the tracks matching the language rules, seen by the other rules as if the tracks were tagged so
+    const { tracks: taggedTracks, context: taggedMatchContext } = rules.getLanguageTaggedTracks(file.file, transcodeRules, matchContext, log);
+
+    audioTracks.forEach((track, inputTrackIndex) => {
 
         // Test the track against each rule
-        let ruleMatched = false;
-        const trackTitle = (track.tags && track.tags.title ? track.tags.title : '');
+        const taggedTrack = taggedTracks[inputTrackIndex];
+        const trackTitle = rules.getTrackTitle(track);
+        const { rule, ruleIndex, result: matchResult, attempts } = rules.findMatchingRule(taggedTrack, transcodeRules, taggedMatchContext);
+        inputTracksMatches.push({ inputIndex: inputTrackIndex, track, ruleIndex, ruleName: rule ? rules.getRuleName(rule) : null, branches: matchResult ? matchResult.branches : [], attempts });
 
-        transcodeRules.forEach(rule => {
-            if(ruleMatched) return;
-            if(!trackMatches(track, rule.match)) return;
+        if(!rule) {
+            log(`Track ${track.index} (title: "${trackTitle}") didn't match any rule, copying track`);
+            outputTracks.push({ inputIndex: inputTrackIndex, track, codec: 'copy' });
+            return;
+        }
 
-            ruleMatched = true;
-            log(`Track ${track.index} (title: "${trackTitle}") matches rule "${rule.name ? rule.name : JSON.stringify(rule.match)}", applying operations ...`);
+        const matchedBranches = matchResult.branches.length > 0 ? ` (matched branches: ${matchResult.branches.join(', ')})` : '';
+        log(`Track ${track.index} (title: "${trackTitle}") matches rule "${rules.getRuleName(rule)}"${matchedBranches}, applying operations ...`);
+        requireTranscode = true;
 
-            if(rule.operations.length === 0) {
-                log(" -> Removing track");
+        if(rule.operations.length === 0) {
+            log(" -> Removing track");
+            return;
+        }
+
+        // Apply operations
+        rule.operations.forEach(operation => {
+            let logEntry = ' -> ';
+
+            // Copy a track:
+            if(operation.copy) {
+                logEntry += 'Copying track';
+                const outputTrack = { inputIndex: inputTrackIndex, track, codec: 'copy' };
+                if(operation.copy.title) {
+                    outputTrack.title = rules.getNewTrackTitle(taggedTrack, matchResult.title, operation.copy.title,
+                        { bitrate: track.bit_rate, dispositions: operation.copy.dispositions }, { ruleName: rules.getRuleName(rule) });
+                    logEntry += `, renaming it to "${outputTrack.title}"`;
+                }
+                if(operation.copy.dispositions) {
+                    outputTrack.dispositions = operation.copy.dispositions;
+                    logEntry += `, dispositions ${rules.getDispositionFlags(outputTrack.dispositions)}`;
+                }
+                outputTracks.push(outputTrack);
             }
-            else {
-                // Apply operations
-                rule.operations.forEach(operation => {
-                    let logEntry = ' -> ';
-
-                    // Copy a track:
-                    if(operation.copy) {
-                        logEntry += 'Copying track';
-                        audioTracksCommands.push(`-map 0:a:${inputTrackIndex} -c:a:${outputTrackIndex} copy`);
-                        if(operation.copy.title) {
-                            const newTrackTitle = getNewTrackTitle(track, rule.match.title, operation.copy, track.bit_rate);
-                            logEntry += `, renaming it to "${newTrackTitle}"`;
-                            audioTracksCommands.push(`-metadata:s:a:${outputTrackIndex} "title=${newTrackTitle}"`);
-                        }
-                        if(operation.copy.dispositions) {
-                            const dispositionsFlags = getDispositionFlags(operation.copy.dispositions);
-                            logEntry += `, dispositions ${dispositionsFlags}`;
-                            audioTracksCommands.push(`-disposition:a:${outputTrackIndex} ${dispositionsFlags}`);
-                        }
+
+            // Extract the core of a track, losslessly:
+            else if(operation.extractCore) {
+                logEntry += 'Extracting core';
+                const coreError = rules.getCoreExtractionError(track);
+                if(coreError) {
+                    log(`${logEntry} refused (${coreError}), copying the original track instead`);
+                    outputTracks.push({ inputIndex: inputTrackIndex, track, codec: 'copy' });
+                    return;
+                }
+
+                const core = rules.getTrackCore(track);
+                const outputTrack = { inputIndex: inputTrackIndex, track, codec: 'copy', bitstreamFilter: core.bitstreamFilter, channels: core.channels };
+                if(core.bitrate) outputTrack.bitrate = core.bitrate;
+                logEntry += ` ${core.codec.toUpperCase()} ${core.channels}ch${core.bitrate ? ` ${core.bitrate}bps` : ''} with the "${core.bitstreamFilter}" bitstream filter`;
+                if(operation.extractCore.title) {
+                    outputTrack.title = rules.getNewTrackTitle(taggedTrack, matchResult.title, operation.extractCore.title,
+                        { codec: core.codec, channels: core.channels, bitrate: core.bitrate, dispositions: operation.extractCore.dispositions }, { ruleName: rules.getRuleName(rule) });
+                    logEntry += `, renaming it to "${outputTrack.title}"`;
+                }
+                if(operation.extractCore.dispositions) {
+                    outputTrack.dispositions = operation.extractCore.dispositions;
+                    logEntry += `, dispositions ${rules.getDispositionFlags(outputTrack.dispositions)}`;
+                }
+                outputTracks.push(outputTrack);
+            }
+
+            // Transcode a track:
+            else if(operation.transcode) {
+                logEntry += 'Transcoding to ';
+
+                // Set new codec
+                const targetCodec = rules.getContainerCodec(operation.transcode.codec === "copy" ? track.codec_name : operation.transcode.codec, file.container, rule.containerPolicy, log);
+                const outputTrack = { inputIndex: inputTrackIndex, track, codec: targetCodec };
+                logEntry += targetCodec.toUpperCase();
+
+                // Refuse encoders ffmpeg doesn't have, rather than failing the whole ffmpeg run
+                const encoderError = rules.getEncoderError(targetCodec);
+                if(encoderError) {
+                    log(`${logEntry} refused (${encoderError}), copying the original track instead`);
+                    outputTracks.push({ inputIndex: inputTrackIndex, track, codec: 'copy' });
+                    return;
+                }
+
+                // Set channels if needed, from the channel layout if one is requested
+                const requestedLayout = operation.transcode.channelLayout;
+                let channels = operation.transcode.channels ? operation.transcode.channels : (requestedLayout ? rules.layoutChannels[requestedLayout] : track.channels);
+                const limitedChannels = rules.limitChannels(targetCodec, channels);
+                if(operation.transcode.channels || requestedLayout || channels !== track.channels || limitedChannels !== channels) {
+                    outputTrack.channels = limitedChannels;
+                    logEntry += ` ${limitedChannels}ch`;
+                }
+
+                // Set channel layout if needed: the requested one, or one the encoder accepts in place of the source's exotic or unknown layout
+                const channelLayout = rules.getOutputChannelLayout(targetCodec, track, limitedChannels, requestedLayout);
+                if(channelLayout) {
+                    outputTrack.channelLayout = channelLayout;
+                    logEntry += ` ${channelLayout}`;
+                    const replacedLayout = requestedLayout || rules.getTrackChannelLayout(track);
+                    if(channelLayout !== replacedLayout) logEntry += replacedLayout ? ` (remapped from ${replacedLayout}, which ${targetCodec.toUpperCase()} doesn't support)` : ' (source layout unknown)';
+                }
+
+                // Set bitrate if needed, either fixed or proportional to the output channels
+                const outputChannels = outputTrack.channels || track.channels;
+                const requestedBitrate = operation.transcode.bitratePerChannel ? operation.transcode.bitratePerChannel * outputChannels : operation.transcode.bitrate;
+                let bitrate = requestedBitrate ? requestedBitrate : track.bit_rate;
+                if(requestedBitrate) {
+                    bitrate = rules.limitBitrate(targetCodec, bitrate, outputChannels);
+                    if(bitrate === null) {
+                        logEntry += ` (bitrate ignored, ${targetCodec.toUpperCase()} is lossless)`;
                     }
+                    else {
+                        outputTrack.bitrate = bitrate;
+                        logEntry += ` ${bitrate}bps`;
+                        if(operation.transcode.bitratePerChannel) logEntry += ` (${operation.transcode.bitratePerChannel}bps per channel)`;
+                        if(bitrate !== requestedBitrate) logEntry += ` (adjusted from ${requestedBitrate}bps to fit ${targetCodec.toUpperCase()} supported bitrates)`;
+                    }
+                }
 
-                    // Transcode a track:
-                    else if(operation.transcode) {
-                        logEntry += 'Transcoding to ';
-                        audioTracksCommands.push(`-map 0:a:${inputTrackIndex}`); // Map the original audio track
-
-                        // Set new codec
-                        const targetCodec = operation.transcode.codec === "copy" ? track.codec_name : operation.transcode.codec;
-                        audioTracksCommands.push(`-c:a:${outputTrackIndex} ${targetCodec}`); // Set the new track's target codec
-                        logEntry += targetCodec.toUpperCase();
-
-                        // Set channels if needed
-                        let channels = operation.transcode.channels ? operation.transcode.channels : track.channels;
-                        let forceChannels = false;
-
-                        // Safety: Force 8 channels if target is AAC and source is >6ch with no user override.
-                        // This prevents crashes on exotic layouts (e.g. Atmos TFL/TFR) by forcing a standard 7.1 layout mapping.
-                        if (targetCodec.toLowerCase() === 'aac' && track.channels > 6 && !operation.transcode.channels) {
-                            logEntry += ` (forcing 8 channels for AAC, to avoid exotic layouts issues with AAC encoder)`;
-                            forceChannels = true;
-                            channels = 8;
+                // Set VBR quality if needed, replacing the bitrate unless the encoder uses it as its VBR target
+                let quality;
+                if(operation.transcode.quality !== undefined) {
+                    const qualityControl = rules.getQualityControl(targetCodec);
+                    if(!qualityControl) {
+                        logEntry += ` (quality ignored, ${targetCodec.toUpperCase()} has no VBR mode)`;
+                    }
+                    else {
+                        quality = rules.limitQuality(targetCodec, operation.transcode.quality);
+                        outputTrack.quality = quality;
+                        logEntry += ` VBR quality ${quality}`;
+                        if(quality !== operation.transcode.quality) logEntry += ` (adjusted from ${operation.transcode.quality} to fit ${targetCodec.toUpperCase()} quality range)`;
+                        if(!qualityControl.bitrateTarget) {
+                            delete outputTrack.bitrate;
+                            bitrate = undefined;
                         }
+                    }
+                }
 
-                        if(operation.transcode.channels || channels !== track.channels || (codecChannelsLimits[targetCodec] && channels > codecChannelsLimits[targetCodec]) ||forceChannels) {
-                            if(codecChannelsLimits[targetCodec] && channels > codecChannelsLimits[targetCodec])
-                                channels = codecChannelsLimits[targetCodec];
-                            audioTracksCommands.push(`-ac:a:${outputTrackIndex} ${channels}`);
-                            logEntry += ` ${channels}ch`;
-                        }
+                // Set sample rate if needed, or if the encoder doesn't support the original one
+                const sampleRate = operation.transcode.sampleRate ? operation.transcode.sampleRate : track.sample_rate;
+                const limitedSampleRate = sampleRate ? rules.limitSampleRate(targetCodec, sampleRate) : sampleRate;
+                if(operation.transcode.sampleRate || limitedSampleRate !== sampleRate) {
+                    outputTrack.sampleRate = parseInt(limitedSampleRate);
+                    logEntry += ` ${outputTrack.sampleRate}Hz`;
+                    if(limitedSampleRate !== sampleRate) logEntry += ` (adjusted from ${sampleRate}Hz to fit ${targetCodec.toUpperCase()} supported sample rates)`;
+                }
 
-                        // Set bitrate if needed
-                        let bitrate = operation.transcode.bitrate ? operation.transcode.bitrate : track.bit_rate;
-                        if(operation.transcode.bitrate) {
-                            if (codecBitrateLimits[targetCodec] && bitrate > codecBitrateLimits[targetCodec])
-                                bitrate = codecBitrateLimits[targetCodec];
-                            audioTracksCommands.push(`-b:a:${outputTrackIndex} ${bitrate}`); // Set bitrate
-                            logEntry += ` ${bitrate}bps`;
-                        }
+                // Set sample format if needed
+                if(operation.transcode.sampleFormat) {
+                    outputTrack.sampleFormat = rules.limitSampleFormat(targetCodec, operation.transcode.sampleFormat);
+                    logEntry += ` ${outputTrack.sampleFormat}`;
+                    if(outputTrack.sampleFormat !== operation.transcode.sampleFormat) logEntry += ` (adjusted from ${operation.transcode.sampleFormat} to fit ${targetCodec.toUpperCase()} supported sample formats)`;
+                }
 
-                        // Set track's title
-                        if(operation.transcode.title) {
-                            const newTrackTitle = getNewTrackTitle(track, rule.match.title, operation.transcode, bitrate);
-                            audioTracksCommands.push(`-metadata:s:a:${outputTrackIndex} "title=${newTrackTitle}"`); // Set track title
-                            logEntry += ` renamed to "${newTrackTitle}"`;
-                        }
+                // Set track's title
+                if(operation.transcode.title) {
+                    outputTrack.title = rules.getNewTrackTitle(taggedTrack, matchResult.title, operation.transcode.title,
+                        { codec: targetCodec, channels: outputTrack.channels, channelLayout, bitrate, quality, sampleRate: outputTrack.sampleRate, dispositions: operation.transcode.dispositions }, { ruleName: rules.getRuleName(rule) });
+                    logEntry += ` renamed to "${outputTrack.title}"`;
+                }
 
-                        // Set track's new dispositions
-                        if(operation.transcode.dispositions) {
-                            const dispositionsFlags = getDispositionFlags(operation.transcode.dispositions);
-                            logEntry += `, dispositions ${dispositionsFlags}`;
-                            audioTracksCommands.push(`-disposition:a:${outputTrackIndex} ${dispositionsFlags}`);
-                        }
+                // Keep the rule's container policy, applied if the container can't hold the codec
+                if(rule.containerPolicy) outputTrack.containerPolicy = rule.containerPolicy;
 
-                        // Set track's filters
-                        if(operation.transcode.filters) {
-                            logEntry += `, filters "${operation.transcode.filters}"`;
-                            audioTracksCommands.push(`-filter:a:${outputTrackIndex} "${operation.transcode.filters}"`);
-                        }
+                // Set track's new dispositions
+                if(operation.transcode.dispositions) {
+                    outputTrack.dispositions = operation.transcode.dispositions;
+                    logEntry += `, dispositions ${rules.getDispositionFlags(outputTrack.dispositions)}`;
+                }
+
+                // Set track's downmix matrix
+                let downmixFilters = '';
+                if(operation.transcode.downmix) {
+                    const downmixChannels = outputTrack.channels || track.channels;
+                    const downmixError = rules.getDownmixError(track, downmixChannels, operation.transcode.downmix);
+                    if(downmixError) {
+                        logEntry += `, "${operation.transcode.downmix}" downmix ignored (${downmixError})`;
+                    }
+                    else {
+                        downmixFilters = rules.getDownmixFilters(track, downmixChannels, operation.transcode.downmix);
+                        logEntry += `, "${operation.transcode.downmix}" downmix`;
                     }
+                }
 
-                    log(logEntry);
-                    outputTrackIndex++;
-                    requireTranscode = true;
-                });
+                // Set track's resampler, converting the sample rate and format last
+                let resampleFilter = '';
+                if(operation.transcode.resampler) {
+                    resampleFilter = rules.getResampleFilter(operation.transcode.resampler, outputTrack.sampleRate, outputTrack.sampleFormat);
+                    if(!resampleFilter) logEntry += ', resampler ignored (no sample rate or format to convert)';
+                }
+
+                // Set track's filters, remapping the channels to the channel layout after the user filters, unless the downmix already did
+                const downmixedLayout = downmixFilters && !operation.transcode.filters && downmixFilters.includes(rules.getChannelLayoutFilter(channelLayout));
+                const channelLayoutFilter = channelLayout && !downmixedLayout ? rules.getChannelLayoutFilter(channelLayout) : '';
+                if(downmixFilters || operation.transcode.filters || channelLayoutFilter || resampleFilter) {
+                    outputTrack.filters = rules.composeFilters(downmixFilters, operation.transcode.filters, channelLayoutFilter, resampleFilter);
+                    logEntry += `, filters "${outputTrack.filters}"`;
+                }
+
+                outputTracks.push(outputTrack);
             }
+
+            log(logEntry);
         });
+    });
 
-        if(!ruleMatched) {
-            log(`Track ${track.index} (title: "${trackTitle}") didn't match any rule, copying track`);
-            audioTracksCommands.push(`-map 0:a:${inputTrackIndex} -c:a:${outputTrackIndex} copy`);
-            outputTrackIndex++;
+    // Write the languages set by the language rules
+    outputTracks.forEach(outputTrack => {
+        const language = rules.getTrackLanguage(taggedTracks[outputTrack.inputIndex]);
+        if (!outputTrack.language && language !== rules.getTrackLanguage(outputTrack.track)) {
+            outputTrack.language = language;
+            requireTranscode = true;
         }
-
-        inputTrackIndex++;
     });
 
-    // If any transcoding is required, build the ffmpeg command
-    if (requireTranscode) {
-        response.processFile = true;
+    // Check each subtitle track
+    let subtitleOutputTracks = rules.getSubtitleOutputTracks(file, log);
+    if (transcodeConfig.subtitleRules) {
+        const subtitleMatchContext = rules.getMatchContext(file, 'subtitle', originalLanguage);
+        const subtitleInputTracks = subtitleOutputTracks;
+        subtitleOutputTracks = [];
+
+        subtitleInputTracks.forEach(({ inputIndex, track }) => {
+
+            // Test the track against each subtitle rule
+            const trackTitle = rules.getTrackTitle(track);
+            const { rule, result: matchResult } = rules.findMatchingRule(track, transcodeConfig.subtitleRules, subtitleMatchContext);
+            if(!rule) {
+                log(`Subtitle track ${track.index} (title: "${trackTitle}") didn't match any subtitle rule, copying track`);
+                subtitleOutputTracks.push({ inputIndex, track, codec: 'copy' });
+                return;
+            }
 
-        // --- FIX FOR UNSUPPORTED SUBTITLES ---
-        // We only map subtitle streams that have a valid codec name identified by FFprobe.
-        const subtitleStreams = file.ffProbeData.streams.filter(s => s.codec_type === 'subtitle');
-        let subtitleCommands = '';
+            log(`Subtitle track ${track.index} (title: "${trackTitle}") matches subtitle rule "${rules.getRuleName(rule)}", applying operations ...`);
+            requireTranscode = true;
 
-        subtitleStreams.forEach((s, idx) => {
-            if (s.codec_name && s.codec_name !== 'none') {
-                subtitleCommands += `-map 0:s:${idx} -c:s:${idx} copy `;
-            } else {
-                log(` -> Subtitle track ${s.index}: Missing codec name. Skipping to prevent crash.`);
+            if(rule.operations.length === 0) {
+                log(" -> Removing track");
+                return;
             }
+
+            // Apply operations
+            rule.operations.forEach(operation => {
+                let logEntry = ' -> ';
+                const parameters = operation.copy || operation.transcode;
+                const outputTrack = { inputIndex, track, codec: 'copy' };
+
+                // Convert the track if possible, copy it otherwise
+                if(operation.transcode) {
+                    const conversionError = rules.getSubtitleConversionError(track, parameters.codec);
+                    if(conversionError) {
+                        logEntry += `Converting to ${parameters.codec.toUpperCase()} refused (${conversionError}), copying track`;
+                    }
+                    else {
+                        outputTrack.codec = parameters.codec;
+                        logEntry += `Converting to ${parameters.codec.toUpperCase()}`;
+                    }
+                }
+                else {
+                    logEntry += 'Copying track';
+                }
+
+                // Set track's title
+                if(parameters.title) {
+                    outputTrack.title = rules.getNewTrackTitle(track, matchResult.title, parameters.title,
+                        { codec: outputTrack.codec, dispositions: parameters.dispositions }, { ruleName: rules.getRuleName(rule) });
+                    logEntry += ` renamed to "${outputTrack.title}"`;
+                }
+
+                // Set track's new dispositions
+                if(parameters.dispositions) {
+                    outputTrack.dispositions = parameters.dispositions;
+                    logEntry += `, dispositions ${rules.getDispositionFlags(outputTrack.dispositions)}`;
+                }
+
+                subtitleOutputTracks.push(outputTrack);
+                log(logEntry);
+            });
         });
+    }
 
-        if (subtitleCommands === '') { subtitleCommands = '-sn '; }
-        // ----------------------------------------
+    // Make the output tracks fit the container
+    const containerCheck = rules.applyContainerPolicies(outputTracks, file.container, log);
+    const containerSwitched = containerCheck.container !== file.container.toLowerCase();
+    if (containerSwitched) response.container = `.${containerCheck.container}`;
+    if (transcodeConfig.subtitleRules || containerSwitched) {
+        subtitleOutputTracks = rules.fitSubtitleTracksToContainer(subtitleOutputTracks, containerCheck.container, log);
+    }
 
+    // Sort the output tracks
+    let sortedOutputTracks = outputTracks;
+    if (transcodeConfig.sort) {
+        sortedOutputTracks = rules.sortOutputTracks(outputTracks, transcodeConfig.sort, matchContext.originalLanguage);
+        if (sortedOutputTracks.some((outputTrack, index) => outputTrack !== outputTracks[index])) {
+            log('Sorting output audio tracks:');
+            sortedOutputTracks.forEach((outputTrack, index) => log(` -> Output track ${index}: ${rules.describeOutputTrack(outputTrack)}`));
+            requireTranscode = true;
+        }
+        else {
+            log('Output audio tracks already sorted');
+        }
+    }
+
+    // Elect the default track
+    if (transcodeConfig.defaultTrack && rules.applyDefaultTrackPolicy(sortedOutputTracks, transcodeConfig.defaultTrack, log, matchContext.originalLanguage)) requireTranscode = true;
+
+    // Skip files the rules already converged on, whose output would be equivalent to the input
+    if (requireTranscode && rules.isOutputEquivalentToInput(file, sortedOutputTracks, subtitleOutputTracks, streamsPolicy, containerCheck.container)) {
+        log('The output would be equivalent to the input file (same streams, codecs, titles and dispositions)');
+        requireTranscode = false;
+    }
+
+    // If any transcoding is required, build the ffmpeg command
+    if (containerCheck.skip) {
+        log(`Skipping the file: ${containerCheck.skip}`);
+    } else if (requireTranscode) {
+        response.processFile = true;
         response.preset = ',' +
-            '-map 0:v -c:v copy ' + // Copy video stream without re-encoding
-            audioTracksCommands.join(' ') + ' ' + // Add audio tracks
-            subtitleCommands + // Add subtitles
-            '-metadata "copyright=' + copyrightData + pluginWatermark + '"'; // Add plugin watermark
+            rules.getVideoCommands(file, streamsPolicy, containerCheck.container, log) + // Copy video streams without re-encoding
+            rules.getAudioTracksCommands(sortedOutputTracks) + ' ' + // Add audio tracks
+            rules.getSubtitleTracksCommands(subtitleOutputTracks) + // Add subtitles
+            rules.getPreservedStreamsCommands(file, streamsPolicy, containerCheck.container, log) + // Keep or drop attachments, data streams, chapters and metadata
+            rules.getWatermarkCommand(file, pluginWatermark, watermarkMode, containerCheck.container); // Add plugin watermark
     } else {
         log("Nothing to convert.");
     }
 
+    // Expose the plan of the audio tracks processing
+    const plan = rules.buildPlan(inputTracksMatches, sortedOutputTracks);
+    response.audioTracksPlan = { dryRun, processFile: response.processFile, ...plan };
+
+    // EXPLAIN
+    if(explain) {
+        log("Rules matching explanation:");
+        rules.formatExplanation(plan).forEach(line => log(line));
+    }
+
     // DRY RUN
     if(dryRun) {
         log("DRY RUN MODE, no action will be performed");
+        log("Audio tracks plan:");
+        rules.formatPlan(plan).forEach(line => log(line));
         log("Resulting ffmpeg command :\n" + response.preset);
         response.preset = '';
         response.processFile = false;
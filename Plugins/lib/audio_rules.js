@@ -0,0 +1,2680 @@
+/**
+ * Tdarr Plugins shared library: Audio Tracks Rules
+ * Description: Track matching, title templating and ffmpeg command building shared by the audio tracks plugins.
+ *
+ * Copy the whole "lib" folder next to the plugins (in Tdarr's "Plugins/Local" folder) and require it from the plugin function:
+ *     const rules = require('./lib/audio_rules');
+ *
+ * "match" object semantics, shared by all plugins (every property is optional, an omitted property matches all tracks):
+ *  - "codecs": a codec selector or an array of codec selectors, compared to ffprobe's "codec_name" (case-insensitive).
+ *  - "languages": a language selector or an array of language selectors, compared to the track's "language" tag ("und" when missing).
+ *      ISO 639-1, 639-2/B and 639-2/T codes and English names of a language are equivalent (e.g., "fr", "fre", "fra" and "French"), and
+ *      "original" stands for the original language of the file (see getOriginalLanguage).
+ *      A list selector is either "*" (everything), a value (e.g., "aac", "eng") or a negated value (e.g., "!aac", "!eng").
+ *      The track matches if it matches none of the negated values and, when the list holds non-negated values, at least one of them.
+ *  - "channels": an int selector or an array of int selectors, compared to the track's channels count. All selectors must be met.
+ *  - "channelLayouts": a list selector or an array of list selectors, compared to ffprobe's "channel_layout" (e.g., "5.1(side)", "7.1", "stereo").
+ *  - "profiles": a list selector or an array of list selectors, compared to the names of the track's codec profile (see getTrackProfiles), e.g.,
+ *      "Dolby TrueHD + Dolby Atmos", "DTS-HD MA", "atmos", "dts:x" or "object-based". A track without profile only matches "*" and negated values.
+ *  - "bitrate": an int selector or an array of int selectors, compared to the track's bitrate in bps. All selectors must be met.
+ *  - "sampleRate": an int selector or an array of int selectors, compared to the track's sample rate in Hz. All selectors must be met.
+ *  - "bitDepth": an int selector or an array of int selectors, compared to the track's bit depth (ffprobe's "bits_per_raw_sample", or
+ *      "bits_per_sample" for PCM tracks). Lossy tracks have no bit depth. All selectors must be met.
+ *      An int selector is either "*" (everything), "<=N", ">=N", "<N", ">N" or "N". A track with no value only matches "*".
+ *  - "dispositions": an object of ffprobe's disposition "key: value" pairs that must all be met. Values can be given as 1/0, "1"/"0" or true/false.
+ *  - "title": an object { "pattern": string, "caseSensitive": boolean (defaults to false) } whose RegExp is tested against the track's title.
+ *  - "all": a "match" object or an array of "match" objects that must all match the track.
+ *  - "any": a "match" object or an array of "match" objects, at least one of which must match the track.
+ *  - "not": a "match" object or an array of "match" objects, none of which may match the track.
+ *      Blocks can be nested at will, and are combined with the other properties of the "match" object they belong to (implicit AND).
+ *
+ * File-context conditions, evaluated against the other tracks of the file (requires a context built with getMatchContext):
+ *  - "audioTracksCount": an int selector or an array of int selectors, compared to the number of audio tracks in the file.
+ *  - "noOtherTrack": a "match" object that no other track of the same type (audio or subtitle) of the file may match.
+ *  - "anyOtherTrack": a "match" object that at least one other track of the same type (audio or subtitle) of the file must match.
+ *  - "sameLanguage": (only inside "noOtherTrack" and "anyOtherTrack") true to only consider other tracks in the same language as the
+ *      tested track, false to only consider other tracks in another language. E.g., {"noOtherTrack": {"sameLanguage": true}} matches
+ *      tracks that are the sole track in their language.
+ *  - "betterTrack": (only inside "noOtherTrack" and "anyOtherTrack") true to only consider other tracks better than the tested track (see
+ *      compareTracks), false to only consider the other ones. E.g., {"noOtherTrack": {"sameLanguage": true, "betterTrack": true}} matches
+ *      the best track of each language.
+ */
+
+// Capabilities of ffmpeg's audio encoders, by encoder name:
+//  - codec: the codec name ffprobe reports for tracks encoded with the encoder
+//  - aliases: other names the encoder can be referred to with (e.g., the codec name when it differs from the encoder's)
+//  - maxChannels, layouts: the maximum number of channels, and the channel layouts the encoder accepts
+//  - bitrates: the valid bitrates in bps, as a { min, max, maxPerChannel } range or a list of "steps" (lossy encoders only)
+//  - sampleRates: the sample rates the encoder accepts (any when omitted)
+//  - sampleFormats: the sample formats the encoder accepts, in ffmpeg's order of preference
+//  - quality: the encoder's native VBR control { option, min, max, bitrateTarget }, "option" being the ffmpeg option taking a quality value
+//      between "min" and "max" (e.g., "-q:a" from 0 to 9 for libmp3lame, lower is better). The quality replaces the bitrate, unless "bitrateTarget"
+//      is set: the bitrate remains the encoder's VBR target, and the quality sets the encoding effort (e.g., libopus's "-compression_level")
+//  - lossless: whether the encoder is lossless (no bitrate applies)
+//  - experimental: whether ffmpeg requires "-strict experimental" to use the encoder
+const encoderCapabilities = {
+    aac: {
+        codec: 'aac', aliases: [], maxChannels: 8, layouts: ['mono', 'stereo', '2.1', '3.0', '3.1', '4.0', '4.1', '5.0', '5.1', '6.1', '7.1', '7.1(wide)'],
+        bitrates: { min: 16000, max: 1536000, maxPerChannel: 288000 }, sampleRates: [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350], sampleFormats: ['fltp'], quality: { option: 'q', min: 0.1, max: 2 }, lossless: false,
+    },
+    libfdk_aac: {
+        codec: 'aac', aliases: [], maxChannels: 8, layouts: ['mono', 'stereo', '3.0', '4.0', '5.0', '5.1', '7.1', '7.1(wide)'],
+        bitrates: { min: 8000, max: 1536000, maxPerChannel: 288000 }, sampleRates: [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000], sampleFormats: ['s16'], quality: { option: 'vbr', min: 1, max: 5 }, lossless: false,
+    },
+    ac3: {
+        codec: 'ac3', aliases: [], maxChannels: 6, layouts: ['mono', 'stereo', '2.1', '3.0', '3.1', '4.0', '4.1', '5.0', '5.0(side)', '5.1', '5.1(side)'],
+        bitrates: { steps: [32000, 40000, 48000, 56000, 64000, 80000, 96000, 112000, 128000, 160000, 192000, 224000, 256000, 320000, 384000, 448000, 512000, 576000, 640000] },
+        sampleRates: [48000, 44100, 32000], sampleFormats: ['fltp'], lossless: false,
+    },
+    eac3: {
+        codec: 'eac3', aliases: [], maxChannels: 6, layouts: ['mono', 'stereo', '2.1', '3.0', '3.1', '4.0', '4.1', '5.0', '5.0(side)', '5.1', '5.1(side)'],
+        bitrates: { min: 32000, max: 6144000 }, sampleRates: [48000, 44100, 32000], sampleFormats: ['fltp'], lossless: false,
+    },
+    libmp3lame: {
+        codec: 'mp3', aliases: ['mp3'], maxChannels: 2, layouts: ['mono', 'stereo'],
+        bitrates: { steps: [8000, 16000, 24000, 32000, 40000, 48000, 56000, 64000, 80000, 96000, 112000, 128000, 144000, 160000, 192000, 224000, 256000, 320000] },
+        sampleRates: [48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000], sampleFormats: ['s32p', 'fltp', 's16p'], quality: { option: 'q', min: 0, max: 9 }, lossless: false,
+    },
+    libopus: {
+        codec: 'opus', aliases: ['opus'], maxChannels: 8, layouts: ['mono', 'stereo', '3.0', '4.0', '5.0', '5.1', '6.1', '7.1'],
+        bitrates: { min: 6000, max: 2048000, maxPerChannel: 256000 }, sampleRates: [48000, 24000, 16000, 12000, 8000], sampleFormats: ['s16', 'flt'], quality: { option: 'compression_level', min: 0, max: 10, bitrateTarget: true }, lossless: false,
+    },
+    libvorbis: {
+        codec: 'vorbis', aliases: ['vorbis'], maxChannels: 8, layouts: ['mono', 'stereo', '3.0', '4.0', '5.0', '5.1', '6.1', '7.1'],
+        bitrates: { min: 32000, max: 2000000, maxPerChannel: 250000 }, sampleFormats: ['fltp'], quality: { option: 'q', min: -1, max: 10 }, lossless: false,
+    },
+    dca: {
+        codec: 'dts', aliases: ['dts'], maxChannels: 6, layouts: ['mono', 'stereo', '2.1', '3.0', '3.1', '4.0', '4.1', '5.0', '5.0(side)', '5.1', '5.1(side)'],
+        bitrates: { min: 32000, max: 3840000 }, sampleRates: [48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000], sampleFormats: ['s32'], lossless: false, experimental: true,
+    },
+    flac: {
+        codec: 'flac', aliases: [], maxChannels: 8, layouts: ['mono', 'stereo', '3.0', '4.0', '5.0', '5.1', '6.1', '7.1'], sampleFormats: ['s16', 's32'], quality: { option: 'compression_level', min: 0, max: 12 }, lossless: true,
+    },
+    alac: {
+        codec: 'alac', aliases: [], maxChannels: 8, layouts: ['mono', 'stereo', '3.0', '4.0', '5.0', '5.1', '6.1', '7.1(wide)'], sampleFormats: ['s16p', 's32p'], lossless: true,
+    },
+    truehd: {
+        codec: 'truehd', aliases: [], maxChannels: 6, layouts: ['mono', 'stereo', '2.1', '3.0', '3.1', '4.0', '4.1', '5.0', '5.0(side)', '5.1', '5.1(side)'],
+        sampleRates: [192000, 176400, 96000, 88200, 48000, 44100], sampleFormats: ['s16', 's32'], lossless: true, experimental: true,
+    },
+};
+
+// Channels count of the channel layouts reported by ffprobe
+const layoutChannels = {
+    'mono': 1, 'stereo': 2, '2.1': 3, '3.0': 3, '3.0(back)': 3, '3.1': 4, '4.0': 4, 'quad': 4, 'quad(side)': 4, '4.1': 5, '5.0': 5, '5.0(side)': 5,
+    '5.1': 6, '5.1(side)': 6, '6.0': 6, '6.0(front)': 6, 'hexagonal': 6, '6.1': 7, '6.1(back)': 7, '6.1(front)': 7, '7.0': 7, '7.0(front)': 7,
+    '7.1': 8, '7.1(wide)': 8, '7.1(wide-side)': 8, '7.1(top)': 8, 'octagonal': 8, 'cube': 8, '5.1.2': 8, '5.1.4': 10, '7.1.2': 10, '7.1.4': 12,
+    '7.2.3': 12, '9.1.4': 14, 'hexadecagonal': 16, '22.2': 24,
+};
+
+// Standard channel layout of each channels count, preferred when a track's layout has to be replaced by one the encoder accepts
+const standardChannelLayouts = { 1: 'mono', 2: 'stereo', 3: '2.1', 4: '4.0', 5: '5.0', 6: '5.1', 7: '6.1', 8: '7.1' };
+
+// ffprobe's codec names of the codecs ffmpeg can decode but has no encoder for
+const decodeOnlyCodecs = ['wmapro', 'wmavoice', 'wmalossless', 'cook', 'atrac3', 'atrac3p', 'atrac9', 'ra_144', 'ra_288', 'qdm2', 'qdmc', 'dolby_e'];
+
+
+// --------------------------------------------------- UTILS --------------------------------------------------- //
+
+
+// Returns a log function appending entries to the given response's infoLog
+function createLogger(response) {
+    return (entry) => {
+        console.log(entry);
+        response.infoLog += entry + "\n";
+    };
+}
+
+// Returns the given value as an array (an empty array if the value is undefined)
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Returns the audio streams of the given file
+function getAudioTracks(file) {
+    return file.ffProbeData.streams.filter(stream => stream.codec_type === 'audio');
+}
+
+// Returns the lowercase codec name of the given track
+function getTrackCodec(track) {
+    return (track.codec_name || '').toLowerCase();
+}
+
+// Returns the language of the given track, or 'und' if the track isn't tagged
+function getTrackLanguage(track) {
+    return track.tags && track.tags.language ? track.tags.language : 'und';
+}
+
+// Returns the title of the given track, or an empty string if the track has no title
+function getTrackTitle(track) {
+    return track.tags && track.tags.title ? track.tags.title : '';
+}
+
+// Returns the channel layout of the given track, or an empty string if ffprobe doesn't report it
+function getTrackChannelLayout(track) {
+    return track.channel_layout && track.channel_layout !== 'unknown' ? track.channel_layout : '';
+}
+
+// Returns the bit depth of the given track (ffprobe's "bits_per_raw_sample", or "bits_per_sample" for PCM tracks), or undefined for lossy tracks
+function getTrackBitDepth(track) {
+    const bitDepth = parseInt(track.bits_per_raw_sample) || parseInt(track.bits_per_sample);
+    return bitDepth > 0 ? bitDepth : undefined;
+}
+
+// Returns a fancy channel name from the channels count
+function getFancyChannels(channelsCount) {
+    const channels = parseInt(channelsCount);
+    if(channels === 1) return "Mono";
+    if(channels === 2) return "Stereo";
+    return `${channels - 1}.1`;
+}
+
+
+// --------------------------------------------------- LANGUAGES --------------------------------------------------- //
+
+
+// ISO 639 languages: [ISO 639-1 code, ISO 639-2/B code, ISO 639-2/T code, English name]. Codes that are the same language (e.g., "fr",
+// "fre" and "fra") match the same language selectors. Languages without ISO 639-1 code have an empty one.
+const isoLanguages = [
+    ['aa', 'aar', 'aar', 'Afar'], ['ab', 'abk', 'abk', 'Abkhazian'], ['af', 'afr', 'afr', 'Afrikaans'], ['ak', 'aka', 'aka', 'Akan'],
+    ['am', 'amh', 'amh', 'Amharic'], ['ar', 'ara', 'ara', 'Arabic'], ['an', 'arg', 'arg', 'Aragonese'], ['as', 'asm', 'asm', 'Assamese'],
+    ['av', 'ava', 'ava', 'Avaric'], ['ae', 'ave', 'ave', 'Avestan'], ['ay', 'aym', 'aym', 'Aymara'], ['az', 'aze', 'aze', 'Azerbaijani'],
+    ['ba', 'bak', 'bak', 'Bashkir'], ['bm', 'bam', 'bam', 'Bambara'], ['be', 'bel', 'bel', 'Belarusian'], ['bn', 'ben', 'ben', 'Bengali'],
+    ['bh', 'bih', 'bih', 'Bihari'], ['bi', 'bis', 'bis', 'Bislama'], ['bo', 'tib', 'bod', 'Tibetan'], ['bs', 'bos', 'bos', 'Bosnian'],
+    ['br', 'bre', 'bre', 'Breton'], ['bg', 'bul', 'bul', 'Bulgarian'], ['ca', 'cat', 'cat', 'Catalan'], ['cs', 'cze', 'ces', 'Czech'],
+    ['ch', 'cha', 'cha', 'Chamorro'], ['ce', 'che', 'che', 'Chechen'], ['cu', 'chu', 'chu', 'Church Slavic'], ['cv', 'chv', 'chv', 'Chuvash'],
+    ['kw', 'cor', 'cor', 'Cornish'], ['co', 'cos', 'cos', 'Corsican'], ['cr', 'cre', 'cre', 'Cree'], ['cy', 'wel', 'cym', 'Welsh'],
+    ['da', 'dan', 'dan', 'Danish'], ['de', 'ger', 'deu', 'German'], ['dv', 'div', 'div', 'Divehi'], ['dz', 'dzo', 'dzo', 'Dzongkha'],
+    ['el', 'gre', 'ell', 'Greek'], ['en', 'eng', 'eng', 'English'], ['eo', 'epo', 'epo', 'Esperanto'], ['et', 'est', 'est', 'Estonian'],
+    ['eu', 'baq', 'eus', 'Basque'], ['ee', 'ewe', 'ewe', 'Ewe'], ['fo', 'fao', 'fao', 'Faroese'], ['fa', 'per', 'fas', 'Persian'],
+    ['fj', 'fij', 'fij', 'Fijian'], ['fi', 'fin', 'fin', 'Finnish'], ['fr', 'fre', 'fra', 'French'], ['fy', 'fry', 'fry', 'Western Frisian'],
+    ['ff', 'ful', 'ful', 'Fulah'], ['gd', 'gla', 'gla', 'Scottish Gaelic'], ['ga', 'gle', 'gle', 'Irish'], ['gl', 'glg', 'glg', 'Galician'],
+    ['gv', 'glv', 'glv', 'Manx'], ['gn', 'grn', 'grn', 'Guarani'], ['gu', 'guj', 'guj', 'Gujarati'], ['ht', 'hat', 'hat', 'Haitian'],
+    ['ha', 'hau', 'hau', 'Hausa'], ['he', 'heb', 'heb', 'Hebrew'], ['hz', 'her', 'her', 'Herero'], ['hi', 'hin', 'hin', 'Hindi'],
+    ['ho', 'hmo', 'hmo', 'Hiri Motu'], ['hr', 'hrv', 'hrv', 'Croatian'], ['hu', 'hun', 'hun', 'Hungarian'], ['hy', 'arm', 'hye', 'Armenian'],
+    ['ig', 'ibo', 'ibo', 'Igbo'], ['io', 'ido', 'ido', 'Ido'], ['ii', 'iii', 'iii', 'Sichuan Yi'], ['iu', 'iku', 'iku', 'Inuktitut'],
+    ['ie', 'ile', 'ile', 'Interlingue'], ['ia', 'ina', 'ina', 'Interlingua'], ['id', 'ind', 'ind', 'Indonesian'], ['ik', 'ipk', 'ipk', 'Inupiaq'],
+    ['is', 'ice', 'isl', 'Icelandic'], ['it', 'ita', 'ita', 'Italian'], ['jv', 'jav', 'jav', 'Javanese'], ['ja', 'jpn', 'jpn', 'Japanese'],
+    ['kl', 'kal', 'kal', 'Kalaallisut'], ['kn', 'kan', 'kan', 'Kannada'], ['ks', 'kas', 'kas', 'Kashmiri'], ['ka', 'geo', 'kat', 'Georgian'],
+    ['kr', 'kau', 'kau', 'Kanuri'], ['kk', 'kaz', 'kaz', 'Kazakh'], ['km', 'khm', 'khm', 'Khmer'], ['ki', 'kik', 'kik', 'Kikuyu'],
+    ['rw', 'kin', 'kin', 'Kinyarwanda'], ['ky', 'kir', 'kir', 'Kyrgyz'], ['kv', 'kom', 'kom', 'Komi'], ['kg', 'kon', 'kon', 'Kongo'],
+    ['ko', 'kor', 'kor', 'Korean'], ['kj', 'kua', 'kua', 'Kuanyama'], ['ku', 'kur', 'kur', 'Kurdish'], ['lo', 'lao', 'lao', 'Lao'],
+    ['la', 'lat', 'lat', 'Latin'], ['lv', 'lav', 'lav', 'Latvian'], ['li', 'lim', 'lim', 'Limburgan'], ['ln', 'lin', 'lin', 'Lingala'],
+    ['lt', 'lit', 'lit', 'Lithuanian'], ['lb', 'ltz', 'ltz', 'Luxembourgish'], ['lu', 'lub', 'lub', 'Luba-Katanga'], ['lg', 'lug', 'lug', 'Ganda'],
+    ['mh', 'mah', 'mah', 'Marshallese'], ['ml', 'mal', 'mal', 'Malayalam'], ['mr', 'mar', 'mar', 'Marathi'], ['mk', 'mac', 'mkd', 'Macedonian'],
+    ['mg', 'mlg', 'mlg', 'Malagasy'], ['mt', 'mlt', 'mlt', 'Maltese'], ['mn', 'mon', 'mon', 'Mongolian'], ['mi', 'mao', 'mri', 'Maori'],
+    ['ms', 'may', 'msa', 'Malay'], ['my', 'bur', 'mya', 'Burmese'], ['na', 'nau', 'nau', 'Nauru'], ['nv', 'nav', 'nav', 'Navajo'],
+    ['nr', 'nbl', 'nbl', 'South Ndebele'], ['nd', 'nde', 'nde', 'North Ndebele'], ['ng', 'ndo', 'ndo', 'Ndonga'], ['ne', 'nep', 'nep', 'Nepali'],
+    ['nl', 'dut', 'nld', 'Dutch'], ['nn', 'nno', 'nno', 'Norwegian Nynorsk'], ['nb', 'nob', 'nob', 'Norwegian Bokmål'],
+    ['no', 'nor', 'nor', 'Norwegian'], ['ny', 'nya', 'nya', 'Chichewa'], ['oc', 'oci', 'oci', 'Occitan'], ['oj', 'oji', 'oji', 'Ojibwa'],
+    ['or', 'ori', 'ori', 'Oriya'], ['om', 'orm', 'orm', 'Oromo'], ['os', 'oss', 'oss', 'Ossetian'], ['pa', 'pan', 'pan', 'Punjabi'],
+    ['pi', 'pli', 'pli', 'Pali'], ['pl', 'pol', 'pol', 'Polish'], ['pt', 'por', 'por', 'Portuguese'], ['ps', 'pus', 'pus', 'Pashto'],
+    ['qu', 'que', 'que', 'Quechua'], ['rm', 'roh', 'roh', 'Romansh'], ['ro', 'rum', 'ron', 'Romanian'], ['rn', 'run', 'run', 'Rundi'],
+    ['ru', 'rus', 'rus', 'Russian'], ['sg', 'sag', 'sag', 'Sango'], ['sa', 'san', 'san', 'Sanskrit'], ['si', 'sin', 'sin', 'Sinhala'],
+    ['sk', 'slo', 'slk', 'Slovak'], ['sl', 'slv', 'slv', 'Slovenian'], ['se', 'sme', 'sme', 'Northern Sami'], ['sm', 'smo', 'smo', 'Samoan'],
+    ['sn', 'sna', 'sna', 'Shona'], ['sd', 'snd', 'snd', 'Sindhi'], ['so', 'som', 'som', 'Somali'], ['st', 'sot', 'sot', 'Southern Sotho'],
+    ['es', 'spa', 'spa', 'Spanish'], ['sq', 'alb', 'sqi', 'Albanian'], ['sc', 'srd', 'srd', 'Sardinian'], ['sr', 'srp', 'srp', 'Serbian'],
+    ['ss', 'ssw', 'ssw', 'Swati'], ['su', 'sun', 'sun', 'Sundanese'], ['sw', 'swa', 'swa', 'Swahili'], ['sv', 'swe', 'swe', 'Swedish'],
+    ['ty', 'tah', 'tah', 'Tahitian'], ['ta', 'tam', 'tam', 'Tamil'], ['tt', 'tat', 'tat', 'Tatar'], ['te', 'tel', 'tel', 'Telugu'],
+    ['tg', 'tgk', 'tgk', 'Tajik'], ['tl', 'tgl', 'tgl', 'Tagalog'], ['th', 'tha', 'tha', 'Thai'], ['ti', 'tir', 'tir', 'Tigrinya'],
+    ['to', 'ton', 'ton', 'Tonga'], ['tn', 'tsn', 'tsn', 'Tswana'], ['ts', 'tso', 'tso', 'Tsonga'], ['tk', 'tuk', 'tuk', 'Turkmen'],
+    ['tr', 'tur', 'tur', 'Turkish'], ['tw', 'twi', 'twi', 'Twi'], ['ug', 'uig', 'uig', 'Uyghur'], ['uk', 'ukr', 'ukr', 'Ukrainian'],
+    ['ur', 'urd', 'urd', 'Urdu'], ['uz', 'uzb', 'uzb', 'Uzbek'], ['ve', 'ven', 'ven', 'Venda'], ['vi', 'vie', 'vie', 'Vietnamese'],
+    ['vo', 'vol', 'vol', 'Volapük'], ['wa', 'wln', 'wln', 'Walloon'], ['wo', 'wol', 'wol', 'Wolof'], ['xh', 'xho', 'xho', 'Xhosa'],
+    ['yi', 'yid', 'yid', 'Yiddish'], ['yo', 'yor', 'yor', 'Yoruba'], ['za', 'zha', 'zha', 'Zhuang'], ['zh', 'chi', 'zho', 'Chinese'],
+    ['zu', 'zul', 'zul', 'Zulu'], ['', 'fil', 'fil', 'Filipino'], ['', 'mis', 'mis', 'Uncoded languages'], ['', 'mul', 'mul', 'Multiple languages'],
+    ['', 'und', 'und', 'Undetermined'], ['', 'zxx', 'zxx', 'No linguistic content'],
+];
+
+// Language selector value standing for the original language of the file (see getOriginalLanguage)
+const originalLanguageSelector = 'original';
+
+// ISO 639 languages by lowercase code and English name
+const isoLanguagesByKey = new Map(isoLanguages.flatMap(language => language.filter(key => key !== '').map(key => [key.toLowerCase(), language])));
+
+// Returns the ISO 639 language [639-1, 639-2/B, 639-2/T, name] of the given code or English name (case-insensitive), or null if unknown
+function getIsoLanguage(language) {
+    return isoLanguagesByKey.get(String(language).trim().toLowerCase()) || null;
+}
+
+// Returns the normalized code of the given language: its ISO 639-2/B code (the one Matroska uses, e.g., "fre" for "fr", "fra" or "French"),
+// or the lowercase given code for unknown languages
+function normalizeLanguage(language) {
+    const isoLanguage = getIsoLanguage(language);
+    return isoLanguage ? isoLanguage[1] : String(language).trim().toLowerCase();
+}
+
+// Returns the English name of the given language, or the given code for unknown languages
+function getLanguageName(language) {
+    const isoLanguage = getIsoLanguage(language);
+    return isoLanguage ? isoLanguage[3] : String(language);
+}
+
+// Checks whether two language codes or names refer to the same language
+function isSameLanguage(languageA, languageB) {
+    return normalizeLanguage(languageA) === normalizeLanguage(languageB);
+}
+
+// Returns the normalized original language of the file: the given language (e.g., a plugin input) if any, otherwise the language of
+// the first audio track flagged "original", or of the first audio track ("und" if it isn't tagged or the file has no audio track)
+function getOriginalLanguage(file, language = '') {
+    if (String(language).trim() !== '') return normalizeLanguage(language);
+    const audioTracks = getAudioTracks(file);
+    const originalTrack = audioTracks.find(track => track.disposition && toDispositionValue(track.disposition.original) === 1) || audioTracks[0];
+    return normalizeLanguage(originalTrack ? getTrackLanguage(originalTrack) : 'und');
+}
+
+// Returns the normalized language a language selector value refers to, "original" standing for the given original language
+// (which nothing matches when it's unknown)
+function resolveLanguage(language, originalLanguage) {
+    if (String(language).trim().toLowerCase() !== originalLanguageSelector) return normalizeLanguage(language);
+    return originalLanguage ? normalizeLanguage(originalLanguage) : originalLanguageSelector;
+}
+
+// Checks the given language against one or several list selectors ("*", "language" or "!language"), the ISO 639 codes and English
+// name of a language being equivalent, and "original" standing for the given original language
+function matchesLanguageSelectors(language, selectors, originalLanguage) {
+    const resolvedSelectors = toArray(selectors).map(selector => {
+        const trimmedSelector = String(selector).trim();
+        const isExcluded = trimmedSelector.startsWith('!');
+        const value = isExcluded ? trimmedSelector.slice(1) : trimmedSelector;
+        return value === '*' || value === '' ? trimmedSelector : (isExcluded ? '!' : '') + resolveLanguage(value, originalLanguage);
+    });
+    return matchesListSelectors(normalizeLanguage(language), resolvedSelectors);
+}
+
+// Returns the rank of a language in a priority list of languages, "original" standing for the given original language, languages absent
+// from the list being ranked last
+function getLanguageRank(language, order, originalLanguage) {
+    const index = order.findIndex(value => resolveLanguage(value, originalLanguage) === normalizeLanguage(language));
+    return index < 0 ? order.length : index;
+}
+
+// Words of track titles and file paths telling the language of a track, besides the English language names (e.g., "French"):
+// native names and release tags. "original" stands for the original language of the file (e.g., "VO" for "version originale").
+const languageKeywords = {
+    vf: 'fre', vff: 'fre', vfq: 'fre', vfi: 'fre', truefrench: 'fre', francais: 'fre', français: 'fre', castellano: 'spa', español: 'spa',
+    espanol: 'spa', latino: 'spa', deutsch: 'ger', italiano: 'ita', português: 'por', portugues: 'por', dublado: 'por', nederlands: 'dut',
+    polski: 'pol', русский: 'rus', nihongo: 'jpn', 日本語: 'jpn', 中文: 'chi', 한국어: 'kor', vo: 'original', vost: 'original', vostfr: 'original',
+};
+
+// Sources a track's language can be inferred from
+const languageInferenceSources = ['title', 'path'];
+
+// Returns the normalized language the given text (a track title or a part of a file path) tells, or null if it tells none.
+// Only whole words are considered, and language codes are ignored as they're too ambiguous in titles (e.g., "DE", "ES").
+function findLanguageInText(text, originalLanguage) {
+    for (const word of String(text).toLowerCase().split(/[^\p{L}]+/u)) {
+        if (word === '') continue;
+        let language = languageKeywords[word];
+        if (!language) {
+            const isoLanguage = getIsoLanguage(word);
+            if (isoLanguage && word.length >= 4 && isoLanguage[3].toLowerCase() === word) language = isoLanguage[1];
+        }
+        if (language === originalLanguageSelector) language = originalLanguage && normalizeLanguage(originalLanguage) !== 'und' ? normalizeLanguage(originalLanguage) : null;
+        if (language) return language;
+    }
+    return null;
+}
+
+// Infers the language of an audio track from the given sources, in order: "title" (the track's title) and "path" (the file name, then
+// its folders from the closest one). Returns { language, source } or null if no source tells a language.
+function inferTrackLanguage(track, filePath, sources = languageInferenceSources, originalLanguage = null) {
+    for (const source of toArray(sources)) {
+        const texts = source === 'title' ? [getTrackTitle(track)] : String(filePath || '').split(/[\\/]/).reverse().map((name, index) => index === 0 ? name.replace(/\.[^.]*$/, '') : name);
+        for (const text of texts) {
+            const language = findLanguageInText(text, originalLanguage);
+            if (language) return { language, source };
+        }
+    }
+    return null;
+}
+
+
+// --------------------------------------------------- PROFILES --------------------------------------------------- //
+
+
+// Audio codec profiles reported by ffprobe, and the aliases of their features usable in "profiles" selectors
+const knownProfiles = ['DTS', 'DTS-ES', 'DTS 96/24', 'DTS-HD HRA', 'DTS-HD MA', 'DTS-HD MA + DTS:X', 'DTS-HD MA + DTS:X IMAX', 'DTS Express',
+    'Dolby TrueHD + Dolby Atmos', 'Dolby Digital Plus + Dolby Atmos', 'LC', 'HE-AAC', 'HE-AACv2', 'LD', 'ELD', 'Main', 'SSR', 'LTP'];
+const profileAliases = ['atmos', 'dts:x', 'joc', 'object-based'];
+
+// Profiles guessed from the track's title, for the tracks ffprobe reports no profile for (e.g., when probed by an older ffprobe)
+const profileHints = [
+    { codec: 'truehd', pattern: /\batmos\b/i, profile: 'Dolby TrueHD + Dolby Atmos' },
+    { codec: 'eac3', pattern: /\b(atmos|joc)\b/i, profile: 'Dolby Digital Plus + Dolby Atmos' },
+    { codec: 'dts', pattern: /\bdts[:-]?x\b/i, profile: 'DTS-HD MA + DTS:X' },
+    { codec: 'dts', pattern: /\b(dts-hd )?(ma|master audio)\b/i, profile: 'DTS-HD MA' },
+    { codec: 'dts', pattern: /\b(dts-hd )?(hra|high resolution)\b/i, profile: 'DTS-HD HRA' },
+];
+
+// Returns the codec profile of the given track as reported by ffprobe, or else as hinted by its title (see profileHints), or an empty string
+function getTrackProfile(track) {
+    if (track.profile) return track.profile;
+    const hint = profileHints.find(profileHint => profileHint.codec === getTrackCodec(track) && profileHint.pattern.test(getTrackTitle(track)));
+    return hint ? hint.profile : '';
+}
+
+// Returns the lowercase names the given track's profile can be selected with: the full profile, each of its "+"-separated parts, and the
+// aliases of its features: "atmos" for Dolby Atmos, "joc" for E-AC3 with Atmos, "dts:x" for DTS:X (IMAX or not), and "object-based" for both.
+// E.g., "DTS-HD MA + DTS:X" gives ["dts-hd ma + dts:x", "dts-hd ma", "dts:x", "object-based"].
+function getTrackProfiles(track) {
+    const profile = getTrackProfile(track).toLowerCase();
+    if (profile === '') return [];
+    const parts = profile.split('+').map(part => part.trim());
+    const names = [profile, ...parts];
+    const isAtmos = parts.includes('dolby atmos');
+    const isDtsX = parts.some(part => part.startsWith('dts:x'));
+    if (isAtmos) names.push('atmos');
+    if (isAtmos && getTrackCodec(track) === 'eac3') names.push('joc');
+    if (isDtsX) names.push('dts:x');
+    if (isAtmos || isDtsX) names.push('object-based');
+    return [...new Set(names)];
+}
+
+
+// --------------------------------------------------- MATCHING --------------------------------------------------- //
+
+
+// Checks the given int value against a string condition ("*", "<=N", ">=N", "<N", ">N" or "N")
+function matchesIntCondition(value, condition) {
+    const conditionString = String(condition).trim();
+    if (conditionString === "*") return true;
+
+    const intValue = parseInt(value);
+    if (isNaN(intValue)) return false;
+
+    if (conditionString.startsWith("<=")) return intValue <= parseInt(conditionString.slice(2));
+    if (conditionString.startsWith(">=")) return intValue >= parseInt(conditionString.slice(2));
+    if (conditionString.startsWith("<")) return intValue < parseInt(conditionString.slice(1));
+    if (conditionString.startsWith(">")) return intValue > parseInt(conditionString.slice(1));
+    return intValue === parseInt(conditionString);
+}
+
+// Checks the given int value against one or several string conditions, all of which must be met
+function matchesIntConditions(value, conditions) {
+    return toArray(conditions).every(condition => matchesIntCondition(value, condition));
+}
+
+// Checks the given string value, or array of values, against one or several list selectors ("*", "value" or "!value"), case-insensitive.
+// An array of values matches when none of them is excluded and, when there are non-negated selectors, one of them is selected.
+function matchesListSelectors(value, selectors) {
+    const normalizedSelectors = toArray(selectors).map(s => String(s).trim().toLowerCase()).filter(s => s !== '');
+    const normalizedValues = (Array.isArray(value) ? value : [value]).map(v => String(v).toLowerCase());
+
+    const excluded = normalizedSelectors.filter(s => s.startsWith('!')).map(s => s.slice(1));
+    if (normalizedValues.some(v => excluded.includes(v))) return false;
+
+    const included = normalizedSelectors.filter(s => !s.startsWith('!'));
+    return included.length === 0 || included.includes('*') || normalizedValues.some(v => included.includes(v));
+}
+
+// Returns the given disposition value (1/0, "1"/"0" or true/false) as a number
+function toDispositionValue(value) {
+    if (value === true) return 1;
+    if (value === false) return 0;
+    return Number(value);
+}
+
+// Checks the given track's dispositions against an object of "key: value" pairs, all of which must be met
+function matchesDispositions(track, dispositions) {
+    const trackDispositions = track.disposition || {};
+    return Object.entries(dispositions).every(([key, value]) =>
+        key in trackDispositions && toDispositionValue(trackDispositions[key]) === toDispositionValue(value));
+}
+
+// Returns the RegExp defined by a "title" match object, with the given additional flags
+function getTitleRegExp(matchTitle, flags = '') {
+    return new RegExp(matchTitle.pattern, (matchTitle.caseSensitive ? '' : 'i') + flags);
+}
+
+// Returns the matching context of the given file, giving access to the other tracks of the file while matching a track of the given
+// ffprobe's codec_type ("audio" or "subtitle"): "noOtherTrack" and "anyOtherTrack" look at the other tracks of the same type
+function getMatchContext(file, codecType = 'audio', originalLanguage = '') {
+    const audioTracks = getAudioTracks(file);
+    return {
+        audioTracks,
+        tracks: codecType === 'audio' ? audioTracks : file.ffProbeData.streams.filter(stream => stream.codec_type === codecType),
+        originalLanguage: getOriginalLanguage(file, originalLanguage),
+    };
+}
+
+// Returns the first selector of a "match" object the given track data doesn't meet, ignoring its "any", "all" and "not" blocks and its
+// file-context conditions. Returns null if the track meets all the selectors.
+function getFailedSelector(trackData, matchRule, context = {}) {
+    if(matchRule.codecs !== undefined && !matchesListSelectors(getTrackCodec(trackData), matchRule.codecs)) return 'codecs';
+    if(matchRule.channels !== undefined && !matchesIntConditions(trackData.channels, matchRule.channels)) return 'channels';
+    if(matchRule.channelLayouts !== undefined && !matchesListSelectors(getTrackChannelLayout(trackData), matchRule.channelLayouts)) return 'channelLayouts';
+    if(matchRule.profiles !== undefined && !matchesListSelectors(getTrackProfiles(trackData), matchRule.profiles)) return 'profiles';
+    if(matchRule.bitrate !== undefined && !matchesIntConditions(trackData.bit_rate, matchRule.bitrate)) return 'bitrate';
+    if(matchRule.sampleRate !== undefined && !matchesIntConditions(trackData.sample_rate, matchRule.sampleRate)) return 'sampleRate';
+    if(matchRule.bitDepth !== undefined && !matchesIntConditions(getTrackBitDepth(trackData), matchRule.bitDepth)) return 'bitDepth';
+    if(matchRule.languages !== undefined && !matchesLanguageSelectors(getTrackLanguage(trackData), matchRule.languages, context.originalLanguage)) return 'languages';
+    if(matchRule.dispositions !== undefined && !matchesDispositions(trackData, matchRule.dispositions)) return 'dispositions';
+    if(matchRule.title !== undefined && !getTitleRegExp(matchRule.title).test(getTrackTitle(trackData))) return 'title';
+    if(matchRule.sameLanguage !== undefined && context.referenceTrack &&
+        isSameLanguage(getTrackLanguage(trackData), getTrackLanguage(context.referenceTrack)) !== matchRule.sameLanguage) return 'sameLanguage';
+    if(matchRule.betterTrack !== undefined && context.referenceTrack &&
+        (compareTracks(trackData, context.referenceTrack) < 0) !== matchRule.betterTrack) return 'betterTrack';
+    return null;
+}
+
+// Compares two tracks for "betterTrack" conditions: negative when the first one is better, i.e., has more channels, or as many channels
+// and a higher bitrate, or the same channels and bitrate and comes first in the file
+function compareTracks(trackData, otherTrackData) {
+    const channels = parseInt(otherTrackData.channels || 0) - parseInt(trackData.channels || 0);
+    if (channels !== 0) return channels;
+    const bitrate = parseInt(otherTrackData.bit_rate || 0) - parseInt(trackData.bit_rate || 0);
+    return bitrate !== 0 ? bitrate : trackData.index - otherTrackData.index;
+}
+
+// Returns the value of the given track data compared to a selector, for explanation purposes
+function getSelectorTrackValue(trackData, selector) {
+    switch (selector) {
+        case 'codecs': return getTrackCodec(trackData);
+        case 'channels': return trackData.channels;
+        case 'channelLayouts': return getTrackChannelLayout(trackData);
+        case 'profiles': return getTrackProfile(trackData);
+        case 'bitrate': return trackData.bit_rate;
+        case 'sampleRate': return trackData.sample_rate;
+        case 'bitDepth': return getTrackBitDepth(trackData);
+        case 'languages': return getTrackLanguage(trackData);
+        case 'dispositions': return JSON.stringify(trackData.disposition || {});
+        case 'title': return getTrackTitle(trackData);
+        case 'sameLanguage': return getTrackLanguage(trackData);
+        case 'betterTrack': return `${trackData.channels}ch ${trackData.bit_rate}bps`;
+        default: return undefined;
+    }
+}
+
+// Tests a given track data against the selectors of a "match" object, ignoring its "any", "all" and "not" blocks and its file-context conditions
+function trackMatchesSelectors(trackData, matchRule, context = {}) {
+    return getFailedSelector(trackData, matchRule, context) === null;
+}
+
+// Tests the file-context conditions of a "match" object ("audioTracksCount", "noOtherTrack" and "anyOtherTrack") for the given track.
+// Returns a description of the first condition that isn't met, or null if they all are.
+function getFailedFileCondition(trackData, matchRule, context) {
+    const audioTracks = context.audioTracks || [];
+    if(matchRule.audioTracksCount !== undefined && !matchesIntConditions(audioTracks.length, matchRule.audioTracksCount))
+        return `audioTracksCount ${JSON.stringify(matchRule.audioTracksCount)} (file: ${audioTracks.length} audio tracks)`;
+
+    if(matchRule.noOtherTrack === undefined && matchRule.anyOtherTrack === undefined) return null;
+    const otherTracks = (context.tracks || audioTracks).filter(otherTrack => otherTrack !== trackData);
+    const findOtherTrack = (block) => otherTracks.find(otherTrack => evaluateMatch(otherTrack, block, { ...context, referenceTrack: trackData }).matches);
+
+    if(matchRule.noOtherTrack !== undefined) {
+        const otherTrack = findOtherTrack(matchRule.noOtherTrack);
+        if(otherTrack) return `noOtherTrack ${JSON.stringify(matchRule.noOtherTrack)} (matched by stream ${otherTrack.index})`;
+    }
+    if(matchRule.anyOtherTrack !== undefined && !findOtherTrack(matchRule.anyOtherTrack))
+        return `anyOtherTrack ${JSON.stringify(matchRule.anyOtherTrack)} (no other track matches)`;
+    return null;
+}
+
+// Tests the file-context conditions of a "match" object ("audioTracksCount", "noOtherTrack" and "anyOtherTrack") for the given track
+function trackMatchesFileContext(trackData, matchRule, context) {
+    return getFailedFileCondition(trackData, matchRule, context) === null;
+}
+
+// Tests a given track data against the given "match" object, including its nested "any", "all" and "not" blocks.
+// The context (see getMatchContext) is required by file-context conditions, which never match without it.
+// Returns { matches, branches, title, failure }: "branches" lists the paths of the "any" blocks' branches that matched (e.g., "any[1]"),
+// "title" is the "title" selector that matched the track, if any (used for capture groups), and "failure" describes the condition that
+// prevented the track from matching, prefixed with its path (e.g., 'any[0].codecs ["truehd"] (track: ac3)').
+function evaluateMatch(trackData, matchRule, context = {}, path = '') {
+    const noMatch = (failure) => ({ matches: false, branches: [], title: undefined, failure: path + failure });
+
+    const failedSelector = getFailedSelector(trackData, matchRule, context);
+    if(failedSelector !== null) return noMatch(`${failedSelector} ${JSON.stringify(matchRule[failedSelector])} (track: ${getSelectorTrackValue(trackData, failedSelector)})`);
+    const failedFileCondition = getFailedFileCondition(trackData, matchRule, context);
+    if(failedFileCondition !== null) return noMatch(failedFileCondition);
+
+    const result = { matches: true, branches: [], title: matchRule.title, failure: null };
+    const addResult = (subResult) => {
+        result.branches.push(...subResult.branches);
+        if(result.title === undefined) result.title = subResult.title;
+    };
+
+    // "all": every block must match
+    if(matchRule.all !== undefined) {
+        const blocks = toArray(matchRule.all);
+        for (let i = 0; i < blocks.length; i++) {
+            const subResult = evaluateMatch(trackData, blocks[i], context, `${path}all[${i}].`);
+            if(!subResult.matches) return subResult;
+            addResult(subResult);
+        }
+    }
+
+    // "any": at least one block must match, the first matching one is retained
+    if(matchRule.any !== undefined) {
+        const blocks = toArray(matchRule.any);
+        const subResults = [];
+        for (let i = 0; i < blocks.length; i++) {
+            const subResult = evaluateMatch(trackData, blocks[i], context, `${path}any[${i}].`);
+            if(subResult.matches) {
+                result.branches.push(`${path}any[${i}]`);
+                addResult(subResult);
+                break;
+            }
+            subResults.push(subResult);
+        }
+        if(subResults.length === blocks.length) return noMatch(`any: no block matched (${subResults.map(subResult => subResult.failure).join('; ')})`);
+    }
+
+    // "not": none of the blocks may match
+    if(matchRule.not !== undefined) {
+        const blockIndex = toArray(matchRule.not).findIndex(block => evaluateMatch(trackData, block, context).matches);
+        if(blockIndex >= 0) return noMatch(`not[${blockIndex}] ${JSON.stringify(toArray(matchRule.not)[blockIndex])} (matched)`);
+    }
+
+    return result;
+}
+
+// Tests a given track data against the given "match" object
+function trackMatches(trackData, matchRule, context = {}) {
+    return evaluateMatch(trackData, matchRule, context).matches;
+}
+
+// Parses a semicolon separated list of disposition "key:value" pairs (e.g., "default:1;comment:1") into a "dispositions" match object
+function parseDispositionsSelector(selector) {
+    if (!selector) return {};
+    return Object.fromEntries(selector.split(";").filter(pair => pair.trim() !== '').map(pair => {
+        const [key, value] = pair.split(":");
+        return [key.trim(), isNaN(value) ? value.trim() : Number(value)];
+    }));
+}
+
+
+// --------------------------------------------------- CODECS --------------------------------------------------- //
+
+
+// Returns the name and capabilities of the given encoder, looked up by encoder name or alias (case-insensitive), or null if unknown
+function getEncoderCapabilities(encoder) {
+    const name = encoder.toLowerCase();
+    if (encoderCapabilities[name]) return { name, ...encoderCapabilities[name] };
+    const aliased = Object.keys(encoderCapabilities).find(key => encoderCapabilities[key].aliases.includes(name));
+    return aliased ? { name: aliased, ...encoderCapabilities[aliased] } : null;
+}
+
+// Returns the ffmpeg encoder name to use for the given encoder or alias (e.g., "opus" -> "libopus", whose native encoder is experimental)
+function getEncoderName(encoder) {
+    const capabilities = getEncoderCapabilities(encoder);
+    return capabilities ? capabilities.name : encoder;
+}
+
+// Returns the codec name ffprobe reports for tracks encoded with the given encoder (e.g., "libmp3lame" -> "mp3")
+function getEncoderCodecName(encoder) {
+    const capabilities = getEncoderCapabilities(encoder);
+    return capabilities ? capabilities.codec : encoder.toLowerCase();
+}
+
+// Returns whether the given encoder is lossless, false if unknown
+function isLosslessEncoder(encoder) {
+    const capabilities = getEncoderCapabilities(encoder);
+    return !!(capabilities && capabilities.lossless);
+}
+
+// Returns the reason why ffmpeg can't encode with the given encoder, or null if it can (unknown encoders are assumed valid)
+function getEncoderError(encoder) {
+    if (decodeOnlyCodecs.includes(encoder.toLowerCase())) return `ffmpeg has no encoder for ${encoder.toUpperCase()}`;
+    return null;
+}
+
+// Returns the given channels count, limited to what the given encoder supports: its maximum channels, and the channels counts of its layouts
+function limitChannels(encoder, channels) {
+    const capabilities = getEncoderCapabilities(encoder);
+    if (!capabilities) return channels;
+    const supportedChannels = capabilities.layouts.map(layout => layoutChannels[layout]);
+    let limitedChannels = Math.min(parseInt(channels), capabilities.maxChannels);
+    while (limitedChannels > 1 && !supportedChannels.includes(limitedChannels)) limitedChannels--;
+    return limitedChannels === parseInt(channels) ? channels : limitedChannels;
+}
+
+// Returns the given channel layout if the given encoder accepts it for the given channels count, or else the layout the encoder accepts for
+// this channels count, the standard one if possible (e.g., "7.1(wide)" becomes "7.1" in Opus). Returns null if the encoder has no such layout.
+function limitChannelLayout(encoder, layout, channels) {
+    const capabilities = getEncoderCapabilities(encoder);
+    if (!capabilities) return layout;
+    const count = parseInt(channels);
+    if (capabilities.layouts.includes(layout) && layoutChannels[layout] === count) return layout;
+    const layouts = capabilities.layouts.filter(encoderLayout => layoutChannels[encoderLayout] === count);
+    return layouts.includes(standardChannelLayouts[count]) ? standardChannelLayouts[count] : (layouts[0] || null);
+}
+
+// Returns the channel layout an output track with the given encoder and channels count must be given explicitly: the requested layout
+// fitted to the encoder, or, when the channels count is the source track's, a layout the encoder accepts in place of the source's exotic
+// or unknown one (e.g., Atmos beds such as "5.1.2", or "7.1(wide)"). Returns null when ffmpeg can keep the source layout, or use its default one.
+function getOutputChannelLayout(encoder, track, channels, requestedLayout = '') {
+    if (!requestedLayout && parseInt(channels) !== parseInt(track.channels)) return null;
+    const layout = requestedLayout || getTrackChannelLayout(track);
+    const outputLayout = limitChannelLayout(encoder, layout, channels);
+    return outputLayout && (requestedLayout || outputLayout !== layout) ? outputLayout : null;
+}
+
+// Returns the given bitrate, clamped to the bitrates range of the given encoder for the given channels count, or snapped to the highest
+// of its bitrate steps that doesn't exceed it. Returns null for lossless encoders, to which no bitrate applies.
+function limitBitrate(encoder, bitrate, channels) {
+    const capabilities = getEncoderCapabilities(encoder);
+    if (!capabilities) return bitrate;
+    if (capabilities.lossless) return null;
+
+    const value = parseInt(bitrate);
+    const { steps, min, max, maxPerChannel } = capabilities.bitrates;
+    let limitedBitrate = value;
+    if (steps) {
+        limitedBitrate = steps.filter(step => step <= value).pop() || steps[0];
+    }
+    else {
+        const channelsMax = maxPerChannel && channels ? maxPerChannel * parseInt(channels) : max;
+        limitedBitrate = Math.max(min, Math.min(value, max, channelsMax));
+    }
+    return limitedBitrate === value ? bitrate : limitedBitrate;
+}
+
+// Bit depth of ffmpeg's sample formats, interleaved (e.g., "s16") or planar (e.g., "s16p")
+const sampleFormatsBits = { u8: 8, s16: 16, s32: 32, s64: 64, flt: 32, dbl: 64 };
+
+// Returns the bit depth of the given sample format, or undefined if unknown
+function getSampleFormatBits(sampleFormat) {
+    return sampleFormatsBits[String(sampleFormat).toLowerCase().replace(/p$/, '')];
+}
+
+// Returns the given sample rate, or the closest sample rate the given encoder supports, preferably of the same family (multiples of 44100Hz,
+// or of 48000Hz) so that 88200Hz becomes 44100Hz rather than 48000Hz
+function limitSampleRate(encoder, sampleRate) {
+    const capabilities = getEncoderCapabilities(encoder);
+    if (!capabilities || !capabilities.sampleRates) return sampleRate;
+
+    const value = parseInt(sampleRate);
+    if (capabilities.sampleRates.includes(value)) return sampleRate;
+    const isCdFamily = rate => rate % 11025 === 0;
+    const sameFamilyRates = capabilities.sampleRates.filter(rate => isCdFamily(rate) === isCdFamily(value));
+    return (sameFamilyRates.length > 0 ? sameFamilyRates : capabilities.sampleRates)
+        .reduce((closest, rate) => Math.abs(rate - value) < Math.abs(closest - value) ? rate : closest);
+}
+
+// Returns the given sample format, or the sample format the given encoder supports that is the closest to it: its planar or interleaved
+// counterpart, else the shallowest format at least as deep, else the deepest format
+function limitSampleFormat(encoder, sampleFormat) {
+    const capabilities = getEncoderCapabilities(encoder);
+    if (!capabilities || !capabilities.sampleFormats) return sampleFormat;
+
+    const formats = capabilities.sampleFormats;
+    const format = String(sampleFormat).toLowerCase();
+    if (formats.includes(format)) return sampleFormat;
+    const counterpart = formats.find(f => f.replace(/p$/, '') === format.replace(/p$/, ''));
+    if (counterpart) return counterpart;
+    const bits = getSampleFormatBits(format);
+    const deeperFormats = formats.filter(f => getSampleFormatBits(f) >= bits);
+    if (deeperFormats.length > 0) return deeperFormats.reduce((shallowest, f) => getSampleFormatBits(f) < getSampleFormatBits(shallowest) ? f : shallowest);
+    return formats.reduce((deepest, f) => getSampleFormatBits(f) > getSampleFormatBits(deepest) ? f : deepest);
+}
+
+// Resamplers of ffmpeg's "aresample" filter: "swr" (ffmpeg's own, the default) and "soxr" (the SoX resampler, of higher quality), and
+// the dither methods applied when reducing the bit depth
+const resamplerEngines = ['swr', 'soxr'];
+const ditherMethods = ['rectangular', 'triangular', 'triangular_hp', 'lipshitz', 'shibata', 'low_shibata', 'high_shibata', 'f_weighted', 'e_weighted', 'modified_e_weighted'];
+
+// Returns the "aresample" filter converting a track to the given sample rate and/or sample format with the given resampler options
+// { engine, precision, dither }, "precision" being soxr's precision in bits (15 to 33). Returns an empty string when there's nothing to convert.
+function getResampleFilter(resampler, sampleRate, sampleFormat) {
+    if (!sampleRate && !sampleFormat) return '';
+    const options = [];
+    if (sampleRate) options.push(`osr=${sampleRate}`);
+    if (sampleFormat) options.push(`osf=${sampleFormat}`);
+    if (resampler.engine) options.push(`resampler=${resampler.engine}`);
+    if (resampler.precision) options.push(`precision=${resampler.precision}`);
+    if (resampler.dither) options.push(`dither_method=${resampler.dither}`);
+    return `aresample=${options.join(':')}`;
+}
+
+// Returns the native VBR control of the given encoder { option, min, max, bitrateTarget } (see encoderCapabilities), or null if it has none or is unknown
+function getQualityControl(encoder) {
+    const capabilities = getEncoderCapabilities(encoder);
+    return capabilities && capabilities.quality ? capabilities.quality : null;
+}
+
+// Returns the given VBR quality, clamped to the quality range of the given encoder. Returns null for encoders without a VBR control.
+function limitQuality(encoder, quality) {
+    const qualityControl = getQualityControl(encoder);
+    if (!qualityControl) return null;
+    const value = Number(quality);
+    const limitedQuality = Math.max(qualityControl.min, Math.min(value, qualityControl.max));
+    return limitedQuality === value ? quality : limitedQuality;
+}
+
+// Codecs embedding a backward-compatible core that a bitstream filter extracts losslessly, without re-encoding: the profiles whose
+// extension the filter strips, and the core's max channels and bitrate (null when unknown), DTS-HD tracks having a 1509kbps 5.1 DTS core
+// (DTS-ES 6.1 cores being rare), and Atmos TrueHD tracks a 7.1 TrueHD core
+const coreExtractors = {
+    dts: { bitstreamFilter: 'dca_core', extension: /DTS-HD|DTS:X/i, channels: 6, bitrate: 1509000 },
+    truehd: { bitstreamFilter: 'truehd_core', extension: /Atmos/i, channels: 8, bitrate: null },
+};
+
+// Returns the reason why the core of the given track can't be extracted, or null if it can
+function getCoreExtractionError(track) {
+    const codec = getTrackCodec(track);
+    if (!coreExtractors.hasOwnProperty(codec)) {
+        return `${codec.toUpperCase()} has no extractable core, only ${Object.keys(coreExtractors).map(c => c.toUpperCase()).join(' and ')} tracks have one`;
+    }
+    if (getTrackProfile(track) === 'DTS Express') return 'DTS Express tracks have no DTS core';
+    return null;
+}
+
+// Returns the core of the given track { bitstreamFilter, codec, channels, bitrate }, the bitrate being null when unknown.
+// Tracks without extension (e.g., plain DTS, or TrueHD without Atmos) are their own core. To call once getCoreExtractionError returned null.
+function getTrackCore(track) {
+    const extractor = coreExtractors[getTrackCodec(track)];
+    const channels = parseInt(track.channels);
+    const bitrate = parseInt(track.bit_rate);
+    if (!extractor.extension.test(getTrackProfile(track))) {
+        return { bitstreamFilter: extractor.bitstreamFilter, codec: getTrackCodec(track), channels, bitrate: isNaN(bitrate) ? null : bitrate };
+    }
+    return {
+        bitstreamFilter: extractor.bitstreamFilter,
+        codec: getTrackCodec(track),
+        channels: Math.min(channels, extractor.channels),
+        bitrate: extractor.bitrate !== null && !isNaN(bitrate) ? Math.min(bitrate, extractor.bitrate) : extractor.bitrate,
+    };
+}
+
+
+// --------------------------------------------------- DOWNMIX --------------------------------------------------- //
+
+
+// Named downmix matrices: the gains of each group of source channels in the left and right output channels.
+// Surround groups are given as [left surrounds gain, right surrounds gain]. Mono is the average of the left and right channels.
+const downmixMatrices = {
+    itu: { // ITU-R BS.775 standard downmix
+        left: { front: 1, center: 0.707, lfe: 0, surrounds: [0.707, 0] },
+        right: { front: 1, center: 0.707, lfe: 0, surrounds: [0, 0.707] },
+    },
+    dplii: { // Dolby Pro Logic II style matrix encoding, surrounds can be decoded back by a Pro Logic II receiver
+        left: { front: 1, center: 0.707, lfe: 0, surrounds: [-0.8718, -0.4899] },
+        right: { front: 1, center: 0.707, lfe: 0, surrounds: [0.4899, 0.8718] },
+        stereoOnly: true,
+    },
+    dialogue: { // Center boost, to keep dialogues intelligible over effects and music
+        left: { front: 0.707, center: 1, lfe: 0, surrounds: [0.5, 0] },
+        right: { front: 0.707, center: 1, lfe: 0, surrounds: [0, 0.5] },
+    },
+    night: { // Center boost and dynamic range compression, to keep the volume low without losing dialogues
+        left: { front: 0.707, center: 1, lfe: 0, surrounds: [0.5, 0] },
+        right: { front: 0.707, center: 1, lfe: 0, surrounds: [0, 0.5] },
+        postFilters: 'acompressor=threshold=0.089:ratio=4:attack=20:release=250:makeup=2',
+    },
+};
+
+// Source channels of the layouts that can be downmixed, by group
+const downmixLayouts = {
+    '5.0': { front: [['FL'], ['FR']], surrounds: [['BL'], ['BR']] },
+    '5.0(side)': { front: [['FL'], ['FR']], surrounds: [['SL'], ['SR']] },
+    '5.1': { front: [['FL'], ['FR']], lfe: true, surrounds: [['BL'], ['BR']] },
+    '5.1(side)': { front: [['FL'], ['FR']], lfe: true, surrounds: [['SL'], ['SR']] },
+    '6.1': { front: [['FL'], ['FR']], lfe: true, surrounds: [['SL', 'BC'], ['SR', 'BC']] },
+    '7.1': { front: [['FL'], ['FR']], lfe: true, surrounds: [['SL', 'BL'], ['SR', 'BR']] },
+    '7.1(wide)': { front: [['FL', 'FLC'], ['FR', 'FRC']], lfe: true, surrounds: [['BL'], ['BR']] },
+    '7.1(wide-side)': { front: [['FL', 'FLC'], ['FR', 'FRC']], lfe: true, surrounds: [['SL'], ['SR']] },
+};
+
+// Layouts assumed when ffprobe doesn't report the channel layout of a track
+const defaultChannelLayouts = { 5: '5.0', 6: '5.1', 7: '6.1', 8: '7.1' };
+
+// Returns the channel layout of the given track, as used to look up downmixLayouts
+function getDownmixSourceLayout(track) {
+    return track.channel_layout ? track.channel_layout.toLowerCase() : defaultChannelLayouts[track.channels];
+}
+
+// Returns the reason why the given track can't be downmixed to the given channels count with the given matrix, or null if it can
+function getDownmixError(track, channels, matrixName) {
+    const matrix = downmixMatrices[matrixName];
+    channels = parseInt(channels);
+    if (!matrix) return `Unknown downmix matrix "${matrixName}"`;
+    if (!(channels < track.channels)) return `Downmix requires fewer output channels than the ${track.channels} source channels`;
+    if (channels !== 1 && channels !== 2 && channels !== 6) return `Downmix only supports mono, stereo and 5.1 outputs`;
+    if (matrix.stereoOnly && channels !== 2) return `The "${matrixName}" downmix matrix only supports stereo outputs`;
+    const layout = getDownmixSourceLayout(track);
+    if (!downmixLayouts[layout]) return `Unsupported source channel layout "${track.channel_layout || track.channels + 'ch'}"`;
+    return null;
+}
+
+// Returns the pan filter expression of an output channel, from a map of source channel -> gain ("<" renormalizes the gains to avoid clipping)
+function getPanChannelExpression(outputChannel, gains) {
+    const terms = Object.entries(gains).filter(([, gain]) => gain !== 0);
+    if (terms.length === 1 && terms[0][1] === 1) return `${outputChannel}=${terms[0][0]}`;
+    return outputChannel + '<' + terms.map(([channel, gain], index) =>
+        `${gain < 0 ? '-' : (index === 0 ? '' : '+')}${Math.abs(gain) === 1 ? '' : Math.abs(gain) + '*'}${channel}`).join('');
+}
+
+// Returns the source channel -> gain map of an output channel of a stereo downmix (side: 0 for left, 1 for right)
+function getStereoDownmixGains(layout, matrix, side) {
+    const sideGains = side === 0 ? matrix.left : matrix.right;
+    const gains = {};
+    const addGain = (channel, gain) => { gains[channel] = (gains[channel] || 0) + gain; };
+    layout.front[side].forEach(channel => addGain(channel, sideGains.front));
+    addGain('FC', sideGains.center);
+    if (layout.lfe) addGain('LFE', sideGains.lfe);
+    layout.surrounds.forEach((channels, surroundSide) => channels.forEach(channel => addGain(channel, sideGains.surrounds[surroundSide])));
+    return gains;
+}
+
+// Returns the ffmpeg filters downmixing the given track to the given channels count with the given matrix (see getDownmixError first).
+// Downmixing to 5.1 folds the extra channels into the front and surround channels, only the matrix's post filters apply.
+function getDownmixFilters(track, channels, matrixName) {
+    const matrix = downmixMatrices[matrixName];
+    const layout = downmixLayouts[getDownmixSourceLayout(track)];
+    channels = parseInt(channels);
+    let pan;
+    if (channels === 6) {
+        const fold = (outputChannel, sourceChannels) => getPanChannelExpression(outputChannel, Object.fromEntries(sourceChannels.map(channel => [channel, 1])));
+        pan = ['5.1', fold('FL', layout.front[0]), fold('FR', layout.front[1]), 'FC=FC', 'LFE=LFE', fold('BL', layout.surrounds[0]), fold('BR', layout.surrounds[1])];
+    }
+    else {
+        const leftGains = getStereoDownmixGains(layout, matrix, 0);
+        const rightGains = getStereoDownmixGains(layout, matrix, 1);
+        if (channels === 2) {
+            pan = ['stereo', getPanChannelExpression('FL', leftGains), getPanChannelExpression('FR', rightGains)];
+        }
+        else {
+            const monoGains = {};
+            Object.keys({ ...leftGains, ...rightGains }).forEach(channel => { monoGains[channel] = Math.round(((leftGains[channel] || 0) + (rightGains[channel] || 0)) * 5000) / 10000; });
+            pan = ['mono', getPanChannelExpression('FC', monoGains)];
+        }
+    }
+    return [`pan=${pan.join('|')}`, `aformat=channel_layouts=${pan[0]}`, matrix.postFilters].filter(filter => filter).join(',');
+}
+
+// Returns the filter converting a track to the given channel layout, remapping its channels
+function getChannelLayoutFilter(layout) {
+    return `aformat=channel_layouts=${layout}`;
+}
+
+// Returns the given ffmpeg filter chains joined into a single filter chain, skipping empty ones
+function composeFilters(...filters) {
+    return filters.filter(filter => filter).join(',');
+}
+
+
+// --------------------------------------------------- CONTAINERS --------------------------------------------------- //
+
+
+// Audio codecs (ffprobe's codec names) each container can hold, by file extension. Containers not listed (e.g., Matroska) hold them all.
+const containerAudioCodecs = {
+    mp4: ['aac', 'ac3', 'eac3', 'mp3', 'alac', 'flac', 'opus', 'dts'],
+    m4v: ['aac', 'ac3', 'eac3', 'mp3', 'alac', 'flac', 'opus', 'dts'],
+    mov: ['aac', 'ac3', 'eac3', 'mp3', 'alac', 'flac', 'pcm_s16le', 'pcm_s24le'],
+    webm: ['opus', 'vorbis'],
+    avi: ['mp3', 'ac3', 'dts', 'aac', 'pcm_s16le'],
+    ts: ['aac', 'ac3', 'eac3', 'mp3', 'dts', 'truehd', 'opus'],
+    m2ts: ['aac', 'ac3', 'eac3', 'mp3', 'dts', 'truehd', 'pcm_bluray'],
+};
+
+// Subtitle codecs (ffprobe's codec names) each container can hold, by file extension. Containers not listed hold them all.
+const containerSubtitleCodecs = {
+    mkv: ['subrip', 'ass', 'ssa', 'webvtt', 'text', 'hdmv_pgs_subtitle', 'dvd_subtitle', 'dvb_subtitle'],
+    mp4: ['mov_text'],
+    m4v: ['mov_text'],
+    mov: ['mov_text'],
+    webm: ['webvtt'],
+    avi: [],
+    ts: ['dvb_subtitle'],
+    m2ts: ['hdmv_pgs_subtitle'],
+};
+
+// Text subtitle codecs, and the encoder text subtitles are converted with when a container can't hold them as they are
+const textSubtitleCodecs = ['subrip', 'ass', 'ssa', 'webvtt', 'text', 'mov_text'];
+const containerTextSubtitleEncoders = { mkv: 'srt', mp4: 'mov_text', m4v: 'mov_text', mov: 'mov_text', webm: 'webvtt' };
+
+// Returns whether the given container (file extension) can hold audio tracks encoded with the given encoder or codec
+function isAudioCodecCompatible(codec, container) {
+    const codecs = containerAudioCodecs[container.toLowerCase()];
+    return !codecs || codecs.includes(getEncoderCodecName(codec));
+}
+
+// Returns whether the given container (file extension) can hold subtitle tracks in the given codec
+function isSubtitleCodecCompatible(codec, container) {
+    const codecs = containerSubtitleCodecs[container.toLowerCase()];
+    return !codecs || codecs.includes(codec.toLowerCase());
+}
+
+// Returns the codec of an output track (see OUTPUT TRACKS) as ffprobe will report it
+function getOutputTrackCodec(outputTrack) {
+    return outputTrack.codec === 'copy' ? getTrackCodec(outputTrack.track) : getEncoderCodecName(outputTrack.codec);
+}
+
+// Returns the codec to transcode to with the given encoder or codec in the given container (file extension): the fallback codec of
+// the given container policy (see applyContainerPolicies) when the container can't hold the codec but can hold the fallback one,
+// the given codec otherwise. To call before computing the output track's channels, bitrate and title.
+function getContainerCodec(codec, container, policy, log) {
+    if (isAudioCodecCompatible(codec, container) || !policy || policy.action !== 'fallback' || !isAudioCodecCompatible(policy.codec, container)) return codec;
+    log(`${container.toUpperCase()} can't hold ${codec.toUpperCase()} tracks, transcoding to ${policy.codec.toUpperCase()} instead`);
+    return policy.codec;
+}
+
+// Makes the given output tracks fit the given container (file extension), applying the container policy of each output track
+// whose codec the container can't hold (outputTrack.containerPolicy, skipping the file when omitted):
+//  - { "action": "fallback", "codec": "aac" } transcodes the track to the fallback codec instead (see getContainerCodec)
+//  - { "action": "switch", "container": "mkv" } switches the output container
+//  - { "action": "skip" } skips the file
+// Copied tracks are only checked when the container is switched. Returns { container, skip }, skip being the reason to skip the file or null.
+function applyContainerPolicies(outputTracks, container, log) {
+    let outputContainer = container.toLowerCase();
+    for (const outputTrack of outputTracks) {
+        if (outputTrack.codec === 'copy' || isAudioCodecCompatible(outputTrack.codec, outputContainer)) continue;
+
+        const policy = outputTrack.containerPolicy || { action: 'skip' };
+        const description = `${outputTrack.codec.toUpperCase()} output track (from input track ${outputTrack.inputIndex})`;
+        if (policy.action === 'switch') {
+            log(`${outputContainer.toUpperCase()} can't hold the ${description}, switching the output container to ${policy.container.toUpperCase()}`);
+            outputContainer = policy.container.toLowerCase();
+        }
+        else {
+            return { container, skip: `${outputContainer.toUpperCase()} can't hold the ${description}` +
+                (policy.action === 'fallback' ? ` nor its ${policy.codec.toUpperCase()} fallback` : '') };
+        }
+    }
+
+    // Check all the tracks fit the final container
+    const checkedTracks = outputContainer === container.toLowerCase() ? outputTracks.filter(outputTrack => outputTrack.codec !== 'copy') : outputTracks;
+    const incompatibleTrack = checkedTracks.find(outputTrack => !isAudioCodecCompatible(getOutputTrackCodec(outputTrack), outputContainer));
+    if (incompatibleTrack) {
+        return { container, skip: `${outputContainer.toUpperCase()} can't hold the ${getOutputTrackCodec(incompatibleTrack).toUpperCase()} output track (from input track ${incompatibleTrack.inputIndex})` };
+    }
+    return { container: outputContainer, skip: null };
+}
+
+
+// --------------------------------------------------- TITLES --------------------------------------------------- //
+
+
+// Title templates are made of text and tags: "{tag}" is replaced by the tag's value, "{tag|filter|filter:argument}" by the value
+// transformed by the given filters, "{#tag}...{/tag}" is only kept when the tag's value isn't empty, and "{^tag}...{/tag}" only when
+// it's empty. Tags with an empty value are removed, and unknown tags are left as-is.
+
+// Tags available for the input (i_) and output (o_) track, or without prefix for the input track
+const titleTrackTags = ['codec', 'CODEC', 'channels', 'channels_fancy', 'channel_layout', 'bitrate', 'bitrate_kbps', 'sample_rate', 'profile'];
+
+// Other tags, besides the capture groups of the title pattern ({1}, {2}, {name}, etc.) and the disposition flags ({flag_default}, etc.)
+const titleTags = ['title', 'lang', 'LANG', 'lang_name', 'dispositions', 'rule', 'o_quality'];
+
+// Filters available in title templates, applied to the string value of a tag. "default" replaces an empty value by its argument.
+const titleFilters = {
+    upper: value => value.toUpperCase(),
+    lower: value => value.toLowerCase(),
+    capitalize: value => value.replace(/(^|[\s_-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase()),
+    kbps: value => value === '' || isNaN(parseInt(value)) ? '' : Math.round(parseInt(value) / 1000).toString(),
+    khz: value => value === '' || isNaN(parseInt(value)) ? '' : (parseInt(value) / 1000).toString(),
+    fancy: value => value === '' || isNaN(parseInt(value)) ? '' : getFancyChannels(value),
+    lang_name: value => value === '' ? '' : getLanguageName(value),
+    default: (value, argument) => value === '' ? argument : value,
+};
+
+// Returns the names of the named capture groups of a title pattern
+function getTitleGroupNames(pattern) {
+    return [...String(pattern).matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map(match => match[1]);
+}
+
+// Checks whether the given tag name is one title templates can replace, given the named capture groups of the title pattern
+function isKnownTitleTag(tag, groupNames = []) {
+    return /^\d+$/.test(tag) || /^flag_/.test(tag) && dispositionFlags.includes(tag.slice(5)) ||
+        titleTags.includes(tag) || groupNames.includes(tag) || ['i_', '', 'o_'].some(prefix => tag.startsWith(prefix) && titleTrackTags.includes(tag.slice(prefix.length)));
+}
+
+// Parses a title template into a list of nodes: strings, tags { tag, filters: [{ name, argument }] } and sections { tag, inverted, nodes }.
+// Throws an error describing the first syntax error found.
+function parseTitleTemplate(template) {
+    const root = { nodes: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    for (const token of String(template).matchAll(/\{([#^/]?)(\w+)((?:\|\w+(?::[^|}]*)?)*)\}/g)) {
+        const [text, type, tag, filtersString] = token;
+        const current = stack[stack.length - 1];
+        if (token.index > lastIndex) current.nodes.push(template.slice(lastIndex, token.index));
+        lastIndex = token.index + text.length;
+
+        if (type !== '' && filtersString !== '') throw new Error(`"${text}": sections can't have filters`);
+        if (type === '/') {
+            if (current === root || current.tag !== tag) throw new Error(`"${text}" closes no "{#${tag}}" or "{^${tag}}" section`);
+            stack.pop();
+            continue;
+        }
+
+        const filters = filtersString.split('|').slice(1).map(filter => {
+            const separatorIndex = filter.indexOf(':');
+            return separatorIndex < 0 ? { name: filter } : { name: filter.slice(0, separatorIndex), argument: filter.slice(separatorIndex + 1) };
+        });
+        const unknownFilter = filters.find(filter => !titleFilters.hasOwnProperty(filter.name));
+        if (unknownFilter) throw new Error(`"${text}": unknown filter "${unknownFilter.name}", expected one of: ${Object.keys(titleFilters).join(', ')}`);
+
+        if (type === '') {
+            current.nodes.push({ tag, filters });
+        }
+        else {
+            const section = { tag, inverted: type === '^', nodes: [] };
+            current.nodes.push(section);
+            stack.push(section);
+        }
+    }
+    if (stack.length > 1) throw new Error(`the "{${stack[stack.length - 1].inverted ? '^' : '#'}${stack[stack.length - 1].tag}}" section is never closed with "{/${stack[stack.length - 1].tag}}"`);
+    if (lastIndex < String(template).length) root.nodes.push(String(template).slice(lastIndex));
+    return root.nodes;
+}
+
+// Returns the values of the tags of a title template, as strings, for the given input track, matched title, output track properties
+// { codec, channels, channelLayout, bitrate, quality, sampleRate, dispositions } and context { ruleName }. Tags without value are absent.
+function getTitleTemplateValues(track, matchTitle, output = {}, context = {}) {
+    const values = {};
+    function setValue(tag, value) {
+        if (value !== undefined && value !== null && value !== '') values[tag] = String(value);
+    }
+
+    // Capture groups of the first match in the title, numbered and named (the other tags prevail over named groups), the groups the match
+    // doesn't use being empty:
+    const trackTitle = getTrackTitle(track);
+    const match = matchTitle ? trackTitle.match(getTitleRegExp(matchTitle)) : null;
+    if (match) {
+        match.slice(1).forEach((group, index) => setValue(index + 1, group));
+        Object.entries(match.groups || {}).forEach(([name, group]) => setValue(name, group));
+    }
+
+    // Title, language and rule:
+    setValue('title', trackTitle);
+    const trackLanguage = getTrackLanguage(track);
+    setValue('lang', trackLanguage.toLowerCase());
+    setValue('LANG', trackLanguage.toUpperCase());
+    setValue('lang_name', getLanguageName(trackLanguage));
+    setValue('rule', context.ruleName);
+
+    // Track properties:
+    const outputCodec = output.codec && output.codec !== 'copy' ? output.codec : track.codec_name;
+    const outputChannels = output.channels ? output.channels : track.channels;
+    const outputChannelLayout = output.channelLayout || (parseInt(outputChannels) === parseInt(track.channels) ? track.channel_layout : undefined);
+    const properties = {
+        i_: { codec: track.codec_name, channels: track.channels, channel_layout: track.channel_layout, bitrate: track.bit_rate, sample_rate: track.sample_rate, profile: getTrackProfile(track) },
+        o_: { codec: outputCodec, channels: outputChannels, channel_layout: outputChannelLayout, bitrate: output.bitrate, sample_rate: output.sampleRate ? output.sampleRate : track.sample_rate },
+    };
+    properties[''] = properties.i_;
+    for (const [prefix, { codec, channels, channel_layout, bitrate, sample_rate, profile }] of Object.entries(properties)) {
+        if (codec) {
+            setValue(`${prefix}codec`, codec.toLowerCase());
+            setValue(`${prefix}CODEC`, codec.toUpperCase());
+        }
+        if (channels) {
+            setValue(`${prefix}channels`, channels);
+            setValue(`${prefix}channels_fancy`, getFancyChannels(channels));
+        }
+        setValue(`${prefix}channel_layout`, channel_layout);
+        if (bitrate) {
+            setValue(`${prefix}bitrate`, bitrate);
+            setValue(`${prefix}bitrate_kbps`, parseInt(bitrate) / 1000);
+        }
+        setValue(`${prefix}sample_rate`, sample_rate);
+        setValue(`${prefix}profile`, profile);
+    }
+    setValue('o_quality', output.quality);
+
+    // Dispositions of the output track:
+    const dispositions = applyDispositions(track.disposition, output.dispositions);
+    const flags = Object.keys(dispositions).filter(flag => dispositions[flag]);
+    setValue('dispositions', flags.join(' '));
+    flags.forEach(flag => setValue(`flag_${flag}`, flag));
+
+    return values;
+}
+
+// Renders the nodes of a parsed title template with the given tags values
+function renderTitleTemplate(nodes, values, groupNames) {
+    return nodes.map(node => {
+        if (typeof node === 'string') return node;
+        if (node.nodes) return (values.hasOwnProperty(node.tag) !== node.inverted) ? renderTitleTemplate(node.nodes, values, groupNames) : '';
+        if (!values.hasOwnProperty(node.tag) && !isKnownTitleTag(node.tag, groupNames)) return `{${node.tag}${node.filters.map(f => '|' + f.name + (f.argument !== undefined ? ':' + f.argument : '')).join('')}}`;
+        return node.filters.reduce((value, filter) => titleFilters[filter.name](value, filter.argument === undefined ? '' : filter.argument), values[node.tag] || '');
+    }).join('');
+}
+
+// Returns a track title built from the given template (see above) for the given input track, matched title, output track properties
+// { codec, channels, channelLayout, bitrate, quality, sampleRate, dispositions } and context { ruleName }
+function getNewTrackTitle(track, matchTitle, template, output = {}, context = {}) {
+    const values = getTitleTemplateValues(track, matchTitle, output, context);
+    let newTrackTitle = renderTitleTemplate(parseTitleTemplate(template + ""), values, matchTitle ? getTitleGroupNames(matchTitle.pattern) : []);
+
+    // Replace special characters that can make the command fail:
+    newTrackTitle = newTrackTitle.replaceAll(',', '‚'); // -> replace with a unicode SINGLE LOW-9 QUOTATION MARK
+    newTrackTitle = newTrackTitle.replaceAll('"', '″'); // -> replace with a unicode DOUBLE PRIME
+
+    return newTrackTitle;
+}
+
+// --------------------------------------------------- OUTPUT TRACKS --------------------------------------------------- //
+
+
+// Output tracks are described by objects { inputIndex, track, codec, channels, channelLayout, bitrate, quality, sampleRate, sampleFormat, language,
+// title, dispositions, filters, bitstreamFilter }:
+// "inputIndex" is the index of the source track among the audio tracks of the file, "track" its ffprobe data (optional), "codec" is "copy"
+// or an encoder, and the other properties are only set when they differ from the source track's.
+// A "copy" track with a "bitstreamFilter" extracts the core of its source track (see getTrackCore), "channels" and "bitrate" then describing
+// the core rather than being encoding options.
+
+// Sort keys available in the "sort" section of a transcode configuration
+const sortKeys = ['languages', 'codecs', 'channels', 'bitrate', 'disposition'];
+
+// Dispositions a default track should not have, unless the default track policy says otherwise
+const defaultTrackAvoidedFlags = ['comment', 'hearing_impaired', 'visual_impaired'];
+
+// Returns the dispositions resulting from applying a disposition's object (as set by operations) onto ffprobe's track dispositions,
+// following the semantics of getDispositionFlags: a first flag set to true replaces all the track's dispositions.
+function applyDispositions(trackDispositions, dispositions) {
+    const result = {};
+    const entries = Object.entries(dispositions || {});
+    const resetDispositions = entries.length > 0 && entries[0][1] === true;
+    for (const [flag, value] of Object.entries(trackDispositions || {})) result[flag] = resetDispositions ? 0 : toDispositionValue(value);
+    for (const [flag, value] of entries) result[flag] = toDispositionValue(value);
+    return result;
+}
+
+// Returns the effective properties of an output track { codec, channels, bitrate, sampleRate, sampleFormat, language, title, dispositions },
+// falling back on the source track's
+function getOutputTrackProperties(outputTrack) {
+    const track = outputTrack.track || {};
+    return {
+        codec: outputTrack.codec && outputTrack.codec !== 'copy' ? getEncoderCodecName(outputTrack.codec) : getTrackCodec(track),
+        channels: outputTrack.channels ? parseInt(outputTrack.channels) : parseInt(track.channels),
+        bitrate: outputTrack.bitrate ? parseInt(outputTrack.bitrate) : (outputTrack.bitstreamFilter ? NaN : parseInt(track.bit_rate)),
+        sampleRate: outputTrack.sampleRate ? parseInt(outputTrack.sampleRate) : parseInt(track.sample_rate),
+        sampleFormat: outputTrack.sampleFormat ? outputTrack.sampleFormat : track.sample_fmt,
+        language: outputTrack.language ? outputTrack.language : getTrackLanguage(track),
+        title: outputTrack.title ? outputTrack.title : getTrackTitle(track),
+        dispositions: applyDispositions(track.disposition, outputTrack.dispositions),
+    };
+}
+
+// Checks whether the output track would reproduce its source track as-is: same codec, channels, bitrate, sample rate, sample format,
+// language, title and dispositions, and no filters, VBR quality nor bitstream filter. A transcode to the source's codec and properties is considered
+// equivalent to a copy
+function isOutputTrackUnchanged(outputTrack) {
+    if (outputTrack.filters || outputTrack.quality !== undefined || outputTrack.bitstreamFilter) return false;
+    const properties = getOutputTrackProperties(outputTrack);
+    const sourceProperties = getOutputTrackProperties({ track: outputTrack.track });
+    const getFlags = dispositions => Object.keys(dispositions).filter(flag => dispositions[flag]).sort().join(',');
+    return ['codec', 'channels', 'bitrate', 'sampleRate', 'sampleFormat', 'language', 'title'].every(key => Object.is(properties[key], sourceProperties[key])) &&
+        getFlags(properties.dispositions) === getFlags(sourceProperties.dispositions);
+}
+
+// Checks whether the output tracks would reproduce the given input tracks as-is: the same tracks, in the same order, each unchanged
+function areOutputTracksUnchanged(outputTracks, inputTracks) {
+    return outputTracks.length === inputTracks.length &&
+        outputTracks.every((outputTrack, index) => outputTrack.inputIndex === index && isOutputTrackUnchanged(outputTrack));
+}
+
+// Returns the rank of a value in a priority list (case-insensitive), values absent from the list being ranked last
+function getPriorityRank(value, order) {
+    const index = order.map(v => v.toLowerCase()).indexOf(String(value).toLowerCase());
+    return index < 0 ? order.length : index;
+}
+
+// Compares two output tracks according to a single sort key of the "sort" section, "original" in a languages order standing for the
+// given original language
+function compareOutputTracks(a, b, sortKey, originalLanguage) {
+    const propertiesA = getOutputTrackProperties(a);
+    const propertiesB = getOutputTrackProperties(b);
+    let valueA, valueB;
+
+    switch (sortKey.by) {
+        case 'languages':
+            valueA = getLanguageRank(propertiesA.language, sortKey.order, originalLanguage);
+            valueB = getLanguageRank(propertiesB.language, sortKey.order, originalLanguage);
+            break;
+        case 'codecs':
+            valueA = getPriorityRank(propertiesA.codec, sortKey.order);
+            valueB = getPriorityRank(propertiesB.codec, sortKey.order);
+            break;
+        case 'channels':
+        case 'bitrate':
+            // Tracks with an unknown value are placed last, whatever the direction
+            valueA = propertiesA[sortKey.by];
+            valueB = propertiesB[sortKey.by];
+            if (isNaN(valueA) || isNaN(valueB)) return (isNaN(valueA) ? 1 : 0) - (isNaN(valueB) ? 1 : 0);
+            break;
+        case 'disposition':
+            valueA = propertiesA.dispositions[sortKey.flag] ? 1 : 0;
+            valueB = propertiesB.dispositions[sortKey.flag] ? 1 : 0;
+            break;
+        default:
+            return 0;
+    }
+
+    return sortKey.direction === 'desc' ? valueB - valueA : valueA - valueB;
+}
+
+// Returns the given output tracks sorted according to the "sort" section of a transcode configuration.
+// Sort keys are applied in order, each one only breaking the ties of the previous ones. Tracks that remain tied keep their order.
+function sortOutputTracks(outputTracks, sort, originalLanguage) {
+    return [...outputTracks].sort((a, b) => {
+        for (const sortKey of toArray(sort)) {
+            const comparison = compareOutputTracks(a, b, sortKey, originalLanguage);
+            if (comparison !== 0) return comparison;
+        }
+        return 0;
+    });
+}
+
+// Returns the criteria of the default track election for an output track, lower values being preferred
+function getDefaultTrackCriteria(outputTrack, policy, originalLanguage) {
+    const properties = getOutputTrackProperties(outputTrack);
+    const avoidedFlags = toArray(policy.avoid !== undefined ? policy.avoid : defaultTrackAvoidedFlags).filter(flag => properties.dispositions[flag]);
+    return {
+        properties,
+        avoidedFlags,
+        criteria: [
+            avoidedFlags.length,
+            getLanguageRank(properties.language, toArray(policy.languages), originalLanguage),
+            getPriorityRank(properties.codec, toArray(policy.codecs)),
+            isNaN(properties.channels) ? Infinity : (policy.channels === 'asc' ? properties.channels : -properties.channels),
+            properties.dispositions.default ? 0 : 1, // On a tie, keep the current default track
+        ],
+    };
+}
+
+// Compares two arrays of criteria lexicographically
+function compareCriteria(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+// Elects the default audio track amongst the given output tracks, following a default track policy
+// { "languages": [...], "codecs": [...], "channels": "desc"|"asc", "avoid": [...] }.
+// Returns { index, reasons }: the index of the elected output track (-1 if there's no output track) and the reasons of the election.
+// "original" in the languages stands for the given original language.
+function electDefaultTrack(outputTracks, policy, originalLanguage) {
+    let elected = null;
+    outputTracks.forEach((outputTrack, index) => {
+        const candidate = { index, ...getDefaultTrackCriteria(outputTrack, policy, originalLanguage) };
+        if (!elected || compareCriteria(candidate.criteria, elected.criteria) < 0) elected = candidate;
+    });
+    if (!elected) return { index: -1, reasons: [] };
+
+    const languages = toArray(policy.languages);
+    const codecs = toArray(policy.codecs);
+    const [, languageRank, codecRank] = elected.criteria;
+    const reasons = [
+        elected.avoidedFlags.length > 0 ? `every track has an avoided disposition, this one has ${elected.avoidedFlags.join(', ')}` : 'no avoided disposition',
+    ];
+    if (languages.length > 0) reasons.push(languageRank < languages.length ? `preferred language #${languageRank + 1} (${elected.properties.language})` : `no track in a preferred language`);
+    if (codecs.length > 0) reasons.push(codecRank < codecs.length ? `preferred codec #${codecRank + 1} (${elected.properties.codec})` : `no track in a preferred codec`);
+    reasons.push(`${policy.channels === 'asc' ? 'fewest' : 'most'} channels (${elected.properties.channels}ch)`);
+    return { index: elected.index, reasons };
+}
+
+// Returns a dispositions object (as used by operations) setting the given flag on the output track, and preserving its other dispositions
+function getOutputTrackDispositionsWith(outputTrack, flag, value) {
+    const dispositions = applyDispositions((outputTrack.track || {}).disposition, outputTrack.dispositions);
+    dispositions[flag] = value ? 1 : 0;
+
+    // A first flag set to true replaces all the track's dispositions, otherwise clear every flag
+    const setFlags = Object.keys(dispositions).filter(f => dispositions[f]);
+    if (setFlags.length > 0) return Object.fromEntries(setFlags.map(f => [f, true]));
+    return Object.fromEntries(Object.keys(dispositions).map(f => [f, false]));
+}
+
+// Flags the output track at the given index as the only default track, clearing the "default" flag from the others.
+// Returns the number of output tracks whose dispositions were changed.
+function applyDefaultTrack(outputTracks, defaultIndex) {
+    let changes = 0;
+    outputTracks.forEach((outputTrack, index) => {
+        const isDefault = !!getOutputTrackProperties(outputTrack).dispositions.default;
+        if (isDefault === (index === defaultIndex)) return;
+        outputTrack.dispositions = getOutputTrackDispositionsWith(outputTrack, 'default', index === defaultIndex);
+        changes++;
+    });
+    return changes;
+}
+
+// Elects the default track following the given policy and updates the output tracks' dispositions accordingly, logging the decision.
+// Returns true if any output track's dispositions were changed.
+function applyDefaultTrackPolicy(outputTracks, policy, log, originalLanguage) {
+    const election = electDefaultTrack(outputTracks, policy, originalLanguage);
+    if (election.index < 0) return false;
+
+    log(`Default track election: output track ${election.index} (${describeOutputTrack(outputTracks[election.index])}) elected: ${election.reasons.join(', ')}`);
+    const changes = applyDefaultTrack(outputTracks, election.index);
+    log(changes > 0 ? ` -> Updating the "default" flag of ${changes} output track(s)` : ' -> Default track already set');
+    return changes > 0;
+}
+
+// Returns a short description of an output track, for logging purposes
+function describeOutputTrack(outputTrack) {
+    const properties = getOutputTrackProperties(outputTrack);
+    const flags = Object.keys(properties.dispositions).filter(flag => properties.dispositions[flag]);
+    return `${properties.language} ${properties.codec.toUpperCase()} ${isNaN(properties.channels) ? '?' : properties.channels}ch` +
+        (isNaN(properties.bitrate) ? '' : ` ${properties.bitrate}bps`) + (flags.length > 0 ? ` [${flags.join(',')}]` : '') + ` (from input track ${outputTrack.inputIndex})`;
+}
+
+
+// --------------------------------------------------- PLAN --------------------------------------------------- //
+
+
+// Returns the name of a rule, for logging purposes
+function getRuleName(rule) {
+    return rule.name ? rule.name : JSON.stringify(rule.match);
+}
+
+// Checks whether the given rule is a language rule, whose only operation is "setLanguage". Language rules are applied to all the
+// tracks before the other rules (see getLanguageTaggedTracks), and are skipped when looking for the rule matching a track.
+function isLanguageRule(rule) {
+    return Array.isArray(rule.operations) && rule.operations.length === 1 && !!rule.operations[0] && rule.operations[0].setLanguage !== undefined;
+}
+
+// Returns the language a "setLanguage" operation { language, infer } sets on the given track: { language, source }, "source" telling
+// where an inferred language comes from ("title" or "path"), or null if the language can't be inferred and there's no fallback language
+function getLanguageToSet(track, filePath, parameters, originalLanguage) {
+    if (parameters.infer !== undefined) {
+        const inferred = inferTrackLanguage(track, filePath, parameters.infer, originalLanguage);
+        if (inferred) return inferred;
+    }
+    if (parameters.language === undefined) return null;
+    const language = resolveLanguage(parameters.language, originalLanguage);
+    return language === originalLanguageSelector ? null : { language, source: null };
+}
+
+// Returns copies of the context's audio tracks whose language is set by the language rules. Each language rule is applied in order to
+// all the tracks, so that the languages it sets are seen by the following rules, including the "noOtherTrack" and "anyOtherTrack"
+// conditions. Also returns the matching context of the copies: { tracks, context }.
+function getLanguageTaggedTracks(filePath, transcodeRules, context, log) {
+    const tracks = context.audioTracks.map(track => ({ ...track, tags: { ...track.tags } }));
+    const taggedContext = { ...context, audioTracks: tracks, tracks };
+    transcodeRules.forEach(rule => {
+        if (!isLanguageRule(rule)) return;
+        tracks.forEach(track => {
+            if (!evaluateMatch(track, rule.match, taggedContext).matches) return;
+            const previousLanguage = getTrackLanguage(track);
+            const result = getLanguageToSet(track, filePath, rule.operations[0].setLanguage, context.originalLanguage);
+            if (!result) {
+                log(`Track ${track.index} matches language rule "${getRuleName(rule)}", but no language could be inferred, keeping "${previousLanguage}"`);
+                return;
+            }
+            track.tags.language = result.language;
+            log(`Track ${track.index} matches language rule "${getRuleName(rule)}", language set from "${previousLanguage}" to "${result.language}"` +
+                (result.source ? ` (inferred from the ${result.source === 'title' ? 'track title' : 'file path'})` : ''));
+        });
+    });
+    return { tracks, context: taggedContext };
+}
+
+// Tests a track against each rule, in order, and returns the first matching one: { rule, ruleIndex, result, attempts }, where "result" is
+// the result of evaluateMatch for the matching rule, and "attempts" lists { ruleIndex, name, matches, failure } for every rule tried.
+// "rule" is null and "ruleIndex" is -1 when no rule matches. Language rules are skipped.
+function findMatchingRule(track, transcodeRules, context) {
+    const attempts = [];
+    for (let ruleIndex = 0; ruleIndex < transcodeRules.length; ruleIndex++) {
+        const rule = transcodeRules[ruleIndex];
+        if (isLanguageRule(rule)) continue;
+        const result = evaluateMatch(track, rule.match, context);
+        attempts.push({ ruleIndex, name: getRuleName(rule), matches: result.matches, failure: result.failure });
+        if (result.matches) return { rule, ruleIndex, result, attempts };
+    }
+    return { rule: null, ruleIndex: -1, result: null, attempts };
+}
+
+// Returns the given number, or null if it isn't a number (for JSON output)
+function toNumberOrNull(value) {
+    const number = parseInt(value);
+    return isNaN(number) ? null : number;
+}
+
+// Builds the machine-readable plan of the audio tracks processing, from the match of each input track
+// ({ inputIndex, track, ruleIndex, ruleName, branches, attempts }, as returned by findMatchingRule) and the final output tracks.
+function buildPlan(inputTracksMatches, outputTracks) {
+    return {
+        inputTracks: inputTracksMatches.map(trackMatch => {
+            const track = trackMatch.track;
+            const outputIndexes = outputTracks.map((outputTrack, index) => outputTrack.inputIndex === trackMatch.inputIndex ? index : -1).filter(index => index >= 0);
+            return {
+                inputIndex: trackMatch.inputIndex,
+                streamIndex: track.index,
+                codec: getTrackCodec(track),
+                channels: toNumberOrNull(track.channels),
+                bitrate: toNumberOrNull(track.bit_rate),
+                language: getTrackLanguage(track),
+                title: getTrackTitle(track),
+                rule: trackMatch.ruleIndex >= 0 ? { index: trackMatch.ruleIndex, name: trackMatch.ruleName, branches: trackMatch.branches } : null,
+                action: trackMatch.ruleIndex < 0 ? 'copy' : (outputIndexes.length === 0 ? 'remove' : 'process'),
+                outputTracks: outputIndexes,
+                attempts: trackMatch.attempts,
+            };
+        }),
+        outputTracks: outputTracks.map((outputTrack, index) => {
+            const properties = getOutputTrackProperties(outputTrack);
+            return {
+                outputIndex: index,
+                inputIndex: outputTrack.inputIndex,
+                operation: outputTrack.bitstreamFilter ? 'extractCore' : (outputTrack.codec === 'copy' ? 'copy' : 'transcode'),
+                codec: properties.codec,
+                channels: toNumberOrNull(properties.channels),
+                bitrate: toNumberOrNull(properties.bitrate),
+                language: properties.language,
+                title: properties.title,
+                dispositions: Object.keys(properties.dispositions).filter(flag => properties.dispositions[flag]),
+                filters: outputTrack.filters || null,
+            };
+        }),
+    };
+}
+
+// Returns the human-readable lines describing a plan built with buildPlan
+function formatPlan(plan) {
+    const lines = [];
+    plan.inputTracks.forEach(inputTrack => {
+        const description = `Input track ${inputTrack.inputIndex} (stream ${inputTrack.streamIndex}, ${inputTrack.language} ${inputTrack.codec.toUpperCase()}` +
+            `${inputTrack.channels === null ? '' : ` ${inputTrack.channels}ch`}${inputTrack.bitrate === null ? '' : ` ${inputTrack.bitrate}bps`}, "${inputTrack.title}")`;
+        const rule = inputTrack.rule ? `rule #${inputTrack.rule.index} "${inputTrack.rule.name}"` : 'no matching rule';
+        const outputs = inputTrack.action === 'remove' ? 'removed' : `output track${inputTrack.outputTracks.length > 1 ? 's' : ''} ${inputTrack.outputTracks.join(', ')}`;
+        lines.push(`${description} -> ${rule} -> ${outputs}`);
+
+        inputTrack.outputTracks.forEach(outputIndex => {
+            const outputTrack = plan.outputTracks[outputIndex];
+            lines.push(` -> Output track ${outputIndex}: ${outputTrack.operation} ${outputTrack.codec.toUpperCase()}` +
+                `${outputTrack.channels === null ? '' : ` ${outputTrack.channels}ch`}${outputTrack.bitrate === null ? '' : ` ${outputTrack.bitrate}bps`}` +
+                `, title "${outputTrack.title}", dispositions [${outputTrack.dispositions.join(',')}]${outputTrack.filters ? `, filters "${outputTrack.filters}"` : ''}`);
+        });
+    });
+    return lines;
+}
+
+// Returns the human-readable lines explaining, for each input track of a plan built with buildPlan, every rule tried and why it didn't match
+function formatExplanation(plan) {
+    const lines = [];
+    plan.inputTracks.forEach(inputTrack => {
+        lines.push(`Input track ${inputTrack.inputIndex} (stream ${inputTrack.streamIndex}, "${inputTrack.title}"):`);
+        inputTrack.attempts.forEach(attempt => {
+            lines.push(` -> rule #${attempt.ruleIndex} "${attempt.name}": ` + (attempt.matches ? 'matched' : `failed on ${attempt.failure}`));
+        });
+        if (!inputTrack.rule) lines.push(' -> no rule matched, the track is copied');
+    });
+    return lines;
+}
+
+
+// --------------------------------------------------- COMMANDS --------------------------------------------------- //
+
+
+// Returns the FFMpeg command flags from the given disposition's object
+function getDispositionFlags(dispositions) {
+    const flags = [];
+    let isFirstFlag = true;
+    for (const [flag, value] of Object.entries(dispositions)) {
+        flags.push(value === true ? (isFirstFlag? flag : '+' + flag) : '-' + flag);
+        isFirstFlag = false;
+    }
+    return flags.join('');
+}
+
+// Returns the ffmpeg arguments creating an output audio track (see OUTPUT TRACKS) at the given output index
+function getAudioTrackCommands(outputTrack, outputIndex) {
+    const encoder = outputTrack.codec === 'copy' ? null : getEncoderCapabilities(outputTrack.codec);
+    const commands = [`-map 0:a:${outputTrack.inputIndex}`, `-c:a:${outputIndex} ${encoder ? encoder.name : outputTrack.codec}`];
+    if (encoder && encoder.experimental) commands.push(`-strict:a:${outputIndex} experimental`);
+    if (outputTrack.bitstreamFilter) commands.push(`-bsf:a:${outputIndex} ${outputTrack.bitstreamFilter}`);
+    if (outputTrack.channels && !outputTrack.bitstreamFilter) commands.push(`-ac:a:${outputIndex} ${outputTrack.channels}`);
+    if (outputTrack.bitrate && !outputTrack.bitstreamFilter) commands.push(`-b:a:${outputIndex} ${outputTrack.bitrate}`);
+    if (outputTrack.quality !== undefined && encoder && encoder.quality) {
+        if (encoder.quality.bitrateTarget) commands.push(`-vbr:a:${outputIndex} on`);
+        commands.push(`-${encoder.quality.option}:a:${outputIndex} ${outputTrack.quality}`);
+    }
+    if (outputTrack.sampleRate) commands.push(`-ar:a:${outputIndex} ${outputTrack.sampleRate}`);
+    if (outputTrack.sampleFormat) commands.push(`-sample_fmt:a:${outputIndex} ${outputTrack.sampleFormat}`);
+    if (outputTrack.language) commands.push(`-metadata:s:a:${outputIndex} 'language=${outputTrack.language}'`);
+    if (outputTrack.title) commands.push(`-metadata:s:a:${outputIndex} "title=${outputTrack.title}"`);
+    if (outputTrack.dispositions) commands.push(`-disposition:a:${outputIndex} ${getDispositionFlags(outputTrack.dispositions)}`);
+    if (outputTrack.filters) commands.push(`-filter:a:${outputIndex} "${outputTrack.filters}"`);
+    return commands.join(' ');
+}
+
+// Returns the ffmpeg arguments creating all the given output audio tracks, in order
+function getAudioTracksCommands(outputTracks) {
+    return outputTracks.map((outputTrack, outputIndex) => getAudioTrackCommands(outputTrack, outputIndex)).join(' ');
+}
+
+
+// --------------------------------------------------- SUBTITLES --------------------------------------------------- //
+
+
+// Output subtitle tracks are described like output audio tracks (see OUTPUT TRACKS): { inputIndex, track, codec ('copy' or
+// a subtitle encoder), title, dispositions }, inputIndex being the index of the input track among the subtitle streams.
+
+// ffprobe's codec names of the tracks produced by each subtitle encoder. Only text subtitles can be converted.
+const subtitleEncoderCodecs = { srt: 'subrip', subrip: 'subrip', ass: 'ass', ssa: 'ass', mov_text: 'mov_text', webvtt: 'webvtt' };
+
+function getSubtitleTracks(file) {
+    return file.ffProbeData.streams.filter(stream => stream.codec_type === 'subtitle');
+}
+
+// Returns the reason why the given subtitle track can't be converted with the given encoder, or null if it can
+function getSubtitleConversionError(track, encoder) {
+    if (!subtitleEncoderCodecs[encoder.toLowerCase()]) return `${encoder.toUpperCase()} is not a text subtitle encoder`;
+    if (!textSubtitleCodecs.includes(getTrackCodec(track))) return `${getTrackCodec(track).toUpperCase()} subtitles are not text subtitles`;
+    return null;
+}
+
+// Returns the output subtitle tracks copying every subtitle stream of the file.
+// We only map subtitle streams that have a valid codec name identified by FFprobe, to prevent ffmpeg from crashing.
+function getSubtitleOutputTracks(file, log) {
+    const outputTracks = [];
+    getSubtitleTracks(file).forEach((track, inputIndex) => {
+        if (track.codec_name && track.codec_name !== 'none') {
+            outputTracks.push({ inputIndex, track, codec: 'copy' });
+        } else {
+            log(` -> Subtitle track ${track.index}: Missing codec name. Skipping to prevent crash.`);
+        }
+    });
+    return outputTracks;
+}
+
+// Returns the given output subtitle tracks fitting the given container (file extension): text subtitles it can't hold are converted,
+// and other subtitles it can't hold are dropped
+function fitSubtitleTracksToContainer(outputTracks, container, log) {
+    return outputTracks.filter(outputTrack => {
+        const codec = outputTrack.codec === 'copy' ? getTrackCodec(outputTrack.track) : subtitleEncoderCodecs[outputTrack.codec.toLowerCase()];
+        if (isSubtitleCodecCompatible(codec, container)) return true;
+        if (textSubtitleCodecs.includes(codec) && containerTextSubtitleEncoders[container]) {
+            log(` -> Subtitle track ${outputTrack.track.index}: ${container.toUpperCase()} can't hold ${codec.toUpperCase()} subtitles, converting to ${containerTextSubtitleEncoders[container].toUpperCase()}`);
+            outputTrack.codec = containerTextSubtitleEncoders[container];
+            return true;
+        }
+        log(` -> Subtitle track ${outputTrack.track.index}: ${container.toUpperCase()} can't hold ${codec.toUpperCase()} subtitles, dropping it`);
+        return false;
+    });
+}
+
+// Returns the ffmpeg arguments creating an output subtitle track at the given output index
+function getSubtitleTrackCommands(outputTrack, outputIndex) {
+    const commands = [`-map 0:s:${outputTrack.inputIndex}`, `-c:s:${outputIndex} ${outputTrack.codec}`];
+    if (outputTrack.title) commands.push(`-metadata:s:s:${outputIndex} "title=${outputTrack.title}"`);
+    if (outputTrack.dispositions) commands.push(`-disposition:s:${outputIndex} ${getDispositionFlags(outputTrack.dispositions)}`);
+    return commands.join(' ');
+}
+
+// Returns the ffmpeg arguments creating all the given output subtitle tracks, in order, or disabling subtitles if there are none
+function getSubtitleTracksCommands(outputTracks) {
+    if (outputTracks.length === 0) return '-sn ';
+    return outputTracks.map((outputTrack, outputIndex) => getSubtitleTrackCommands(outputTrack, outputIndex) + ' ').join('');
+}
+
+// Returns the ffmpeg arguments copying the subtitle streams of the file.
+// When given the output container, text subtitles it can't hold are converted, and other subtitles it can't hold are dropped.
+function getSubtitlesCommands(file, log, container) {
+    const outputTracks = getSubtitleOutputTracks(file, log);
+    return getSubtitleTracksCommands(container ? fitSubtitleTracksToContainer(outputTracks, container, log) : outputTracks);
+}
+
+
+// --------------------------------------------------- STREAMS --------------------------------------------------- //
+
+
+// Streams and file data not targeted by the rules, that are kept ("keep") or dropped ("drop") by the streams preservation policy
+const preservedStreamsTypes = ['attachments', 'data', 'chapters', 'metadata', 'attachedPictures'];
+const defaultStreamsPolicy = { attachments: 'keep', data: 'keep', chapters: 'keep', metadata: 'keep', attachedPictures: 'keep' };
+
+// Containers (file extensions) that can hold attachments, data streams and attached pictures
+const containerPreservedStreams = {
+    attachments: ['mkv'],
+    data: ['mp4', 'm4v', 'mov', 'ts', 'm2ts'],
+    attachedPictures: ['mkv', 'mp4', 'm4v', 'mov'],
+};
+
+// Returns the streams preservation policy resulting from the given partial policy, missing entries being kept
+function getStreamsPolicy(policy) {
+    return { ...defaultStreamsPolicy, ...policy };
+}
+
+// Returns the reason why the given stream type is dropped by the policy in the given container (file extension), or null if it's kept
+function getStreamsDropReason(type, policy, container) {
+    if (policy[type] === 'drop') return 'as stipulated by the streams policy';
+    if (containerPreservedStreams[type] && !containerPreservedStreams[type].includes(container.toLowerCase())) return `since ${container.toUpperCase()} can't hold them`;
+    return null;
+}
+
+// Returns a short description of a stream for the logs
+function describeStream(stream) {
+    const name = stream.tags && (stream.tags.filename || stream.tags.title || stream.tags.handler_name);
+    return `stream ${stream.index} (${(stream.codec_name || stream.codec_tag_string || 'unknown').toUpperCase()}${name ? ` "${name}"` : ''})`;
+}
+
+// Returns the ffmpeg arguments copying the video streams of the file, attached pictures (cover art) being mapped after the
+// other video streams with their disposition, or dropped according to the given streams policy
+function getVideoCommands(file, policy, container, log) {
+    const videoStreams = file.ffProbeData.streams.filter(stream => stream.codec_type === 'video');
+    const attachedPictures = videoStreams.filter(stream => stream.disposition && toDispositionValue(stream.disposition.attached_pic) === 1);
+    if (attachedPictures.length === 0) return '-map 0:v -c:v copy ';
+
+    let commands = '-map 0:V -c:v copy ';
+    const dropReason = getStreamsDropReason('attachedPictures', policy, container);
+    let outputIndex = videoStreams.length - attachedPictures.length;
+    attachedPictures.forEach(stream => {
+        if (dropReason) {
+            log(`Dropping attached picture ${describeStream(stream)} ${dropReason}`);
+            return;
+        }
+        commands += `-map 0:v:${videoStreams.indexOf(stream)} -disposition:v:${outputIndex} attached_pic `;
+        outputIndex++;
+    });
+    return commands;
+}
+
+// Returns the ffmpeg arguments keeping or dropping the attachments, data streams, chapters and global metadata of the file
+// according to the given streams policy, in the given output container (file extension)
+function getPreservedStreamsCommands(file, policy, container, log) {
+    let commands = '';
+    const streamTypes = { attachments: 'attachment', data: 'data' };
+    for (const [type, codecType] of Object.entries(streamTypes)) {
+        const streams = file.ffProbeData.streams.filter(stream => stream.codec_type === codecType);
+        if (streams.length === 0) continue;
+
+        const dropReason = getStreamsDropReason(type, policy, container);
+        const specifier = type === 'attachments' ? 't' : 'd';
+        let outputIndex = 0;
+        streams.forEach((stream, index) => {
+            if (dropReason) {
+                log(`Dropping ${codecType} ${describeStream(stream)} ${dropReason}`);
+            } else if (codecType === 'data' && !stream.codec_name) {
+                log(`Dropping data ${describeStream(stream)} since ffmpeg can't copy streams without codec`);
+            } else {
+                commands += `-map 0:${specifier}:${index} -c:${specifier}:${outputIndex} copy `;
+                outputIndex++;
+            }
+        });
+    }
+
+    const chapters = file.ffProbeData.chapters || [];
+    if (policy.chapters === 'drop') {
+        if (chapters.length > 0) log(`Dropping ${chapters.length} chapters as stipulated by the streams policy`);
+        commands += '-map_chapters -1 ';
+    }
+    if (policy.metadata === 'drop') {
+        log('Dropping the global metadata as stipulated by the streams policy');
+        commands += '-map_metadata -1 ';
+    }
+    return commands;
+}
+
+
+// Checks whether processing the file with the given streams policy would drop any of its attached pictures, attachments, data streams,
+// chapters or global metadata
+function hasDroppedStreams(file, policy, container) {
+    const streams = file.ffProbeData.streams;
+    const attachedPictures = streams.filter(stream => stream.codec_type === 'video' && stream.disposition && toDispositionValue(stream.disposition.attached_pic) === 1);
+    const attachments = streams.filter(stream => stream.codec_type === 'attachment');
+    const dataStreams = streams.filter(stream => stream.codec_type === 'data');
+    const tags = file.ffProbeData.format && file.ffProbeData.format.tags || {};
+    return (attachedPictures.length > 0 && getStreamsDropReason('attachedPictures', policy, container) !== null) ||
+        (attachments.length > 0 && getStreamsDropReason('attachments', policy, container) !== null) ||
+        (dataStreams.length > 0 && (getStreamsDropReason('data', policy, container) !== null || dataStreams.some(stream => !stream.codec_name))) ||
+        (policy.chapters === 'drop' && (file.ffProbeData.chapters || []).length > 0) ||
+        (policy.metadata === 'drop' && Object.keys(tags).length > 0);
+}
+
+// Checks whether the output of the processing would be equivalent to the input file: same container, same audio and subtitle tracks
+// with the same codecs, titles and dispositions, and no dropped stream. Processing such a file is pointless, whatever its watermark
+function isOutputEquivalentToInput(file, audioOutputTracks, subtitleOutputTracks, policy, container) {
+    return container === file.container.toLowerCase() &&
+        areOutputTracksUnchanged(audioOutputTracks, getAudioTracks(file)) &&
+        areOutputTracksUnchanged(subtitleOutputTracks, getSubtitleTracks(file)) &&
+        !hasDroppedStreams(file, policy, container);
+}
+
+
+// --------------------------------------------------- WATERMARK --------------------------------------------------- //
+
+
+// Where the plugins can write their watermark: appended to the file's copyright metadata, in a dedicated metadata tag, or nowhere
+const watermarkModes = ['copyright', 'tag', 'disabled'];
+
+// Metadata tag holding the plugins watermarks in the "tag" watermark mode
+const watermarkTag = 'TDARR_WATERMARK';
+
+// Containers whose muxer drops custom metadata tags unless told to keep them with "-movflags use_metadata_tags"
+const customTagsMovflagsContainers = ['mp4', 'm4v', 'mov'];
+
+// Returns the value of the given global metadata tag of the file, or an empty string. Tag names are compared case-insensitively
+// since ffprobe reports them as stored by the container (e.g., "COPYRIGHT" in MKV, "copyright" in MP4)
+function getFormatTag(file, tagName) {
+    const tags = file.ffProbeData && file.ffProbeData.format && file.ffProbeData.format.tags || {};
+    const key = Object.keys(tags).find(k => k.toLowerCase() === tagName.toLowerCase());
+    return key !== undefined ? String(tags[key]) : '';
+}
+
+// Returns the copyright metadata of the given file, or an empty string
+function getCopyrightData(file) {
+    return getFormatTag(file, 'copyright');
+}
+
+// Returns the watermark of the given plugin: a short hash of the plugin version and of the data driving its output (e.g., its
+// rules), so that the watermark keeps a constant size and changes whenever the plugin would produce another output
+function getPluginWatermark(pluginName, version, data) {
+    const hash = require('crypto').createHash('sha256').update(JSON.stringify({ version, data })).digest('hex').substring(0, 12);
+    return `[Tdarr:${pluginName}:${hash}]`;
+}
+
+// Returns the given metadata value without any watermark of the given plugin, whatever its version or format
+function removePluginWatermarks(value, pluginName) {
+    return value.replace(new RegExp(`\\s?\\[Tdarr:${pluginName}:[^\\]]*\\]`, 'g'), '');
+}
+
+// Returns the name of the plugin that produced the given watermark
+function getWatermarkPluginName(pluginWatermark) {
+    return pluginWatermark.replace(/^\[Tdarr:([^:\]]+):.*$/, '$1');
+}
+
+// Checks whether the given plugin watermark is present in the file, where the given watermark mode writes it
+function hasWatermark(file, pluginWatermark, mode = 'copyright') {
+    if (mode === 'disabled') return false;
+    return getFormatTag(file, mode === 'tag' ? watermarkTag : 'copyright').includes(pluginWatermark);
+}
+
+// Returns the ffmpeg arguments writing the given plugin watermark where the given watermark mode writes it. Previous watermarks of
+// the same plugin are replaced rather than accumulated, and any other text of the metadata (e.g., the actual copyright) is kept.
+// In the "tag" mode, watermarks of the plugin previously written to the copyright metadata are removed from it
+function getWatermarkCommand(file, pluginWatermark, mode = 'copyright', container = file.container) {
+    if (mode === 'disabled') return '';
+
+    const pluginName = getWatermarkPluginName(pluginWatermark);
+    const copyright = getCopyrightData(file);
+    const cleanCopyright = removePluginWatermarks(copyright, pluginName);
+    if (mode === 'copyright') {
+        return `-metadata "copyright=${cleanCopyright}${cleanCopyright ? ' ' : ''}${pluginWatermark}"`;
+    }
+
+    const commands = [];
+    if (cleanCopyright !== copyright) {
+        commands.push(`-metadata "copyright=${cleanCopyright}"`);
+    }
+    const tagValue = removePluginWatermarks(getFormatTag(file, watermarkTag), pluginName);
+    commands.push(`-metadata "${watermarkTag}=${tagValue}${tagValue ? ' ' : ''}${pluginWatermark}"`);
+    if (customTagsMovflagsContainers.includes(String(container).toLowerCase())) {
+        commands.push('-movflags use_metadata_tags');
+    }
+    return commands.join(' ');
+}
+
+// --------------------------------------------------- PRESETS --------------------------------------------------- //
+
+
+// Curated rule sets, selectable by name instead of (or combined with) custom rules
+const rulesPresets = {
+    // Removes tracks flagged or titled as commentaries, unless the file has no other audio track
+    remove_commentary: [
+        {
+            name: 'Remove commentaries',
+            match: {
+                codecs: '*',
+                any: [{ dispositions: { comment: 1 } }, { title: { pattern: 'commentary', caseSensitive: false } }],
+                anyOtherTrack: { not: [{ dispositions: { comment: 1 } }, { title: { pattern: 'commentary', caseSensitive: false } }] },
+            },
+            operations: [],
+        },
+    ],
+    // Adds a non-default AAC stereo track after the best non-commentary track of each language without an AAC stereo track yet
+    aac_stereo_per_language: [
+        {
+            name: 'Add an AAC stereo compatibility track',
+            match: {
+                codecs: '!aac',
+                not: { dispositions: { comment: 1 } },
+                noOtherTrack: {
+                    sameLanguage: true,
+                    any: [
+                        { codecs: 'aac', channels: '<=2' },
+                        { codecs: '!aac', not: { dispositions: { comment: 1 } }, betterTrack: true },
+                    ],
+                },
+            },
+            operations: [
+                { copy: {} },
+                { transcode: { codec: 'aac', channels: 2, bitrate: 192000, title: '{LANG} AAC Stereo', dispositions: { default: false } } },
+            ],
+        },
+    ],
+    // Replaces lossless tracks by E-AC3 tracks of up to 5.1 channels, keeping object-based audio (Atmos, DTS:X)
+    lossless_to_eac3: [
+        {
+            name: 'Replace lossless tracks by E-AC3 5.1',
+            match: { codecs: ['truehd', 'flac', 'alac', 'pcm_s16le', 'pcm_s24le', 'pcm_s32le', 'pcm_bluray'], profiles: '!object-based' },
+            operations: [{ transcode: { codec: 'eac3', channels: 6, bitrate: 640000, title: '{LANG} E-AC3 {o_channels_fancy}' } }],
+        },
+    ],
+    // Keeps the tracks flagged as original, English and untagged tracks, and removes the other languages when one of them is kept
+    original_and_english: [
+        {
+            name: 'Keep original language tracks',
+            match: { codecs: '*', dispositions: { original: 1 } },
+            operations: [{ copy: {} }],
+        },
+        {
+            name: 'Keep English and untagged tracks',
+            match: { codecs: '*', languages: ['eng', 'und'] },
+            operations: [{ copy: {} }],
+        },
+        {
+            name: 'Remove other languages',
+            match: { codecs: '*', anyOtherTrack: { any: [{ dispositions: { original: 1 } }, { languages: ['eng', 'und'] }] } },
+            operations: [],
+        },
+    ],
+};
+
+// Returns the rules of the given preset, or an empty array for "none"
+function getPresetRules(presetName) {
+    return presetName && presetName !== 'none' ? rulesPresets[presetName] : [];
+}
+
+// Returns an error message if the given preset or custom rules position is invalid, null otherwise
+function validatePreset(presetName, customRulesPosition) {
+    if (presetName !== 'none' && !rulesPresets.hasOwnProperty(presetName)) {
+        return `'preset' must be one of: none, ${Object.keys(rulesPresets).join(', ')}.`;
+    }
+    if (!['before', 'after'].includes(customRulesPosition)) {
+        return "'customRulesPosition' must be one of: before, after.";
+    }
+    return null;
+}
+
+// Returns the given transcode configuration with the rules of the given preset added after (or before) its rules.
+// The configuration is returned as-is without preset, so that it keeps its watermark.
+function applyPreset(config, presetName, customRulesPosition = 'before') {
+    const presetRules = getPresetRules(presetName);
+    if (presetRules.length === 0) return config;
+    return { ...config, rules: customRulesPosition === 'before' ? [...config.rules, ...presetRules] : [...presetRules, ...config.rules] };
+}
+
+
+// --------------------------------------------------- RULES --------------------------------------------------- //
+
+
+// Validation issues are { path, message } objects, "path" being the JSON path of the faulty value in the configuration
+// (e.g., "rules[2].operations[0].transcode.bitrate"). Errors make the configuration unusable, warnings point out likely mistakes
+// (e.g., unreachable rules, or bitrates the encoder will adjust).
+
+// Properties allowed in configuration objects, rules and "match" objects
+const configKeys = ['rules', 'subtitleRules', 'streams', 'sort', 'defaultTrack'];
+const ruleKeys = ['name', 'match', 'operations', 'containerPolicy'];
+const subtitleRuleKeys = ['name', 'match', 'operations'];
+const matchKeys = ['codecs', 'profiles', 'languages', 'channels', 'channelLayouts', 'bitrate', 'sampleRate', 'bitDepth', 'dispositions', 'title', 'audioTracksCount', 'sameLanguage', 'betterTrack', 'all', 'any', 'not', 'noOtherTrack', 'anyOtherTrack'];
+const matchCombinators = ['all', 'any', 'not', 'noOtherTrack', 'anyOtherTrack'];
+
+// Match properties whose "*" selector matches every track, making a rule a catch-all when it has no other property
+const catchAllMatchKeys = ['codecs', 'profiles', 'languages', 'channels', 'channelLayouts', 'bitrate', 'sampleRate', 'bitDepth', 'audioTracksCount'];
+
+// Parameters allowed in each operation of the audio and subtitle rules
+const operationKeys = {
+    copy: ['title', 'dispositions'],
+    extractCore: ['title', 'dispositions'],
+    transcode: ['codec', 'channels', 'channelLayout', 'bitrate', 'bitratePerChannel', 'quality', 'sampleRate', 'sampleFormat', 'resampler', 'title', 'dispositions', 'downmix', 'filters'],
+    setLanguage: ['language', 'infer'],
+};
+const subtitleOperationKeys = {
+    copy: ['title', 'dispositions'],
+    transcode: ['codec', 'title', 'dispositions'],
+};
+const resamplerKeys = ['engine', 'precision', 'dither'];
+
+// Disposition flags reported by ffprobe
+const dispositionFlags = ['default', 'dub', 'original', 'comment', 'lyrics', 'karaoke', 'forced', 'hearing_impaired', 'visual_impaired', 'clean_effects',
+    'attached_pic', 'timed_thumbnails', 'non_diegetic', 'captions', 'descriptions', 'metadata', 'dependent', 'still_image', 'multilayer'];
+
+// Audio codec names reported by ffprobe besides the encoders' ones, so that codec selectors with typos can be spotted
+const otherAudioCodecs = ['mlp', 'mp1', 'mp2', 'wmav1', 'wmav2', 'amr_nb', 'amr_wb', 'speex', 'tta', 'wavpack', 'ape', 'dsd_lsbf', 'dsd_msbf', 'gsm', 'ra_cook'];
+
+// Int selectors syntax: "*", "N", "<N", "<=N", ">N" or ">=N"
+const intSelectorRegExp = /^\s*(\*|(<=|>=|<|>)?\s*\d+)\s*$/;
+
+// Checks whether the given value is an object, and not an array
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Returns the JSON path of the given property (or array index) of the value at the given path
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+// Returns an empty validation report, collecting the errors and warnings found while checking a configuration
+function createValidationReport() {
+    return { errors: [], warnings: [] };
+}
+
+// Adds an error or a warning to the given validation report
+function addError(report, path, message) {
+    report.errors.push({ path, message });
+}
+function addWarning(report, path, message) {
+    report.warnings.push({ path, message });
+}
+
+// Returns a validation issue as a "path: message" string
+function formatValidationIssue(issue) {
+    return issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+}
+
+// Returns validation issues as a single string, one issue per line when there are several
+function formatValidationIssues(issues) {
+    if (issues.length === 1) return formatValidationIssue(issues[0]);
+    return `${issues.length} issues:` + issues.map(issue => `\n - ${formatValidationIssue(issue)}`).join('');
+}
+
+// Returns the number of single-character edits turning a string into another (Levenshtein distance)
+function getEditDistance(a, b) {
+    let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previousRow = row;
+    }
+    return previousRow[b.length];
+}
+
+// Returns the known name closest to the given one, to suggest it in case of a typo, or null if none is close enough
+function getClosestName(name, knownNames) {
+    const closest = knownNames.map(knownName => ({ knownName, distance: getEditDistance(name.toLowerCase(), knownName.toLowerCase()) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+    return closest && closest.distance <= Math.max(1, Math.floor(name.length / 3)) ? closest.knownName : null;
+}
+
+// Reports the properties of the object that aren't among the known keys, suggesting the closest known key for typos (e.g., "chanels")
+function checkKnownKeys(object, knownKeys, path, report) {
+    for (const key of Object.keys(object)) {
+        if (knownKeys.includes(key)) continue;
+        const closestKey = getClosestName(key, knownKeys);
+        addError(report, joinPath(path, key), closestKey ? `unknown property, did you mean '${closestKey}'?` : `unknown property, expected one of: ${knownKeys.join(', ')}.`);
+    }
+}
+
+// Checks whether the given audio codec name is one ffprobe can report
+function isKnownAudioCodec(codec) {
+    const name = codec.toLowerCase();
+    return getEncoderCapabilities(name) !== null || Object.values(encoderCapabilities).some(capabilities => capabilities.codec === name) ||
+        decodeOnlyCodecs.includes(name) || otherAudioCodecs.includes(name) || /^(pcm|adpcm)_/.test(name);
+}
+
+// Checks whether the given profile selector value is an ffprobe profile, one of its "+"-separated parts, or an alias (see getTrackProfiles)
+function isKnownProfile(name) {
+    const profile = name.toLowerCase();
+    return profileAliases.includes(profile) ||
+        knownProfiles.some(knownProfile => knownProfile.toLowerCase() === profile || knownProfile.toLowerCase().split(' + ').includes(profile));
+}
+
+// Checks a list selector ("*", "value" or "!value", or an array of them), and with a "valueType" of "codec", "language", "layout" or
+// "profile" that the selected audio codecs, languages, channel layouts or profiles exist
+function checkListSelectors(value, path, report, valueType = null) {
+    if (typeof value !== 'string' && !Array.isArray(value)) {
+        addError(report, path, "must be a selector string ('*', 'value' or '!value') or an array of selectors.");
+        return;
+    }
+    if (Array.isArray(value) && value.length === 0) addWarning(report, path, 'empty selectors array, matches every track.');
+    toArray(value).forEach((selector, index) => {
+        const selectorPath = Array.isArray(value) ? joinPath(path, index) : path;
+        if (typeof selector !== 'string' || selector.trim().replace(/^!/, '') === '') {
+            addError(report, selectorPath, "must be a non-empty selector string ('*', 'value' or '!value').");
+            return;
+        }
+        const name = selector.trim().replace(/^!/, '');
+        if (valueType === 'codec' && name !== '*' && !isKnownAudioCodec(name)) {
+            addWarning(report, selectorPath, `unknown audio codec '${name}', expected a codec name reported by ffprobe (e.g., truehd, dts, eac3).`);
+        }
+        if (valueType === 'layout' && name !== '*' && !layoutChannels.hasOwnProperty(name.toLowerCase())) {
+            addWarning(report, selectorPath, `unknown channel layout '${name}', expected a layout reported by ffprobe (e.g., stereo, 5.1, 5.1(side), 7.1).`);
+        }
+        if (valueType === 'profile' && name !== '*' && !isKnownProfile(name)) {
+            addWarning(report, selectorPath, `unknown profile '${name}', expected a profile reported by ffprobe (e.g., ${knownProfiles.slice(3, 6).join(', ')}) or one of: ${profileAliases.join(', ')}.`);
+        }
+        // Only 3-letter codes are accepted as-is, all the ISO 639-1 codes being known
+        if (valueType === 'language' && name !== '*' && name.toLowerCase() !== originalLanguageSelector && !getIsoLanguage(name) && !/^[a-z]{3}$/i.test(name)) {
+            addWarning(report, selectorPath, `unknown language '${name}', expected an ISO 639 code (e.g., eng, fre, ja), an English language name or '${originalLanguageSelector}'.`);
+        }
+    });
+}
+
+// Checks an int selector ("*", "N", "<N", "<=N", ">N" or ">=N", or an array of them)
+function checkIntSelectors(value, path, report) {
+    if (typeof value !== 'string' && !Array.isArray(value)) {
+        addError(report, path, "must be an int selector string ('*', 'N', '<N', '<=N', '>N' or '>=N') or an array of int selectors.");
+        return;
+    }
+    toArray(value).forEach((selector, index) => {
+        if ((typeof selector !== 'string' && typeof selector !== 'number') || !intSelectorRegExp.test(String(selector))) {
+            addError(report, Array.isArray(value) ? joinPath(path, index) : path, `invalid int selector ${JSON.stringify(selector)}, expected '*', 'N', '<N', '<=N', '>N' or '>=N'.`);
+        }
+    });
+}
+
+// Checks a dispositions object, whose values are booleans in operations, and 1/0, "1"/"0" or true/false in "match" objects
+function checkDispositions(dispositions, path, report, isMatch) {
+    if (!isPlainObject(dispositions)) {
+        addError(report, path, 'must be an object of disposition flags.');
+        return;
+    }
+    for (const [flag, value] of Object.entries(dispositions)) {
+        const flagPath = joinPath(path, flag);
+        if (isMatch ? ![0, 1, '0', '1', true, false].includes(value) : typeof value !== 'boolean') {
+            addError(report, flagPath, isMatch ? 'must be 1, 0, "1", "0", true or false.' : 'must be a boolean.');
+        }
+        if (!dispositionFlags.includes(flag)) addWarning(report, flagPath, `unknown disposition flag, expected one of: ${dispositionFlags.join(', ')}.`);
+    }
+}
+
+// Checks a "title" match object, compiling its RegExp
+function checkTitleMatch(title, path, report) {
+    if (!isPlainObject(title)) {
+        addError(report, path, 'must be an object { "pattern": string, "caseSensitive": boolean }.');
+        return;
+    }
+    checkKnownKeys(title, ['pattern', 'caseSensitive'], path, report);
+    if (!title.hasOwnProperty('pattern')) {
+        addError(report, path, "is missing the 'pattern' property.");
+    }
+    else if (typeof title.pattern !== 'string') {
+        addError(report, joinPath(path, 'pattern'), 'must be a string.');
+    }
+    else {
+        title.pattern = title.pattern.replaceAll("\\\\", "\\");
+        try {
+            getTitleRegExp(title);
+            getTitleGroupNames(title.pattern).filter(name => isKnownTitleTag(name)).forEach(name =>
+                addWarning(report, joinPath(path, 'pattern'), `the "${name}" capture group can't be used in titles, "{${name}}" is a tag.`));
+        } catch (e) {
+            addError(report, joinPath(path, 'pattern'), `${e.message}.`);
+        }
+    }
+    if (title.hasOwnProperty('caseSensitive') && typeof title.caseSensitive !== 'boolean') addError(report, joinPath(path, 'caseSensitive'), 'must be a boolean.');
+}
+
+// Returns the names of the named capture groups of the "title" selectors of a "match" object and its "all" and "any" blocks, which
+// are the ones title templates can use
+function getMatchGroupNames(match) {
+    if (!isPlainObject(match)) return [];
+    const groupNames = isPlainObject(match.title) && typeof match.title.pattern === 'string' ? getTitleGroupNames(match.title.pattern) : [];
+    for (const combinator of ['all', 'any']) {
+        if (match[combinator] !== undefined) toArray(match[combinator]).forEach(block => groupNames.push(...getMatchGroupNames(block)));
+    }
+    return groupNames;
+}
+
+// Checks a title template (see getNewTrackTitle), given the named capture groups of the rule's title selectors: syntax errors are
+// reported as errors, and unknown tags, which are left as-is in titles, as warnings
+function checkTitleTemplate(template, path, report, groupNames = []) {
+    if (typeof template !== 'string') {
+        addError(report, path, 'must be a string.');
+        return;
+    }
+    let nodes;
+    try {
+        nodes = parseTitleTemplate(template);
+    } catch (e) {
+        addError(report, path, `${e.message}.`);
+        return;
+    }
+
+    const knownTags = [...titleTags, ...['i_', '', 'o_'].flatMap(prefix => titleTrackTags.map(tag => prefix + tag)), ...dispositionFlags.map(flag => `flag_${flag}`), ...groupNames];
+    const checkNodes = nodes => nodes.forEach(node => {
+        if (typeof node === 'string') return;
+        if (!isKnownTitleTag(node.tag, groupNames)) {
+            const closestTag = getClosestName(node.tag, knownTags);
+            addWarning(report, path, `unknown tag "{${node.tag}}"${closestTag ? `, did you mean "{${closestTag}}"?` : ', it will be left as-is.'}`);
+        }
+        if (node.nodes) checkNodes(node.nodes);
+    });
+    checkNodes(nodes);
+}
+
+// Checks a "match" object and its nested blocks. "options" tells whether it's the root match of a rule, a block looking at the other
+// tracks ("noOtherTrack", "anyOtherTrack"), and whether it matches subtitle tracks
+function checkMatch(match, path, report, options = {}) {
+    if (!isPlainObject(match)) {
+        addError(report, path, 'must be a "match" object.');
+        return;
+    }
+    checkKnownKeys(match, matchKeys, path, report);
+
+    const combinators = matchCombinators.filter(key => match.hasOwnProperty(key));
+    if (options.isRoot && combinators.length === 0 && !match.hasOwnProperty('codecs') && !match.hasOwnProperty('audioTracksCount')) {
+        addError(report, path, "is missing the 'codecs' property (use \"*\" to match all tracks).");
+    }
+    if (match.hasOwnProperty('codecs')) checkListSelectors(match.codecs, joinPath(path, 'codecs'), report, options.isSubtitle ? null : 'codec');
+    if (match.hasOwnProperty('languages')) checkListSelectors(match.languages, joinPath(path, 'languages'), report, 'language');
+    if (match.hasOwnProperty('profiles')) checkListSelectors(match.profiles, joinPath(path, 'profiles'), report, 'profile');
+    if (match.hasOwnProperty('channelLayouts')) checkListSelectors(match.channelLayouts, joinPath(path, 'channelLayouts'), report, 'layout');
+    for (const key of ['channels', 'bitrate', 'sampleRate', 'bitDepth', 'audioTracksCount']) {
+        if (match.hasOwnProperty(key)) checkIntSelectors(match[key], joinPath(path, key), report);
+    }
+    if (match.hasOwnProperty('dispositions')) checkDispositions(match.dispositions, joinPath(path, 'dispositions'), report, true);
+    if (match.hasOwnProperty('title')) checkTitleMatch(match.title, joinPath(path, 'title'), report);
+    for (const key of ['sameLanguage', 'betterTrack']) {
+        if (!match.hasOwnProperty(key)) continue;
+        if (typeof match[key] !== 'boolean') addError(report, joinPath(path, key), 'must be a boolean.');
+        else if (!options.isOtherTrack) addWarning(report, joinPath(path, key), "only applies inside 'noOtherTrack' and 'anyOtherTrack' blocks, ignored here.");
+    }
+
+    for (const combinator of combinators) {
+        const combinatorPath = joinPath(path, combinator);
+        const isOtherTrack = options.isOtherTrack || ['noOtherTrack', 'anyOtherTrack'].includes(combinator);
+        const blockOptions = { isOtherTrack, isSubtitle: options.isSubtitle };
+        if (isOtherTrack && Array.isArray(match[combinator]) && !options.isOtherTrack) {
+            addError(report, combinatorPath, 'must be a "match" object.');
+        }
+        else if (Array.isArray(match[combinator])) {
+            if (match[combinator].length === 0) addError(report, combinatorPath, 'must not be empty.');
+            match[combinator].forEach((block, index) => checkMatch(block, joinPath(combinatorPath, index), report, blockOptions));
+        }
+        else {
+            checkMatch(match[combinator], combinatorPath, report, blockOptions);
+        }
+    }
+}
+
+// Checks whether the given "match" object matches every track
+function isCatchAllMatch(match) {
+    return Object.keys(match).every(key => catchAllMatchKeys.includes(key) && toArray(match[key]).every(selector => String(selector).trim() === '*'));
+}
+
+// Reports the rules that can never match a track, because an earlier rule matches every track or has the same "match" object
+function checkUnreachableRules(rules, path, report) {
+    rules.forEach((rule, index) => {
+        if (!isPlainObject(rule) || !isPlainObject(rule.match)) return;
+        if (isLanguageRule(rule)) return;
+        const shadowingIndex = rules.slice(0, index).findIndex(earlierRule => isPlainObject(earlierRule) && isPlainObject(earlierRule.match) && !isLanguageRule(earlierRule) &&
+            (isCatchAllMatch(earlierRule.match) || JSON.stringify(earlierRule.match) === JSON.stringify(rule.match)));
+        if (shadowingIndex >= 0) {
+            addWarning(report, joinPath(path, index), `unreachable rule, the tracks it matches are all matched first by ${joinPath(path, shadowingIndex)} ("${getRuleName(rules[shadowingIndex])}").`);
+        }
+    });
+}
+
+// Checks the parameters of an audio "transcode" operation, and reports the channels, bitrates, qualities, sample rates and sample formats the
+// encoder will adjust
+function checkAudioTranscode(parameters, path, report) {
+    let capabilities = null;
+    if (!parameters.hasOwnProperty('codec')) {
+        addError(report, path, "is missing the 'codec' property.");
+    }
+    else if (typeof parameters.codec !== 'string') {
+        addError(report, joinPath(path, 'codec'), 'must be a string.');
+    }
+    else if (parameters.codec !== 'copy') {
+        const encoderError = getEncoderError(parameters.codec);
+        capabilities = getEncoderCapabilities(parameters.codec);
+        if (encoderError) addError(report, joinPath(path, 'codec'), `${encoderError}.`);
+        else if (!capabilities) addWarning(report, joinPath(path, 'codec'), `unknown encoder '${parameters.codec}', its channels and bitrates can't be checked.`);
+    }
+    const codecName = capabilities ? parameters.codec.toUpperCase() : '';
+
+    let channels = null;
+    if (parameters.hasOwnProperty('channels')) {
+        if (!Number.isInteger(parameters.channels) || parameters.channels < 1) {
+            addError(report, joinPath(path, 'channels'), 'must be a positive integer.');
+        }
+        else {
+            channels = limitChannels(parameters.codec, parameters.channels);
+            if (capabilities && channels !== parameters.channels) {
+                addWarning(report, joinPath(path, 'channels'), `${codecName} doesn't support ${parameters.channels} channels, will be limited to ${channels} channels.`);
+            }
+        }
+    }
+
+    if (parameters.hasOwnProperty('channelLayout')) {
+        const layout = parameters.channelLayout;
+        if (typeof layout !== 'string' || !layoutChannels.hasOwnProperty(layout)) {
+            addError(report, joinPath(path, 'channelLayout'), `unknown channel layout ${JSON.stringify(layout)}, expected one of: ${Object.keys(layoutChannels).join(', ')}.`);
+        }
+        else if (parameters.hasOwnProperty('channels') && parameters.channels !== layoutChannels[layout]) {
+            addError(report, path, `'channels' (${parameters.channels}) doesn't match the ${layoutChannels[layout]} channels of the '${layout}' layout.`);
+        }
+        else {
+            channels = limitChannels(parameters.codec, layoutChannels[layout]);
+            const outputLayout = capabilities ? limitChannelLayout(parameters.codec, layout, channels) : layout;
+            if (outputLayout !== layout) addWarning(report, joinPath(path, 'channelLayout'), `${codecName} doesn't support the '${layout}' layout, will be remapped to '${outputLayout}'.`);
+        }
+    }
+
+    if (parameters.hasOwnProperty('bitrate')) {
+        if (typeof parameters.bitrate !== 'number' || parameters.bitrate <= 0) {
+            addError(report, joinPath(path, 'bitrate'), 'must be a positive number, in bps.');
+        }
+        else if (capabilities) {
+            const bitrate = limitBitrate(parameters.codec, parameters.bitrate, channels);
+            if (bitrate === null) addWarning(report, joinPath(path, 'bitrate'), `ignored, ${codecName} is lossless.`);
+            else if (bitrate !== parameters.bitrate) {
+                addWarning(report, joinPath(path, 'bitrate'), `will be adjusted to ${bitrate} to fit ${codecName} supported bitrates${channels ? ` for ${channels} channels` : ''}.`);
+            }
+        }
+    }
+
+    if (parameters.hasOwnProperty('bitratePerChannel')) {
+        if (typeof parameters.bitratePerChannel !== 'number' || parameters.bitratePerChannel <= 0) {
+            addError(report, joinPath(path, 'bitratePerChannel'), 'must be a positive number, in bps per channel.');
+        }
+        else if (parameters.hasOwnProperty('bitrate')) {
+            addError(report, path, "can't have both a 'bitrate' and a 'bitratePerChannel' property.");
+        }
+        else if (capabilities && capabilities.lossless) {
+            addWarning(report, joinPath(path, 'bitratePerChannel'), `ignored, ${codecName} is lossless.`);
+        }
+    }
+
+    if (parameters.hasOwnProperty('quality')) {
+        const qualityControl = capabilities ? getQualityControl(parameters.codec) : null;
+        if (typeof parameters.quality !== 'number') {
+            addError(report, joinPath(path, 'quality'), "must be a number, on the encoder's VBR quality scale.");
+        }
+        else if (capabilities && !qualityControl) {
+            addWarning(report, joinPath(path, 'quality'), `ignored, ${codecName} has no VBR mode.`);
+        }
+        else if (qualityControl) {
+            const quality = limitQuality(parameters.codec, parameters.quality);
+            if (quality !== parameters.quality) {
+                addWarning(report, joinPath(path, 'quality'), `will be adjusted to ${quality} to fit ${codecName} quality range (${qualityControl.min} to ${qualityControl.max}).`);
+            }
+            const bitrateKey = ['bitrate', 'bitratePerChannel'].find(key => parameters.hasOwnProperty(key));
+            if (bitrateKey && !qualityControl.bitrateTarget && !capabilities.lossless) {
+                addWarning(report, joinPath(path, bitrateKey), `ignored, the 'quality' VBR mode replaces the bitrate in ${codecName}.`);
+            }
+        }
+    }
+
+    if (parameters.hasOwnProperty('sampleRate')) {
+        if (!Number.isInteger(parameters.sampleRate) || parameters.sampleRate <= 0) {
+            addError(report, joinPath(path, 'sampleRate'), 'must be a positive integer, in Hz.');
+        }
+        else if (capabilities && limitSampleRate(parameters.codec, parameters.sampleRate) !== parameters.sampleRate) {
+            addWarning(report, joinPath(path, 'sampleRate'), `will be adjusted to ${limitSampleRate(parameters.codec, parameters.sampleRate)} to fit ${codecName} supported sample rates.`);
+        }
+    }
+
+    if (parameters.hasOwnProperty('sampleFormat')) {
+        if (typeof parameters.sampleFormat !== 'string' || getSampleFormatBits(parameters.sampleFormat) === undefined) {
+            addError(report, joinPath(path, 'sampleFormat'), `must be an ffmpeg sample format: ${Object.keys(sampleFormatsBits).join(', ')}, or their planar variant (e.g., "s16p").`);
+        }
+        else if (capabilities && limitSampleFormat(parameters.codec, parameters.sampleFormat) !== parameters.sampleFormat) {
+            addWarning(report, joinPath(path, 'sampleFormat'), `will be adjusted to ${limitSampleFormat(parameters.codec, parameters.sampleFormat)} to fit ${codecName} supported sample formats.`);
+        }
+    }
+
+    if (parameters.hasOwnProperty('resampler')) checkResampler(parameters.resampler, joinPath(path, 'resampler'), report);
+
+    if (parameters.hasOwnProperty('downmix')) {
+        if (!downmixMatrices.hasOwnProperty(parameters.downmix)) {
+            addError(report, joinPath(path, 'downmix'), `must be one of: ${Object.keys(downmixMatrices).join(', ')}.`);
+        }
+        else if (!parameters.hasOwnProperty('channels') && !parameters.hasOwnProperty('channelLayout')) {
+            addWarning(report, joinPath(path, 'downmix'), "only applies when 'channels' or 'channelLayout' reduces the channels count, ignored without them.");
+        }
+    }
+    if (parameters.hasOwnProperty('filters') && typeof parameters.filters !== 'string') addError(report, joinPath(path, 'filters'), 'must be a string.');
+}
+
+// Checks the resampler options of an audio "transcode" operation: { engine, precision, dither }
+function checkResampler(resampler, path, report) {
+    if (!isPlainObject(resampler)) {
+        addError(report, path, `must be an object with 'engine', 'precision' and/or 'dither' properties.`);
+        return;
+    }
+    checkKnownKeys(resampler, resamplerKeys, path, report);
+    if (resampler.hasOwnProperty('engine') && !resamplerEngines.includes(resampler.engine)) {
+        addError(report, joinPath(path, 'engine'), `must be one of: ${resamplerEngines.join(', ')}.`);
+    }
+    if (resampler.hasOwnProperty('precision')) {
+        if (!Number.isInteger(resampler.precision) || resampler.precision < 15 || resampler.precision > 33) {
+            addError(report, joinPath(path, 'precision'), 'must be an integer between 15 and 33, in bits.');
+        }
+        else if (resampler.engine !== 'soxr') {
+            addWarning(report, joinPath(path, 'precision'), "only applies to the 'soxr' engine, ignored here.");
+        }
+    }
+    if (resampler.hasOwnProperty('dither') && !ditherMethods.includes(resampler.dither)) {
+        addError(report, joinPath(path, 'dither'), `must be one of: ${ditherMethods.join(', ')}.`);
+    }
+}
+
+// Checks an operation of an audio or subtitle rule
+function checkOperation(operation, path, report, isSubtitle, groupNames = []) {
+    const knownOperations = isSubtitle ? subtitleOperationKeys : operationKeys;
+    const operationTypes = Object.keys(knownOperations).map(key => `${/^[aeiou]/i.test(key) ? 'an' : 'a'} '${key}'`);
+    const expectedTypes = `either ${operationTypes.slice(0, -1).join(', ')} or ${operationTypes[operationTypes.length - 1]} property`;
+    if (!isPlainObject(operation)) {
+        addError(report, path, `must be an object with ${expectedTypes}.`);
+        return;
+    }
+    checkKnownKeys(operation, Object.keys(knownOperations), path, report);
+    const types = Object.keys(knownOperations).filter(key => operation.hasOwnProperty(key));
+    if (types.length !== 1) {
+        addError(report, path, types.length === 0 ? `must have ${expectedTypes}.` : `must have ${expectedTypes}, not several.`);
+        return;
+    }
+
+    const type = types[0];
+    const parametersPath = joinPath(path, type);
+    const parameters = operation[type];
+    if (!isPlainObject(parameters)) {
+        addError(report, parametersPath, 'must be an object.');
+        return;
+    }
+    checkKnownKeys(parameters, knownOperations[type], parametersPath, report);
+    if (parameters.hasOwnProperty('title')) checkTitleTemplate(parameters.title, joinPath(parametersPath, 'title'), report, groupNames);
+    if (parameters.hasOwnProperty('dispositions')) checkDispositions(parameters.dispositions, joinPath(parametersPath, 'dispositions'), report, false);
+
+    if (type === 'transcode' && isSubtitle && !subtitleEncoderCodecs.hasOwnProperty(parameters.codec)) {
+        addError(report, joinPath(parametersPath, 'codec'), `must be one of: ${Object.keys(subtitleEncoderCodecs).join(', ')}.`);
+    }
+    else if (type === 'transcode' && !isSubtitle) {
+        checkAudioTranscode(parameters, parametersPath, report);
+    }
+    else if (type === 'setLanguage') {
+        checkSetLanguage(parameters, parametersPath, report);
+    }
+}
+
+// Checks the parameters of a "setLanguage" operation: a "language" to set, and/or the sources to "infer" the language from
+function checkSetLanguage(parameters, path, report) {
+    if (!parameters.hasOwnProperty('language') && !parameters.hasOwnProperty('infer')) {
+        addError(report, path, "must have a 'language' or an 'infer' property.");
+    }
+    if (parameters.hasOwnProperty('language')) {
+        const language = parameters.language;
+        if (typeof language !== 'string' || language.trim() === '') addError(report, joinPath(path, 'language'), 'must be a non-empty string.');
+        else if (language.trim().toLowerCase() !== originalLanguageSelector && !getIsoLanguage(language) && !/^[a-z]{3}$/i.test(language.trim())) {
+            addError(report, joinPath(path, 'language'), `unknown language '${language}', expected an ISO 639 code (e.g., eng, fre, ja), an English language name or '${originalLanguageSelector}'.`);
+        }
+    }
+    if (parameters.hasOwnProperty('infer')) {
+        const sources = toArray(parameters.infer);
+        if (sources.length === 0 || sources.some(source => !languageInferenceSources.includes(source))) {
+            addError(report, joinPath(path, 'infer'), `must be one of, or an array of: ${languageInferenceSources.join(', ')}.`);
+        }
+    }
+}
+
+// Checks an array of audio or subtitle rules
+function checkRules(rules, path, report, isSubtitle = false) {
+    if (!Array.isArray(rules)) {
+        addError(report, path, 'must be an array of rules.');
+        return;
+    }
+
+    rules.forEach((rule, index) => {
+        const rulePath = joinPath(path, index);
+        if (!isPlainObject(rule)) {
+            addError(report, rulePath, 'must be a rule object { "name", "match", "operations" }.');
+            return;
+        }
+        checkKnownKeys(rule, isSubtitle ? subtitleRuleKeys : ruleKeys, rulePath, report);
+        if (rule.hasOwnProperty('name') && typeof rule.name !== 'string') addError(report, joinPath(rulePath, 'name'), 'must be a string.');
+
+        if (!rule.hasOwnProperty('match')) addError(report, rulePath, "is missing the 'match' property.");
+        else checkMatch(rule.match, joinPath(rulePath, 'match'), report, { isRoot: true, isSubtitle });
+
+        if (rule.hasOwnProperty('containerPolicy') && !isSubtitle) checkContainerPolicy(rule.containerPolicy, joinPath(rulePath, 'containerPolicy'), report);
+
+        if (!rule.hasOwnProperty('operations')) addError(report, rulePath, "is missing the 'operations' property.");
+        else if (!Array.isArray(rule.operations)) addError(report, joinPath(rulePath, 'operations'), 'must be an array of operations (empty to remove the matching tracks).');
+        else {
+            rule.operations.forEach((operation, operationIndex) =>
+                checkOperation(operation, joinPath(joinPath(rulePath, 'operations'), operationIndex), report, isSubtitle, getMatchGroupNames(rule.match)));
+            if (rule.operations.length > 1 && rule.operations.some(operation => isPlainObject(operation) && operation.hasOwnProperty('setLanguage'))) {
+                addError(report, joinPath(rulePath, 'operations'), "a 'setLanguage' operation must be the only operation of its rule.");
+            }
+        }
+    });
+
+    checkUnreachableRules(rules, path, report);
+}
+
+// Checks the "streams" section of a transcode configuration (see getPreservedStreamsCommands)
+function checkStreamsPolicy(policy, path, report) {
+    if (!isPlainObject(policy)) {
+        addError(report, path, 'must be an object.');
+        return;
+    }
+    for (const [type, value] of Object.entries(policy)) {
+        if (!preservedStreamsTypes.includes(type)) addError(report, joinPath(path, type), `unknown streams type, expected one of: ${preservedStreamsTypes.join(', ')}.`);
+        else if (value !== 'keep' && value !== 'drop') addError(report, joinPath(path, type), "must be 'keep' or 'drop'.");
+    }
+}
+
+// Checks a rule's container policy (see applyContainerPolicies)
+function checkContainerPolicy(policy, path, report) {
+    if (!isPlainObject(policy)) {
+        addError(report, path, 'must be an object.');
+        return;
+    }
+    checkKnownKeys(policy, ['action', 'codec', 'container'], path, report);
+    if (!['fallback', 'switch', 'skip'].includes(policy.action)) addError(report, joinPath(path, 'action'), "must be 'fallback', 'switch' or 'skip'.");
+    if (policy.action === 'fallback' && typeof policy.codec !== 'string') addError(report, path, "is missing the fallback 'codec' string property.");
+    if (policy.action === 'fallback' && typeof policy.codec === 'string' && getEncoderError(policy.codec)) addError(report, joinPath(path, 'codec'), `${getEncoderError(policy.codec)}.`);
+    if (policy.action === 'switch' && typeof policy.container !== 'string') addError(report, path, "is missing the 'container' string property to switch to.");
+}
+
+// Checks the "sort" section of a transcode configuration
+function checkSort(sort, path, report) {
+    if (!Array.isArray(sort)) {
+        addError(report, path, 'must be an array of sort keys.');
+        return;
+    }
+    sort.forEach((sortKey, index) => {
+        const sortKeyPath = joinPath(path, index);
+        if (!isPlainObject(sortKey)) {
+            addError(report, sortKeyPath, 'must be a sort key object.');
+            return;
+        }
+        checkKnownKeys(sortKey, ['by', 'order', 'direction', 'flag'], sortKeyPath, report);
+        if (!sortKeys.includes(sortKey.by)) addError(report, joinPath(sortKeyPath, 'by'), `must be one of: ${sortKeys.join(', ')}.`);
+        if (sortKey.hasOwnProperty('direction') && !['asc', 'desc'].includes(sortKey.direction)) addError(report, joinPath(sortKeyPath, 'direction'), "must be 'asc' or 'desc'.");
+        if (['languages', 'codecs'].includes(sortKey.by) && (!Array.isArray(sortKey.order) || sortKey.order.some(value => typeof value !== 'string')))
+            addError(report, joinPath(sortKeyPath, 'order'), 'must be an array of strings.');
+        if (sortKey.by === 'disposition' && typeof sortKey.flag !== 'string') addError(report, joinPath(sortKeyPath, 'flag'), 'must be a string.');
+    });
+}
+
+// Checks the "defaultTrack" policy of a transcode configuration
+function checkDefaultTrack(policy, path, report) {
+    if (!isPlainObject(policy)) {
+        addError(report, path, 'must be an object.');
+        return;
+    }
+    checkKnownKeys(policy, ['languages', 'codecs', 'avoid', 'channels'], path, report);
+    for (const key of ['languages', 'codecs', 'avoid']) {
+        if (policy.hasOwnProperty(key) && (!Array.isArray(policy[key]) || policy[key].some(value => typeof value !== 'string')))
+            addError(report, joinPath(path, key), 'must be an array of strings.');
+    }
+    if (policy.hasOwnProperty('channels') && !['asc', 'desc'].includes(policy.channels)) addError(report, joinPath(path, 'channels'), "must be 'asc' or 'desc'.");
+}
+
+// Checks a whole transcode configuration, given as JSON or already parsed (e.g., read from a rules file): either an array of rules, or
+// an object { "rules", "subtitleRules", "streams", "sort", "defaultTrack" }. Collects every error and warning rather than stopping at
+// the first one. Returns { config, errors, warnings }, "config" being the configuration as an object (null if it can't be parsed)
+function lintTranscodeConfig(input) {
+    const report = createValidationReport();
+    let parsed = input;
+    if (typeof input === 'string') {
+        try {
+            parsed = JSON.parse(input);
+        } catch (e) {
+            addError(report, '', `Invalid JSON: ${e.message}`);
+            return { config: null, ...report };
+        }
+    }
+
+    const config = Array.isArray(parsed) ? { rules: parsed } : parsed;
+    if (!isPlainObject(config)) {
+        addError(report, '', "Expected a JSON array of rules, or an object with a 'rules' property.");
+        return { config: null, ...report };
+    }
+
+    checkKnownKeys(config, configKeys, '', report);
+    if (!config.hasOwnProperty('rules')) addError(report, '', "Configuration object is missing 'rules' property.");
+    else checkRules(config.rules, 'rules', report);
+    if (config.hasOwnProperty('subtitleRules')) checkRules(config.subtitleRules, 'subtitleRules', report, true);
+    if (config.hasOwnProperty('streams')) checkStreamsPolicy(config.streams, 'streams', report);
+    if (config.hasOwnProperty('sort')) checkSort(config.sort, 'sort', report);
+    if (config.hasOwnProperty('defaultTrack')) checkDefaultTrack(config.defaultTrack, 'defaultTrack', report);
+    return { config, ...report };
+}
+
+// Runs the given check on a value, and returns its errors as a string, or null if valid
+function getCheckErrors(check, value, path, ...args) {
+    const report = createValidationReport();
+    check(value, path, report, ...args);
+    return report.errors.length > 0 ? formatValidationIssues(report.errors) : null;
+}
+
+// Validates a "match" object and its nested "any", "all" and "not" blocks. Returns an error message string, or null if valid
+function validateMatch(match, path = 'match', isRoot = false) {
+    return getCheckErrors(checkMatch, match, path, { isRoot });
+}
+
+// Validates the "streams" section of a transcode configuration (see getPreservedStreamsCommands). Returns an error message string, or null if valid
+function validateStreamsPolicy(policy) {
+    return getCheckErrors(checkStreamsPolicy, policy, 'streams');
+}
+
+// Validates the transcode configuration (see lintTranscodeConfig), ignoring the warnings.
+// Returns the parsed configuration as an object, or an error message string
+function validateTranscodeConfig(jsonString) {
+    const { config, errors } = lintTranscodeConfig(jsonString);
+    return errors.length > 0 ? formatValidationIssues(errors) : config;
+}
+
+
+module.exports.encoderCapabilities = encoderCapabilities;
+module.exports.layoutChannels = layoutChannels;
+module.exports.standardChannelLayouts = standardChannelLayouts;
+module.exports.decodeOnlyCodecs = decodeOnlyCodecs;
+module.exports.createLogger = createLogger;
+module.exports.toArray = toArray;
+module.exports.getAudioTracks = getAudioTracks;
+module.exports.getTrackCodec = getTrackCodec;
+module.exports.getTrackLanguage = getTrackLanguage;
+module.exports.getTrackTitle = getTrackTitle;
+module.exports.getTrackChannelLayout = getTrackChannelLayout;
+module.exports.getTrackBitDepth = getTrackBitDepth;
+module.exports.getFancyChannels = getFancyChannels;
+module.exports.getIsoLanguage = getIsoLanguage;
+module.exports.normalizeLanguage = normalizeLanguage;
+module.exports.getLanguageName = getLanguageName;
+module.exports.isSameLanguage = isSameLanguage;
+module.exports.getOriginalLanguage = getOriginalLanguage;
+module.exports.matchesLanguageSelectors = matchesLanguageSelectors;
+module.exports.inferTrackLanguage = inferTrackLanguage;
+module.exports.getTrackProfile = getTrackProfile;
+module.exports.getTrackProfiles = getTrackProfiles;
+module.exports.matchesIntCondition = matchesIntCondition;
+module.exports.matchesIntConditions = matchesIntConditions;
+module.exports.matchesListSelectors = matchesListSelectors;
+module.exports.matchesDispositions = matchesDispositions;
+module.exports.getTitleRegExp = getTitleRegExp;
+module.exports.getMatchContext = getMatchContext;
+module.exports.getFailedSelector = getFailedSelector;
+module.exports.trackMatchesSelectors = trackMatchesSelectors;
+module.exports.getFailedFileCondition = getFailedFileCondition;
+module.exports.trackMatchesFileContext = trackMatchesFileContext;
+module.exports.evaluateMatch = evaluateMatch;
+module.exports.trackMatches = trackMatches;
+module.exports.parseDispositionsSelector = parseDispositionsSelector;
+module.exports.getEncoderCapabilities = getEncoderCapabilities;
+module.exports.getEncoderName = getEncoderName;
+module.exports.getEncoderCodecName = getEncoderCodecName;
+module.exports.isLosslessEncoder = isLosslessEncoder;
+module.exports.getEncoderError = getEncoderError;
+module.exports.limitChannels = limitChannels;
+module.exports.limitChannelLayout = limitChannelLayout;
+module.exports.getOutputChannelLayout = getOutputChannelLayout;
+module.exports.limitBitrate = limitBitrate;
+module.exports.getSampleFormatBits = getSampleFormatBits;
+module.exports.limitSampleRate = limitSampleRate;
+module.exports.limitSampleFormat = limitSampleFormat;
+module.exports.getResampleFilter = getResampleFilter;
+module.exports.getQualityControl = getQualityControl;
+module.exports.limitQuality = limitQuality;
+module.exports.coreExtractors = coreExtractors;
+module.exports.getCoreExtractionError = getCoreExtractionError;
+module.exports.getTrackCore = getTrackCore;
+module.exports.downmixMatrices = downmixMatrices;
+module.exports.getDownmixSourceLayout = getDownmixSourceLayout;
+module.exports.getDownmixError = getDownmixError;
+module.exports.getPanChannelExpression = getPanChannelExpression;
+module.exports.getStereoDownmixGains = getStereoDownmixGains;
+module.exports.getDownmixFilters = getDownmixFilters;
+module.exports.getChannelLayoutFilter = getChannelLayoutFilter;
+module.exports.composeFilters = composeFilters;
+module.exports.containerAudioCodecs = containerAudioCodecs;
+module.exports.containerSubtitleCodecs = containerSubtitleCodecs;
+module.exports.textSubtitleCodecs = textSubtitleCodecs;
+module.exports.containerTextSubtitleEncoders = containerTextSubtitleEncoders;
+module.exports.isAudioCodecCompatible = isAudioCodecCompatible;
+module.exports.isSubtitleCodecCompatible = isSubtitleCodecCompatible;
+module.exports.getOutputTrackCodec = getOutputTrackCodec;
+module.exports.getContainerCodec = getContainerCodec;
+module.exports.applyContainerPolicies = applyContainerPolicies;
+module.exports.parseTitleTemplate = parseTitleTemplate;
+module.exports.getNewTrackTitle = getNewTrackTitle;
+module.exports.sortKeys = sortKeys;
+module.exports.applyDispositions = applyDispositions;
+module.exports.getOutputTrackProperties = getOutputTrackProperties;
+module.exports.sortOutputTracks = sortOutputTracks;
+module.exports.defaultTrackAvoidedFlags = defaultTrackAvoidedFlags;
+module.exports.electDefaultTrack = electDefaultTrack;
+module.exports.applyDefaultTrack = applyDefaultTrack;
+module.exports.applyDefaultTrackPolicy = applyDefaultTrackPolicy;
+module.exports.describeOutputTrack = describeOutputTrack;
+module.exports.isOutputTrackUnchanged = isOutputTrackUnchanged;
+module.exports.areOutputTracksUnchanged = areOutputTracksUnchanged;
+module.exports.getRuleName = getRuleName;
+module.exports.isLanguageRule = isLanguageRule;
+module.exports.getLanguageToSet = getLanguageToSet;
+module.exports.getLanguageTaggedTracks = getLanguageTaggedTracks;
+module.exports.findMatchingRule = findMatchingRule;
+module.exports.buildPlan = buildPlan;
+module.exports.formatPlan = formatPlan;
+module.exports.formatExplanation = formatExplanation;
+module.exports.getDispositionFlags = getDispositionFlags;
+module.exports.getAudioTrackCommands = getAudioTrackCommands;
+module.exports.getAudioTracksCommands = getAudioTracksCommands;
+module.exports.subtitleEncoderCodecs = subtitleEncoderCodecs;
+module.exports.getSubtitleTracks = getSubtitleTracks;
+module.exports.getSubtitleConversionError = getSubtitleConversionError;
+module.exports.getSubtitleOutputTracks = getSubtitleOutputTracks;
+module.exports.fitSubtitleTracksToContainer = fitSubtitleTracksToContainer;
+module.exports.getSubtitleTrackCommands = getSubtitleTrackCommands;
+module.exports.getSubtitleTracksCommands = getSubtitleTracksCommands;
+module.exports.getSubtitlesCommands = getSubtitlesCommands;
+module.exports.preservedStreamsTypes = preservedStreamsTypes;
+module.exports.defaultStreamsPolicy = defaultStreamsPolicy;
+module.exports.containerPreservedStreams = containerPreservedStreams;
+module.exports.getStreamsPolicy = getStreamsPolicy;
+module.exports.getStreamsDropReason = getStreamsDropReason;
+module.exports.describeStream = describeStream;
+module.exports.getVideoCommands = getVideoCommands;
+module.exports.getPreservedStreamsCommands = getPreservedStreamsCommands;
+module.exports.hasDroppedStreams = hasDroppedStreams;
+module.exports.isOutputEquivalentToInput = isOutputEquivalentToInput;
+module.exports.watermarkModes = watermarkModes;
+module.exports.watermarkTag = watermarkTag;
+module.exports.getFormatTag = getFormatTag;
+module.exports.getCopyrightData = getCopyrightData;
+module.exports.getPluginWatermark = getPluginWatermark;
+module.exports.removePluginWatermarks = removePluginWatermarks;
+module.exports.hasWatermark = hasWatermark;
+module.exports.getWatermarkCommand = getWatermarkCommand;
+module.exports.rulesPresets = rulesPresets;
+module.exports.getPresetRules = getPresetRules;
+module.exports.validatePreset = validatePreset;
+module.exports.applyPreset = applyPreset;
+module.exports.formatValidationIssue = formatValidationIssue;
+module.exports.formatValidationIssues = formatValidationIssues;
+module.exports.lintTranscodeConfig = lintTranscodeConfig;
+module.exports.validateMatch = validateMatch;
+module.exports.validateStreamsPolicy = validateStreamsPolicy;
+module.exports.validateTranscodeConfig = validateTranscodeConfig;
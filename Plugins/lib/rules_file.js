@@ -0,0 +1,372 @@
+/**
+ * Tdarr Plugins shared library: Rules Files
+ * Description: Reads transcode rules from a JSON or YAML file on disk, so that rules can be edited comfortably, version-controlled and
+ * shared between libraries. Dependency-free, so that the "lib" folder can be copied as-is next to the plugins.
+ *
+ *     const rulesFiles = require('./lib/rules_file');
+ *     const config = rulesFiles.readRulesFile('/config/rules/movies.yaml'); // parsed rules, or an error message string
+ *
+ * JSON files may hold "// ..." and "/* ... *\/" comments. YAML files support the subset of YAML needed by rules:
+ *  - block mappings ("key: value") and block sequences ("- item"), nested by indentation (spaces only)
+ *  - flow collections ("[a, b]", "{key: value}"), possibly spanning several lines
+ *  - plain, 'single-quoted' and "double-quoted" scalars, numbers, booleans and null
+ *  - "# ..." comments and "---" document markers
+ * Anchors, aliases, tags and block scalars ("|", ">") aren't supported: values starting with one of "!&*|>@`%" must be quoted
+ * (e.g., codecs: "!aac", channels: ">6", codecs: "*").
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Characters that can't start a plain (unquoted) scalar in the supported YAML subset
+const yamlReservedIndicators = ['!', '&', '*', '|', '>', '@', '`', '%'];
+
+
+// --------------------------------------------------- JSON --------------------------------------------------- //
+
+
+// Returns the given JSON text without its "// ..." and "/* ... */" comments, leaving strings and line numbers untouched
+function stripJsonComments(text) {
+    let result = '';
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            result += char;
+            if (char === '\\') result += text[++i] || '';
+            else if (char === '"') inString = false;
+        }
+        else if (char === '"') {
+            inString = true;
+            result += char;
+        }
+        else if (char === '/' && text[i + 1] === '/') {
+            while (i + 1 < text.length && text[i + 1] !== '\n') i++;
+        }
+        else if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            if (end < 0) throw new Error('Unterminated "/*" comment');
+            result += text.substring(i, end + 2).replace(/[^\n]/g, ' ');
+            i = end + 1;
+        }
+        else {
+            result += char;
+        }
+    }
+    return result;
+}
+
+
+// --------------------------------------------------- YAML --------------------------------------------------- //
+
+
+// Returns an error located at the given line of the YAML document
+function yamlError(lineNumber, message) {
+    return new Error(`line ${lineNumber}: ${message}`);
+}
+
+// Checks whether a quote at the given position of a line opens a quoted scalar, rather than being part of a plain scalar (e.g., "it's")
+function isOpeningQuote(text, index) {
+    return index === 0 || /[\s\[{,:-]/.test(text[index - 1]);
+}
+
+// Returns the given line without its "# ..." comment
+function removeYamlComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (quote === '"' && char === '\\') i++;
+            else if (char === quote) quote = null;
+        }
+        else if ((char === '"' || char === "'") && isOpeningQuote(line, i)) {
+            quote = char;
+        }
+        else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.substring(0, i);
+        }
+    }
+    return line;
+}
+
+// Returns the meaningful lines of a YAML document as { indent, text, number } objects, without comments, blank lines and document markers
+function getYamlLines(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        const content = removeYamlComment(line).trimEnd();
+        if (content.trim() === '' || content === '---' || content === '...') return;
+        const indent = content.length - content.trimStart().length;
+        if (content.substring(0, indent).includes('\t')) throw yamlError(index + 1, 'tabs can\'t be used for indentation');
+        lines.push({ indent, text: content.trim(), number: index + 1 });
+    });
+    return lines;
+}
+
+// Checks whether the given line text is a block sequence item
+function isYamlSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+}
+
+// Returns the position of the ":" separating the key from the value in the given line text, or -1 if the line isn't a mapping entry
+function findYamlKeySeparator(text) {
+    if (text.startsWith('[') || text.startsWith('{')) return -1;
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (quote === '"' && char === '\\') i++;
+            else if (char === quote) quote = null;
+        }
+        else if ((char === '"' || char === "'") && i === 0) {
+            quote = char;
+        }
+        else if (char === ':' && (i + 1 === text.length || /\s/.test(text[i + 1]))) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Parses the quoted scalar starting at the given position of the text. Returns { value, end }, "end" being the position after the closing quote
+function parseYamlQuoted(text, start, lineNumber) {
+    const quote = text[start];
+    let value = '';
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+        if (quote === '"' && char === '\\') {
+            i++;
+        }
+        else if (char === quote) {
+            if (quote === "'" && text[i + 1] === "'") {
+                value += "'";
+                i++;
+                continue;
+            }
+            if (quote === '"') value = JSON.parse(text.substring(start, i + 1));
+            return { value, end: i + 1 };
+        }
+        else {
+            value += char;
+        }
+    }
+    throw yamlError(lineNumber, `unterminated ${quote === '"' ? 'double' : 'single'}-quoted string`);
+}
+
+// Returns the value of the given scalar text: a quoted string, null, a boolean, a number, or a plain string
+function parseYamlScalar(text, lineNumber) {
+    if (text.startsWith('"') || text.startsWith("'")) {
+        const quoted = parseYamlQuoted(text, 0, lineNumber);
+        if (text.substring(quoted.end).trim() !== '') throw yamlError(lineNumber, `unexpected characters after the quoted string: ${text.substring(quoted.end).trim()}`);
+        return quoted.value;
+    }
+    if (yamlReservedIndicators.includes(text[0])) {
+        throw yamlError(lineNumber, `values starting with "${text[0]}" must be quoted (e.g., "${text}")`);
+    }
+    if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+    if (/^true$/i.test(text)) return true;
+    if (/^false$/i.test(text)) return false;
+    if (/^[-+]?\d+$/.test(text)) return parseInt(text);
+    if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+    return text;
+}
+
+// Checks whether all the flow collections opened in the given text are closed
+function isYamlFlowComplete(text) {
+    let depth = 0;
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (quote === '"' && char === '\\') i++;
+            else if (char === quote) quote = null;
+        }
+        else if ((char === '"' || char === "'") && isOpeningQuote(text, i)) quote = char;
+        else if (char === '[' || char === '{') depth++;
+        else if (char === ']' || char === '}') depth--;
+    }
+    return depth <= 0;
+}
+
+// Parses a flow collection or scalar (e.g., "[truehd, flac]", "{default: true, comment: false}")
+function parseYamlFlow(text, lineNumber) {
+    let index = 0;
+    const skipSpaces = () => {
+        while (index < text.length && /\s/.test(text[index])) index++;
+    };
+
+    function parseFlowScalar(isKey) {
+        if (text[index] === '"' || text[index] === "'") {
+            const quoted = parseYamlQuoted(text, index, lineNumber);
+            index = quoted.end;
+            return quoted.value;
+        }
+        const start = index;
+        while (index < text.length && !',]}'.includes(text[index]) && !(text[index] === ':' && (isKey || /\s/.test(text[index + 1] || ' ')))) index++;
+        return parseYamlScalar(text.substring(start, index).trim(), lineNumber);
+    }
+
+    function parseFlowCollection(closing, parseItem) {
+        index++;
+        skipSpaces();
+        while (text[index] !== closing) {
+            parseItem();
+            skipSpaces();
+            if (text[index] === ',') {
+                index++;
+                skipSpaces();
+            }
+            else if (text[index] !== closing) {
+                throw yamlError(lineNumber, `expected "," or "${closing}" at "${text.substring(index, index + 20)}"`);
+            }
+        }
+        index++;
+    }
+
+    function parseFlowValue() {
+        skipSpaces();
+        if (text[index] === '[') {
+            const sequence = [];
+            parseFlowCollection(']', () => sequence.push(parseFlowValue()));
+            return sequence;
+        }
+        if (text[index] === '{') {
+            const mapping = {};
+            parseFlowCollection('}', () => {
+                const key = parseFlowScalar(true);
+                skipSpaces();
+                if (text[index] !== ':') throw yamlError(lineNumber, `expected ":" after the key "${key}"`);
+                index++;
+                mapping[key] = parseFlowValue();
+            });
+            return mapping;
+        }
+        return parseFlowScalar(false);
+    }
+
+    const value = parseFlowValue();
+    skipSpaces();
+    if (index < text.length) throw yamlError(lineNumber, `unexpected characters after the value: ${text.substring(index)}`);
+    return value;
+}
+
+// Parses the value of a mapping entry or sequence item, consuming the following lines of multi-line flow collections
+function parseYamlValue(lines, position, text, lineNumber) {
+    if (!text.startsWith('[') && !text.startsWith('{')) return parseYamlScalar(text, lineNumber);
+    let flowText = text;
+    while (!isYamlFlowComplete(flowText)) {
+        if (position.index >= lines.length) throw yamlError(lineNumber, `unterminated flow collection "${text}"`);
+        flowText += ' ' + lines[position.index].text;
+        position.index++;
+    }
+    return parseYamlFlow(flowText, lineNumber);
+}
+
+// Parses the block starting at the current line, whose lines are indented by the given number of spaces
+function parseYamlBlock(lines, position, indent) {
+    const line = lines[position.index];
+    if (isYamlSequenceItem(line.text)) return parseYamlSequence(lines, position, indent);
+    if (findYamlKeySeparator(line.text) >= 0) return parseYamlMapping(lines, position, indent);
+    position.index++;
+    return parseYamlValue(lines, position, line.text, line.number);
+}
+
+// Parses the block nested under the line preceding the current line, or null if the next line isn't more indented
+function parseYamlNestedBlock(lines, position, parentIndent) {
+    const next = lines[position.index];
+    return next && next.indent > parentIndent ? parseYamlBlock(lines, position, next.indent) : null;
+}
+
+// Parses a block sequence. An item's content starting on the "-" line is parsed as a block indented at the content's column
+function parseYamlSequence(lines, position, indent) {
+    const sequence = [];
+    while (position.index < lines.length) {
+        const line = lines[position.index];
+        if (line.indent < indent || (line.indent === indent && !isYamlSequenceItem(line.text))) break;
+        if (line.indent > indent) throw yamlError(line.number, 'unexpected indentation');
+
+        const itemText = line.text.substring(1).trimStart();
+        if (itemText === '') {
+            position.index++;
+            sequence.push(parseYamlNestedBlock(lines, position, indent));
+        }
+        else {
+            const itemIndent = indent + line.text.length - itemText.length;
+            lines[position.index] = { indent: itemIndent, text: itemText, number: line.number };
+            sequence.push(parseYamlBlock(lines, position, itemIndent));
+        }
+    }
+    return sequence;
+}
+
+// Parses a block mapping. A key without value holds the nested block, or a sequence indented like the key
+function parseYamlMapping(lines, position, indent) {
+    const mapping = {};
+    while (position.index < lines.length) {
+        const line = lines[position.index];
+        if (line.indent < indent) break;
+        if (line.indent > indent) throw yamlError(line.number, 'unexpected indentation');
+
+        const separator = findYamlKeySeparator(line.text);
+        if (separator < 0 || isYamlSequenceItem(line.text)) throw yamlError(line.number, `expected a "key: value" entry, got "${line.text}"`);
+        const key = String(parseYamlScalar(line.text.substring(0, separator).trim(), line.number));
+        if (mapping.hasOwnProperty(key)) throw yamlError(line.number, `duplicate key "${key}"`);
+        const valueText = line.text.substring(separator + 1).trim();
+        position.index++;
+
+        if (valueText !== '') {
+            mapping[key] = parseYamlValue(lines, position, valueText, line.number);
+            continue;
+        }
+        const next = lines[position.index];
+        mapping[key] = next && next.indent === indent && isYamlSequenceItem(next.text) ?
+            parseYamlSequence(lines, position, indent) : parseYamlNestedBlock(lines, position, indent);
+    }
+    return mapping;
+}
+
+// Parses a YAML document of the supported subset (see the top of the module)
+function parseYaml(text) {
+    const lines = getYamlLines(text);
+    if (lines.length === 0) return null;
+    const position = { index: 0 };
+    const value = parseYamlBlock(lines, position, lines[0].indent);
+    if (position.index < lines.length) throw yamlError(lines[position.index].number, 'unexpected indentation');
+    return value;
+}
+
+
+// --------------------------------------------------- RULES FILES --------------------------------------------------- //
+
+
+// Parses the content of a rules file, as YAML for ".yaml" and ".yml" files, as JSON with comments for ".json" and ".jsonc" files, and
+// for other extensions as JSON when the content starts with "[", "{" or a JSON comment, as YAML otherwise.
+// Returns the parsed array or object, or an error message
+function parseRulesFile(content, fileName = '') {
+    const extension = path.extname(fileName).toLowerCase();
+    const isYaml = ['.yaml', '.yml'].includes(extension) || (!['.json', '.jsonc'].includes(extension) && !/^\s*(\[|\{|\/\/|\/\*)/.test(content));
+    let parsed;
+    try {
+        parsed = isYaml ? parseYaml(content) : JSON.parse(stripJsonComments(content));
+    } catch (e) {
+        return `Invalid ${isYaml ? 'YAML' : 'JSON'}: ${e.message}`;
+    }
+    if (typeof parsed !== 'object' || parsed === null) return "Expected an array of rules, or an object with a 'rules' property.";
+    return parsed;
+}
+
+// Reads and parses the given rules file. Returns the parsed array or object, or an error message
+function readRulesFile(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+        return `Can't read the rules file: ${e.message}`;
+    }
+    return parseRulesFile(content, filePath);
+}
+
+
+module.exports.stripJsonComments = stripJsonComments;
+module.exports.parseYaml = parseYaml;
+module.exports.parseRulesFile = parseRulesFile;
+module.exports.readRulesFile = readRulesFile;
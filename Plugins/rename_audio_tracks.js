@@ -18,7 +18,7 @@ const details = () => ({
             name: 'codecs',
             type: 'string',
             defaultValue: '*',
-            tooltip: 'A semicolon separated list of codecs (e.g., `eac3,truehd`, `aac`, etc.) to match, or `*` for all codecs. Use the command `ffmpeg -encoders` or `ffmpeg -decoders` for a list of codecs',
+            tooltip: 'A semicolon separated list of codecs (e.g., `eac3;truehd`, `aac`, `!aac`, etc.) to match, or `*` for all codecs. Prefix a codec with `!` to exclude it. Use the command `ffmpeg -encoders` or `ffmpeg -decoders` for a list of codecs',
         },
         {
             name: 'channels',
@@ -36,7 +36,7 @@ const details = () => ({
             name: 'languages',
             type: 'string',
             defaultValue: '*',
-            tooltip: 'A semicolon separated list of language selectors (e.g., `eng`, `eng;fre`, etc.) to match, or `*` for all languages.',
+            tooltip: 'A semicolon separated list of language selectors (e.g., `eng`, `eng;fre`, `!jpn`, etc.) to match, or `*` for all languages. Prefix a language with `!` to exclude it. ISO 639 codes of a language are equivalent (e.g., `fr`, `fre` and `fra`), and `original` stands for the language of the first audio track flagged "original", or of the first audio track.',
         },
         {
             name: 'dispositions',
@@ -48,7 +48,7 @@ const details = () => ({
             name: 'pattern',
             type: 'string',
             defaultValue: '(.*)',
-            tooltip: 'The global regexp to use against the track\'s title to match tracks to rename. Capture groups can be used for renaming. Named capture groups are not supported.',
+            tooltip: 'The global regexp to use against the track\'s title to match tracks to rename. Capture groups, numbered or named (e.g., `(?<director>.*)`), can be used for renaming.',
         },
         {
             name: 'caseSensitive',
@@ -66,15 +66,40 @@ const details = () => ({
         {
             name: 'renameTo',
             type: 'string',
-            defaultValue: '{1} - {LANG} {CODEC} {channel_layout} {bitrate_kbps}kbps',
-            tooltip: 'The pattern used to rename the track to. Here are the available tags you can use :\\n' +
-                ' - `{1}, {2}, etc.`: the capture groups of the `pattern` regexp\\n' +
-                ' - `{lang}, {LANG}`: the language of the track, in lowercase or uppercase\\n' +
+            defaultValue: '{1} - {LANG} {CODEC} {channel_layout}{#bitrate} {bitrate_kbps}kbps{/bitrate}',
+            tooltip: 'The pattern used to rename the track to. Tags without value for the track (e.g., an unknown bitrate) are removed. Here are the available tags you can use :\\n' +
+                ' - `{1}, {2}, etc.`: the capture groups of the first match of the `pattern` regexp in the title (empty for groups it doesn\'t use), and `{name}` for its named capture groups\\n' +
+                ' - `{lang}, {LANG}`: the language of the track, in lowercase or uppercase, and `{lang_name}` its English name (e.g., `French`)\\n' +
                 ' - `{codec}, {CODEC}`: the name of the codec, in lowercase or uppercase\\n' +
                 ' - `{channels}`: the number of channels\\n' +
                 ' - `{channels_fancy}`: the number of channels in a fancy way (`Mono`, `Stereo`, or `X.1`)\\n' +
                 ' - `{channel_layout}`: the channels layout reported by ffprobe (e.g., `5.1(side)`)\\n' +
-                ' - `{bitrate}, {bitrate_kbps}`: the bitrate in bps or kbps',
+                ' - `{bitrate}, {bitrate_kbps}`: the bitrate in bps or kbps\\n' +
+                ' - `{sample_rate}`: the sample rate in Hz\\n' +
+                ' - `{profile}`: the codec profile reported by ffprobe (e.g., `DTS-HD MA`), or hinted by the title when ffprobe reports none\\n' +
+                ' - `{dispositions}`: the dispositions of the track separated by spaces, and `{flag_X}` for a single disposition (e.g., `{flag_comment}`)\\n' +
+                'Filters transform a tag\'s value (e.g., `{lang|lang_name}`): `upper`, `lower`, `capitalize`, `kbps`, `khz`, `fancy`, `lang_name` and `default:text` (used when the value is empty). ' +
+                '`{#tag}...{/tag}` keeps the enclosed part only when the tag has a value, and `{^tag}...{/tag}` only when it hasn\'t.',
+        },
+        {
+            name: 'setLanguage',
+            type: 'string',
+            defaultValue: '',
+            tooltip: 'The language to set on the matching tracks before renaming them (e.g., `fre`), `infer` to infer it from the track\'s title, then from the file name and its folders (e.g., `VF`, `French`, `Castellano`, `Japanese`), or `infer:LANG` to fall back to the `LANG` language when nothing is found (e.g., `infer:eng`). Leave empty to keep the tracks\' language. Combine it with the `und` language selector to only tag untagged tracks.',
+        },
+        {
+            name: 'watermark',
+            type: 'string',
+            defaultValue: 'copyright',
+            inputUI: {
+                type: 'dropdown',
+                options: [
+                    'copyright',
+                    'tag',
+                    'disabled',
+                ],
+            },
+            tooltip: 'Where to record that the file was renamed with the current settings: "copyright" = after the text of the copyright metadata, "tag" = in a dedicated "TDARR_WATERMARK" metadata tag, "disabled" = not recorded, tracks are checked on every run and only renamed when their title differs, titles that would change on every run (e.g., "{title} - {LANG}") being left untouched.',
         },
     ],
 });
@@ -82,6 +107,7 @@ const details = () => ({
 // Plugin logic (functionality)
 const plugin = (file, libraryOptions, inputs) => {
     const lib = require('../methods/lib')();
+    const rules = require('./lib/audio_rules');
     // eslint-disable-next-line @typescript-eslint/no-unused-vars,no-param-reassign
     inputs = lib.loadDefaultValues(inputs, details);
     const response = {
@@ -93,43 +119,7 @@ const plugin = (file, libraryOptions, inputs) => {
     };
 
     // Log utility function
-    function log(entry) {
-        console.log(entry);
-        response.infoLog += entry + "\n";
-    }
-
-    function matchesIntCondition (value, condition) {
-        if (condition === "*") return true;
-        if (condition.startsWith("<=")) return value <= parseInt(condition.slice(2));
-        if (condition.startsWith(">=")) return value >= parseInt(condition.slice(2));
-        if (condition.startsWith("<")) return value < parseInt(condition.slice(1));
-        if (condition.startsWith(">")) return value > parseInt(condition.slice(1));
-        return value === parseInt(condition);
-    }
-
-    // Tests a given track data against the given selectors
-    function trackMatches(trackData, codecs, channels, bitrate, languages, dispositions, pattern, caseSensitive) {
-        if(!codecs.includes('*') && !codecs.includes(trackData.codec_name.toLowerCase())) return false;
-        if(!matchesIntCondition(trackData.channels, channels)) return false;
-        if(!matchesIntCondition(trackData.bit_rate, bitrate)) return false;
-        if(!languages.includes('*')) {
-            const trackLanguage = trackData.tags && trackData.tags.language ? trackData.tags.language : 'und';
-            if (!languages.includes(trackLanguage)) return false;
-        }
-        if(!Object.entries(dispositions).every(([key, value]) => key in trackData.disposition && trackData.disposition[key] === value)) return false;
-
-        const trackTitle = (trackData.tags && trackData.tags.title ? trackData.tags.title : '');
-        const patternRegExp = caseSensitive ? new RegExp(pattern) : new RegExp(pattern, "i");
-        return patternRegExp.test(trackTitle);
-    }
-
-    // Returns a fancy channel name from the channels count
-    function getFancyChannels(channelsCount) {
-        const channels = parseInt(channelsCount);
-        if(channels === 1) return "Mono";
-        if(channels === 2) return "Stereo";
-        return `${channels - 1}.1`;
-    }
+    const log = rules.createLogger(response);
 
 
     // --------------------------------------------------- MAIN --------------------------------------------------- //
@@ -143,14 +133,34 @@ const plugin = (file, libraryOptions, inputs) => {
     const channels = inputs.channels.trim();
     const bitrate = inputs.bitrate.trim();
     const languages = inputs.languages.split(';').map(l => l.trim());
-    const dispositions = inputs.dispositions ? Object.fromEntries(inputs.dispositions.split(";").map(pair => { const [key, value] = pair.split(":"); return [key.trim(), isNaN(value) ? value.trim() : Number(value)]; })) : {};
+    const dispositions = rules.parseDispositionsSelector(inputs.dispositions);
     const pattern = inputs.pattern;
     const caseSensitive = inputs.caseSensitive === 'true';
     const renameTo = inputs.renameTo;
+    try {
+        rules.parseTitleTemplate(renameTo);
+    } catch (e) {
+        log(`Invalid renameTo: ${e.message}`);
+        return response;
+    }
+    const matchRule = { codecs, channels, bitrate, languages, dispositions, title: { pattern, caseSensitive } };
+
+    // The setLanguage input is turned into a "setLanguage" operation of the advanced plugin: { language, infer }
+    const setLanguageInput = inputs.setLanguage.trim();
+    let setLanguage = null;
+    if (setLanguageInput !== '') {
+        const [mode, fallbackLanguage] = setLanguageInput.split(':').map(value => value.trim());
+        setLanguage = mode.toLowerCase() === 'infer' ? { infer: ['title', 'path'], language: fallbackLanguage || undefined } : { language: setLanguageInput };
+        const language = setLanguage.language;
+        if (language !== undefined && !rules.getIsoLanguage(language) && !/^[a-z]{3}$/i.test(language)) {
+            log(`Invalid setLanguage "${setLanguageInput}": expected an ISO 639 code (e.g., eng, fre, ja), an English language name, "infer" or "infer:LANG".`);
+            return response;
+        }
+    }
 
-    const pluginWatermark = "[Tdarr:rename_audio_tracks:" +
-        btoa(`${details().Version}:${codecs.join('|')}:${channels}:${bitrate}:${languages.join('|')}:${inputs.dispositions}:${pattern}:${caseSensitive?"g":"gi"}:${renameTo})`) +
-        "]";
+    const pluginWatermark = rules.getPluginWatermark('rename_audio_tracks', details().Version,
+        { codecs, channels, bitrate, languages, dispositions: inputs.dispositions, pattern, caseSensitive, renameTo, setLanguage: setLanguageInput || undefined });
+    const watermarkMode = inputs.watermark;
 
     // Check if the file is valid for processing
     log("Checking for ffProbeData...");
@@ -160,15 +170,14 @@ const plugin = (file, libraryOptions, inputs) => {
     }
 
     // Check plugin didn't process the file already
-    let copyrightData = file.ffProbeData.format && file.ffProbeData.format.tags && file.ffProbeData.format.tags.COPYRIGHT || '';
-    if (copyrightData.includes(pluginWatermark)) {
+    if (rules.hasWatermark(file, pluginWatermark, watermarkMode)) {
         log('Plugin watermark found -> file already processed. Aborting.');
         return response;
     }
 
     // Extract audio tracks data
     log("FFProbeData present, extracting audio tracks data...");
-    const audioTracks = file.ffProbeData.streams.filter(stream => stream.codec_type === 'audio');
+    const audioTracks = rules.getAudioTracks(file);
     if (audioTracks.length === 0) {
         log('No audio tracks, nothing to do');
         return response;
@@ -176,56 +185,45 @@ const plugin = (file, libraryOptions, inputs) => {
     log(audioTracks.length + " audio tracks");
 
     // Check each audio track
+    const matchContext = rules.getMatchContext(file);
     const audioTracksCommands = [];
-    let audioTrackIndex = -1;
 
-    audioTracks.forEach((track) => {
-        audioTrackIndex += 1;
+    audioTracks.forEach((track, audioTrackIndex) => {
 
         // Test track against all selection criteria:
-        if (trackMatches(track, codecs, channels, bitrate, languages, dispositions, pattern, caseSensitive)) {
+        if (rules.trackMatches(track, matchRule, matchContext)) {
             log(`Track ${audioTrackIndex} matches the selector, renaming ...`);
 
-            const trackTitle = (track.tags && track.tags.title ? track.tags.title : '');
-            const patternRegExp = new RegExp(pattern, caseSensitive ? "g" : "gi");
+            // Set track language, seen by the title tags
+            let renamedTrack = track;
+            if (setLanguage) {
+                const result = rules.getLanguageToSet(track, file.file, setLanguage, matchContext.originalLanguage);
+                const trackLanguage = rules.getTrackLanguage(track);
+                if (!result) {
+                    log(` -> no language could be inferred, keeping '${trackLanguage}'`);
+                }
+                else if (result.language !== trackLanguage) {
+                    log(` -> setting language from '${trackLanguage}' to '${result.language}'${result.source ? ` (inferred from the ${result.source === 'title' ? 'track title' : 'file path'})` : ''}`);
+                    renamedTrack = { ...track, tags: { ...track.tags, language: result.language } };
+                    audioTracksCommands.push(`-metadata:s:a:${audioTrackIndex} "language=${result.language}"`); // Set track language
+                }
+            }
 
-            let newTrackTitle = renameTo;
+            const trackTitle = rules.getTrackTitle(track);
+            const newTrackTitle = rules.getNewTrackTitle(renamedTrack, matchRule.title, renameTo);
 
-            function updateTrackTitle(find, replaceWith) {
-                newTrackTitle = newTrackTitle.replaceAll(find, replaceWith);
+            // Without watermark, nothing stops the next runs from renaming the track again: skip titles that would change on every run
+            const renamedTwiceTitle = rules.getNewTrackTitle({ ...renamedTrack, tags: { ...renamedTrack.tags, title: newTrackTitle } }, matchRule.title, renameTo);
+            if (newTrackTitle === trackTitle) {
+                log(` -> title '${trackTitle}' already up to date`);
             }
-
-            // Capture groups:
-            for (const match of trackTitle.matchAll(patternRegExp)) {
-                match.slice(1).forEach((group, index) => {
-                    updateTrackTitle("{" + (index + 1) + "}", group);
-                });
+            else if (watermarkMode === 'disabled' && renamedTwiceTitle !== newTrackTitle) {
+                log(` -> not renaming from '${trackTitle}' to '${newTrackTitle}': the title would change again on every run without watermark (next: '${renamedTwiceTitle}')`);
             }
-
-            // Languages:
-            const trackLanguage = track.tags && track.tags.language ? track.tags.language : 'und';
-            updateTrackTitle("{lang}", trackLanguage.toLowerCase());
-            updateTrackTitle("{LANG}", trackLanguage.toUpperCase());
-
-            // Codec:
-            updateTrackTitle("{codec}", track.codec_name.toLowerCase());
-            updateTrackTitle("{CODEC}", track.codec_name.toUpperCase());
-
-            // Channels:
-            updateTrackTitle("{channels}", track.channels);
-            updateTrackTitle("{channels_fancy}", getFancyChannels(track.channels));
-            updateTrackTitle("{channel_layout}", track.channel_layout);
-
-            // Bitrate:
-            if (track.bit_rate) {
-                updateTrackTitle("{bitrate}", track.bit_rate);
-                updateTrackTitle("{bitrate_kbps}", parseInt(track.bit_rate) / 1000);
+            else {
+                log(` -> renaming from: '${trackTitle}' to '${newTrackTitle}'`);
+                audioTracksCommands.push(`-metadata:s:a:${audioTrackIndex} "title=${newTrackTitle}"`); // Set track title
             }
-
-            // Rename track
-            log(` -> renaming from: '${trackTitle}' to '${newTrackTitle}'`);
-            response.processFile = true;
-            audioTracksCommands.push(`-metadata:s:a:${audioTrackIndex} "title=${newTrackTitle}"`); // Set track title
         }
 
         // Track doesn't match
@@ -234,12 +232,13 @@ const plugin = (file, libraryOptions, inputs) => {
         }
     });
 
-    // If audio tracks were renamed, build the ffmpeg command
+    // If audio tracks were renamed or tagged, build the ffmpeg command
+    response.processFile = audioTracksCommands.length > 0;
     if (response.processFile) {
         response.preset = ',' +
             '-map 0 -c copy ' + // Copy all streams without re-encoding
-            audioTracksCommands.join(' ') + ' ' + // Add audio tracks renaming
-            '-metadata "copyright=' + copyrightData + pluginWatermark + '"'; // Add plugin watermark
+            audioTracksCommands.join(' ') + ' ' + // Add audio tracks renaming and languages
+            rules.getWatermarkCommand(file, pluginWatermark, watermarkMode); // Add plugin watermark
     } else {
         log("Nothing to do.");
     }
@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadFixture, listFixtures, runPlugin } = require('./helpers/tdarr');
+const { matchSnapshot } = require('./helpers/snapshot').createSnapshotStore(__filename);
+
+const pluginId = 'add_transcoded_audio_tracks';
+
+// Returns the parts of the plugin's response covered by the snapshots
+function snapshotOf(response) {
+    return { processFile: response.processFile, container: response.container, preset: response.preset, infoLog: response.infoLog };
+}
+
+describe(pluginId, () => {
+    describe('default inputs', () => {
+        for (const fixture of listFixtures()) {
+            it(fixture, () => matchSnapshot(`default inputs: ${fixture}`, snapshotOf(runPlugin(pluginId, loadFixture(fixture)))));
+        }
+    });
+
+    it('adds AAC stereo tracks, overwriting the originals', () => {
+        const inputs = { codecsToConvert: 'truehd,dts,flac', targetCodec: 'aac', maxChannels: '2', maxBitrate: '256000', overwriteTrack: 'true' };
+        for (const fixture of ['bluray_remux_truehd_atmos', 'anime_jpn_eng', 'missing_bitrate']) {
+            matchSnapshot(`aac stereo overwrite: ${fixture}`, snapshotOf(runPlugin(pluginId, loadFixture(fixture), inputs)));
+        }
+    });
+
+    it('downmixes with the selected matrix', () => {
+        const inputs = { codecsToConvert: 'truehd,eac3', targetCodec: 'aac', maxChannels: '2', maxBitrate: '256000', downmix: 'night' };
+        const response = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), inputs);
+        assert.match(response.preset, /-filter:a:1 "pan=stereo\|FL<0\.707\*FL\+FC\+0\.5\*SL\+0\.5\*BL\|FR<0\.707\*FR\+FC\+0\.5\*SR\+0\.5\*BR,aformat=channel_layouts=stereo,acompressor=/);
+        matchSnapshot('night downmix: bluray_remux_truehd_atmos', snapshotOf(response));
+    });
+
+    it('converts high resolution tracks with the selected sample rate, format and resampler', () => {
+        const inputs = { codecsToConvert: '*', sampleRatesToConvert: '>48000', bitDepthsToConvert: '24', targetCodec: 'flac', sampleRate: '48000', sampleFormat: 's16', resampler: 'soxr', dither: 'triangular' };
+        const response = runPlugin(pluginId, loadFixture('anime_jpn_eng'), inputs);
+        assert.match(response.preset, /-map 0:a:0 -c:a:1 flac -ac:a:1 2 -ar:a:1 48000 -sample_fmt:a:1 s16 .* -filter:a:1 "aresample=osr=48000:osf=s16:resampler=soxr:precision=28:dither_method=triangular" -map 0:a:1 -c:a:2 copy/);
+        assert.match(runPlugin(pluginId, loadFixture('anime_jpn_eng'), { ...inputs, bitDepthsToConvert: '24 bits' }).infoLog, /Invalid sampleRatesToConvert or bitDepthsToConvert: match\.bitDepth\[0\]: invalid int selector/);
+    });
+
+    it('sets bitrates per channel or VBR qualities', () => {
+        const perChannel = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), { codecsToConvert: 'truehd,ac3', targetCodec: 'eac3', bitrateMode: 'per_channel', bitratePerChannel: '96000' });
+        assert.match(perChannel.preset, /-c:a:1 eac3 -ac:a:1 6 -b:a:1 576000 .*-c:a:3 eac3 -ac:a:3 6 -b:a:3 576000 .*-c:a:5 eac3 -ac:a:5 2 -b:a:5 192000 /);
+        const quality = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), { codecsToConvert: 'truehd', targetCodec: 'libvorbis', bitrateMode: 'quality', quality: '12' });
+        assert.match(quality.infoLog, /Adjusting VBR quality to 10 from 12 to fit libvorbis quality range/);
+        assert.match(quality.preset, /-c:a:1 libvorbis -ac:a:1 8 -q:a:1 10 .*"title=TrueHD Atmos 7.1 -> LIBVORBIS 8ch VBR q10 \[Auto\]"/);
+    });
+
+    it('sets the channels and bitrate of custom encoders', () => {
+        const inputs = { codecsToConvert: 'truehd', targetCodec: 'custom', customTargetCodec: 'mp2', maxChannels: '2', maxBitrate: '192000' };
+        const response = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), inputs);
+        assert.match(response.preset, /-c:a:1 mp2 -ac:a:1 2 -b:a:1 192000 /);
+    });
+
+    it('applies the container policy when the container cannot hold the target codec', () => {
+        const inputs = { codecsToConvert: 'ac3', targetCodec: 'libvorbis' };
+        assert.match(runPlugin(pluginId, loadFixture('mp4_mov_text'), inputs).infoLog, /Skipping the file: MP4 can't hold the LIBVORBIS output track \(from input track 0\)/);
+
+        const fallback = runPlugin(pluginId, loadFixture('mp4_mov_text'), { ...inputs, incompatibleContainer: 'fallback', containerFallbackCodec: 'aac' });
+        assert.match(fallback.infoLog, /MP4 can't hold LIBVORBIS tracks, transcoding to AAC instead/);
+        assert.match(fallback.preset, /-c:a:1 aac /);
+
+        const switched = runPlugin(pluginId, loadFixture('mp4_mov_text'), { ...inputs, incompatibleContainer: 'switch_to_mkv' });
+        assert.strictEqual(switched.container, '.mkv');
+        matchSnapshot('switch to mkv: mp4_mov_text', snapshotOf(switched));
+    });
+
+    it('drops the streams listed in dropStreams', () => {
+        const response = runPlugin(pluginId, loadFixture('mp4_mov_text'), { codecsToConvert: 'ac3', targetCodec: 'aac', dropStreams: 'chapters, attachedPictures' });
+        assert.match(response.preset, /^,-map 0:V -c:v copy -map 0:a:0 /);
+        assert.match(response.preset, / -map_chapters -1 -metadata /);
+        assert.match(response.infoLog, /Dropping attached picture stream 4 \(MJPEG\) as stipulated by the streams policy/);
+
+        const invalid = runPlugin(pluginId, loadFixture('mp4_mov_text'), { dropStreams: 'fonts' });
+        assert.strictEqual(invalid.processFile, false);
+        assert.match(invalid.infoLog, /Invalid dropStreams: streams\.fonts: unknown streams type, expected one of: attachments, data, chapters, metadata, attachedPictures\./);
+    });
+
+    it('skips tracks when an equivalent target track already exists', () => {
+        const inputs = { codecsToConvert: 'flac,eac3', targetCodec: 'aac', maxChannels: '2', skipExistingTargetTracks: 'true' };
+        const response = runPlugin(pluginId, loadFixture('anime_jpn_eng'), inputs);
+        assert.match(response.infoLog, /already has a AAC 2ch track in language eng/);
+        matchSnapshot('skip existing target tracks: anime_jpn_eng', snapshotOf(response));
+    });
+
+    it('elects a single default track', () => {
+        const inputs = { electDefaultTrack: 'true', defaultTrackLanguages: 'eng', defaultTrackCodecs: 'ac3' };
+        matchSnapshot('elect default track: bluray_remux_truehd_atmos', snapshotOf(runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), inputs)));
+    });
+
+    it('aborts when the file carries the plugin watermark', () => {
+        const file = loadFixture('anime_jpn_eng');
+        const watermark = runPlugin(pluginId, file).preset.match(/copyright=(.*)"$/)[1];
+        file.ffProbeData.format.tags.COPYRIGHT = watermark;
+        const response = runPlugin(pluginId, file);
+        assert.strictEqual(response.processFile, false);
+        assert.match(response.infoLog, /Plugin watermark found/);
+    });
+
+    it('processes the file again when an input affecting the output changes', () => {
+        const file = loadFixture('anime_jpn_eng');
+        file.ffProbeData.format.tags.COPYRIGHT = runPlugin(pluginId, file).preset.match(/copyright=(.*)"$/)[1];
+        for (const inputs of [{ maxChannels: '6' }, { maxBitrate: '256000' }, { overwriteTrack: 'true' }, { electDefaultTrack: 'true' },
+            { sampleRatesToConvert: '>48000' }, { bitDepthsToConvert: '>16' }, { sampleRate: '44100' }, { sampleFormat: 's16' }, { resampler: 'soxr' }, { dither: 'triangular' },
+            { bitrateMode: 'per_channel' }, { bitrateMode: 'quality', quality: '2' }]) {
+            assert.doesNotMatch(runPlugin(pluginId, file, inputs).infoLog, /Plugin watermark found/, JSON.stringify(inputs));
+        }
+    });
+
+    it('replaces the previous watermarks of the plugin', () => {
+        const response = runPlugin(pluginId, loadFixture('broken_subtitles'));
+        assert.match(response.preset, /-metadata "copyright=ABC Studios \[Tdarr:add_transcoded_audio_tracks:[0-9a-f]{12}\]"$/);
+    });
+
+    it('writes the watermark to a dedicated tag', () => {
+        const response = runPlugin(pluginId, loadFixture('mp4_mov_text'), { codecsToConvert: 'aac', targetCodec: 'ac3', watermark: 'tag' });
+        assert.match(response.preset, /-metadata "TDARR_WATERMARK=\[Tdarr:add_transcoded_audio_tracks:[0-9a-f]{12}\]" -movflags use_metadata_tags$/);
+        assert.doesNotMatch(response.preset, /copyright=/);
+    });
+
+    it('aborts when ffprobe data is missing', () => {
+        const response = runPlugin(pluginId, { file: '/media/file.mkv', container: 'mkv' });
+        assert.strictEqual(response.processFile, false);
+        assert.match(response.infoLog, /FFProbe data missing/);
+    });
+});
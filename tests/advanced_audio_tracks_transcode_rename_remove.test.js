@@ -0,0 +1,294 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { loadFixture, listFixtures, runPlugin } = require('./helpers/tdarr');
+const { matchSnapshot } = require('./helpers/snapshot').createSnapshotStore(__filename);
+
+const pluginId = 'advanced_audio_tracks_transcode_rename_remove';
+
+// Rules of the plugin's tooltip example
+const exampleRules = [
+    { name: 'Remove comments', match: { codecs: '*', dispositions: { comment: '1' } }, operations: [] },
+    {
+        name: 'Lossless 7.1+ to AAC 7.1+ 768kbps, before original track',
+        match: { codecs: ['truehd', 'flac'], channels: '>6' },
+        operations: [
+            { transcode: { codec: 'aac', bitrate: 768000, title: '{title} {i_CODEC} -> {o_CODEC} {o_channels_fancy} {o_bitrate_kbps}kbps [Auto]', dispositions: { default: true, comment: false } } },
+            { copy: { dispositions: { default: false, comment: false } } },
+        ],
+    },
+    {
+        name: 'Transcode and replace E-AC3/TrueHD/FLAC 5.1 and less by an AC3 version',
+        match: { codecs: ['eac3', 'truehd', 'flac'], channels: '<=6', title: { pattern: '(.*)' } },
+        operations: [
+            { transcode: { codec: 'ac3', title: '{1} {i_CODEC} {i_channels_fancy}{#i_bitrate} {i_bitrate_kbps}kbps{/i_bitrate} -> {o_CODEC} {o_channels_fancy}{#o_bitrate} {o_bitrate_kbps}kbps{/o_bitrate} [Auto]' } },
+        ],
+    },
+    { name: 'Delete all other tracks', match: { codecs: '*' }, operations: [] },
+];
+
+// Rules using combinators, file-context conditions, sorting and default track election
+const advancedConfig = {
+    rules: [
+        {
+            name: 'Lossless but no commentary, add an AAC stereo track when missing',
+            match: {
+                any: [{ codecs: 'truehd' }, { codecs: ['dts', 'flac'] }],
+                not: [{ dispositions: { comment: 1 } }],
+                noOtherTrack: { codecs: 'aac', channels: '<=2', sameLanguage: true },
+            },
+            operations: [{ copy: {} }, { transcode: { codec: 'aac', channels: 2, bitrate: 192000, title: '{LANG} AAC Stereo' } }],
+        },
+        { name: 'Remove commentaries', match: { codecs: '*', dispositions: { comment: 1 }, audioTracksCount: '>1' }, operations: [] },
+    ],
+    sort: [{ by: 'languages', order: ['eng', 'jpn'] }, { by: 'channels', direction: 'desc' }],
+    defaultTrack: { languages: ['eng'] },
+};
+
+// Returns the parts of the plugin's response covered by the snapshots
+function snapshotOf(response) {
+    return { processFile: response.processFile, container: response.container, preset: response.preset, infoLog: response.infoLog };
+}
+
+describe(pluginId, () => {
+    describe('tooltip example rules', () => {
+        for (const fixture of listFixtures()) {
+            it(fixture, () => matchSnapshot(`example rules: ${fixture}`, snapshotOf(runPlugin(pluginId, loadFixture(fixture), { transcodeRules: JSON.stringify(exampleRules) }))));
+        }
+    });
+
+    describe('combinators, file context, sort and default track', () => {
+        for (const fixture of listFixtures()) {
+            it(fixture, () => matchSnapshot(`advanced config: ${fixture}`, snapshotOf(runPlugin(pluginId, loadFixture(fixture), { transcodeRules: JSON.stringify(advancedConfig) }))));
+        }
+    });
+
+    it('logs the plan and the explanation in dry run mode', () => {
+        const response = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), { transcodeRules: JSON.stringify(exampleRules), dryRun: 'true', explain: 'true' });
+        assert.strictEqual(response.processFile, false);
+        assert.strictEqual(response.preset, '');
+        assert.match(response.infoLog, /rule #0 "Remove comments": failed on dispositions/);
+        matchSnapshot('dry run explain: bluray_remux_truehd_atmos', { ...snapshotOf(response), audioTracksPlan: response.audioTracksPlan });
+    });
+
+    it('composes the downmix with the user filters', () => {
+        const downmixRules = [{ match: { codecs: 'truehd' }, operations: [{ copy: {} }, { transcode: { codec: 'aac', channels: 2, bitrate: 192000, downmix: 'dplii', filters: 'dynaudnorm' } }] }];
+        const response = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), { transcodeRules: JSON.stringify(downmixRules) });
+        assert.match(response.preset, /-filter:a:1 "pan=stereo\|FL<FL\+0\.707\*FC-0\.8718\*SL-0\.8718\*BL-0\.4899\*SR-0\.4899\*BR\|FR<[^"]*,aformat=channel_layouts=stereo,dynaudnorm"/);
+        matchSnapshot('dplii downmix: bluray_remux_truehd_atmos', snapshotOf(response));
+    });
+
+    it('ignores downmixes the source layout does not support', () => {
+        const downmixRules = [{ match: { codecs: 'ac3', channels: '2' }, operations: [{ transcode: { codec: 'aac', channels: 1, downmix: 'itu' } }] }];
+        const response = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), { transcodeRules: JSON.stringify(downmixRules) });
+        assert.match(response.infoLog, /"itu" downmix ignored \(Unsupported source channel layout "stereo"\)/);
+        assert.doesNotMatch(response.preset, /-filter:a/);
+    });
+
+    it('fits bitrates to the encoder and refuses codecs ffmpeg cannot encode', () => {
+        const file = loadFixture('bluray_remux_truehd_atmos');
+        file.ffProbeData.streams[3].codec_name = 'wmapro';
+        const encoderRules = [
+            { match: { codecs: 'truehd' }, operations: [{ transcode: { codec: 'ac3', bitrate: 700000 } }] },
+            { match: { codecs: 'wmapro' }, operations: [{ transcode: { codec: 'copy', channels: 2 } }] },
+        ];
+        const response = runPlugin(pluginId, file, { transcodeRules: JSON.stringify(encoderRules) });
+        assert.match(response.infoLog, / -> Transcoding to AC3 6ch 640000bps \(adjusted from 700000bps to fit AC3 supported bitrates\)/);
+        assert.match(response.infoLog, / -> Transcoding to WMAPRO refused \(ffmpeg has no encoder for WMAPRO\), copying the original track instead/);
+        assert.match(response.preset, /-map 0:a:2 -c:a:2 copy /);
+    });
+
+    it('snaps sample rates and formats to the encoder and resamples with the selected resampler', () => {
+        const resampleRules = [
+            { match: { codecs: '*', sampleRate: '>48000', bitDepth: '24' }, operations: [{ transcode: { codec: 'alac', sampleRate: 44100, sampleFormat: 's16', resampler: { engine: 'soxr', dither: 'shibata' }, title: '{o_sample_rate|khz}kHz' } }] },
+            { match: { codecs: 'eac3' }, operations: [{ transcode: { codec: 'opus', sampleRate: 44100 } }] },
+        ];
+        const response = runPlugin(pluginId, loadFixture('anime_jpn_eng'), { transcodeRules: JSON.stringify(resampleRules) });
+        assert.match(response.infoLog, / -> Transcoding to ALAC 44100Hz s16p \(adjusted from s16 to fit ALAC supported sample formats\) renamed to "44\.1kHz", filters "aresample=osr=44100:osf=s16p:resampler=soxr:dither_method=shibata"/);
+        assert.match(response.infoLog, / -> Transcoding to OPUS 5\.1 \(remapped from 5\.1\(side\), which OPUS doesn't support\) 48000Hz \(adjusted from 44100Hz to fit OPUS supported sample rates\)/);
+        assert.match(response.preset, /-c:a:0 alac -ar:a:0 44100 -sample_fmt:a:0 s16p .*-c:a:1 libopus -ar:a:1 48000 /);
+    });
+
+    it('sets bitrates per channel or VBR qualities', () => {
+        const bitrateRules = [
+            { match: { codecs: 'truehd' }, operations: [{ transcode: { codec: 'eac3', bitratePerChannel: 96000, title: '{o_CODEC} {o_bitrate_kbps}kbps' } }] },
+            { match: { codecs: 'ac3', channels: '6' }, operations: [{ transcode: { codec: 'aac', bitratePerChannel: 64000 } }] },
+            { match: { codecs: 'ac3' }, operations: [{ transcode: { codec: 'mp3', quality: 2, title: '{o_CODEC}{#o_bitrate} {o_bitrate_kbps}kbps{/o_bitrate}{#o_quality} VBR q{o_quality}{/o_quality}' } }] },
+        ];
+        const response = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), { transcodeRules: JSON.stringify(bitrateRules) });
+        assert.match(response.infoLog, / -> Transcoding to EAC3 6ch 576000bps \(96000bps per channel\) renamed to "EAC3 576kbps"/);
+        assert.match(response.infoLog, / -> Transcoding to AAC 5\.1 \(remapped from 5\.1\(side\), which AAC doesn't support\) 384000bps \(64000bps per channel\)/);
+        assert.match(response.infoLog, / -> Transcoding to MP3 VBR quality 2 renamed to "MP3 VBR q2"/);
+        assert.match(response.preset, /-c:a:2 libmp3lame -q:a:2 2 /);
+    });
+
+    it('sets channel layouts, remapping the ones the encoder does not accept', () => {
+        const file = loadFixture('bluray_remux_truehd_atmos');
+        file.ffProbeData.streams[1].channel_layout = '5.1.2';
+        const layoutRules = [
+            { match: { codecs: 'truehd', channelLayouts: '5.1.2' }, operations: [{ transcode: { codec: 'aac', bitrate: 768000, title: '{i_channel_layout} -> {o_channel_layout}' } }] },
+            { match: { codecs: 'ac3', channelLayouts: '5.1(side)' }, operations: [{ transcode: { codec: 'eac3', channelLayout: 'stereo', downmix: 'itu' } }] },
+        ];
+        const response = runPlugin(pluginId, file, { transcodeRules: JSON.stringify(layoutRules) });
+        assert.match(response.infoLog, / -> Transcoding to AAC 7\.1 \(remapped from 5\.1\.2, which AAC doesn't support\) 768000bps renamed to "5\.1\.2 -> 7\.1", filters "aformat=channel_layouts=7\.1"/);
+        assert.match(response.infoLog, / -> Transcoding to EAC3 2ch stereo, "itu" downmix, filters "pan=stereo\|[^"]*,aformat=channel_layouts=stereo"/);
+    });
+
+    it('keeps object-based audio while converting the other lossless tracks', () => {
+        const file = loadFixture('bluray_remux_truehd_atmos');
+        const profileRules = [{ match: { codecs: ['truehd', 'dts'], profiles: '!object-based' }, operations: [{ transcode: { codec: 'eac3', title: '{i_profile} -> {o_CODEC}' } }] }];
+        const response = runPlugin(pluginId, file, { transcodeRules: JSON.stringify(profileRules) });
+        assert.strictEqual(response.processFile, false);
+
+        delete file.ffProbeData.streams[1].profile;
+        file.ffProbeData.streams[1].tags.title = 'TrueHD 7.1';
+        const converted = runPlugin(pluginId, file, { transcodeRules: JSON.stringify(profileRules) });
+        assert.match(converted.preset, /-c:a:0 eac3 /);
+
+        const dts = runPlugin(pluginId, loadFixture('missing_bitrate'), { transcodeRules: JSON.stringify(profileRules) });
+        assert.match(dts.preset, /-c:a:0 eac3 .*-metadata:s:a:0 "title=DTS-HD MA -> EAC3"/);
+    });
+
+    it('extracts the DTS core of DTS-HD tracks, and refuses codecs without core', () => {
+        const coreRules = [{ match: { codecs: ['dts', 'opus'] }, operations: [{ copy: {} }, { extractCore: { title: '{o_CODEC} {o_channels_fancy} {o_bitrate_kbps}kbps', dispositions: { default: false } } }] }];
+        const response = runPlugin(pluginId, loadFixture('missing_bitrate'), { transcodeRules: JSON.stringify(coreRules) });
+        assert.match(response.infoLog, / -> Extracting core DTS 6ch 1509000bps with the "dca_core" bitstream filter, renaming it to "DTS 5\.1 1509kbps", dispositions -default/);
+        assert.match(response.infoLog, / -> Extracting core refused \(OPUS has no extractable core, only DTS and TRUEHD tracks have one\), copying the original track instead/);
+        assert.match(response.preset, /-map 0:a:0 -c:a:1 copy -bsf:a:1 dca_core -metadata:s:a:1 "title=DTS 5\.1 1509kbps" -disposition:a:1 -default /);
+    });
+
+    it('applies the rule container policy', () => {
+        const containerRules = [{ match: { codecs: 'ac3' }, operations: [{ transcode: { codec: 'truehd', title: '{o_CODEC}' } }], containerPolicy: { action: 'fallback', codec: 'flac' } }];
+        const response = runPlugin(pluginId, loadFixture('mp4_mov_text'), { transcodeRules: JSON.stringify(containerRules) });
+        assert.match(response.preset, /-c:a:0 flac -metadata:s:a:0 "title=FLAC"/);
+        assert.strictEqual(response.container, '.mp4');
+
+        containerRules[0].containerPolicy = { action: 'switch', container: 'mkv' };
+        const switched = runPlugin(pluginId, loadFixture('mp4_mov_text'), { transcodeRules: JSON.stringify(containerRules) });
+        assert.strictEqual(switched.container, '.mkv');
+        assert.match(switched.preset, /-map 0:s:0 -c:s:0 srt /);
+    });
+
+    it('applies subtitle rules', () => {
+        const subtitleConfig = {
+            rules: [],
+            subtitleRules: [
+                { name: 'Remove signs', match: { codecs: 'ass', dispositions: { forced: 1 } }, operations: [] },
+                { name: 'Add SRT version', match: { codecs: 'ass', title: { pattern: '^(\\w+)' } }, operations: [{ copy: {} }, { transcode: { codec: 'srt', title: '{1} ({o_CODEC})', dispositions: { default: false } } }] },
+            ],
+        };
+        const response = runPlugin(pluginId, loadFixture('anime_jpn_eng'), { transcodeRules: JSON.stringify(subtitleConfig) });
+        assert.match(response.preset, /-map 0:s:0 -c:s:0 copy -map 0:s:0 -c:s:1 srt -metadata:s:s:1 "title=Full \(SRT\)" -disposition:s:1 -default -map 0:t:0 /);
+        matchSnapshot('subtitle rules: anime_jpn_eng', snapshotOf(response));
+    });
+
+    it('refuses to convert bitmap subtitles', () => {
+        const subtitleConfig = { rules: [], subtitleRules: [{ match: { codecs: 'hdmv_pgs_subtitle' }, operations: [{ transcode: { codec: 'srt' } }] }] };
+        const response = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), { transcodeRules: JSON.stringify(subtitleConfig) });
+        assert.match(response.infoLog, / -> Converting to SRT refused \(HDMV_PGS_SUBTITLE subtitles are not text subtitles\), copying track/);
+        assert.strictEqual(response.processFile, false);
+        assert.match(response.infoLog, /The output would be equivalent to the input file/);
+    });
+
+    it('reads the rules from a JSON or YAML rules file', () => {
+        const fromInput = runPlugin(pluginId, loadFixture('anime_jpn_eng'), { transcodeRules: JSON.stringify(advancedConfig) });
+        for (const rulesFile of ['advanced_config.yaml', 'advanced_config.jsonc']) {
+            const transcodeRulesFile = path.join(__dirname, 'fixtures', 'rules', rulesFile);
+            const fromFile = runPlugin(pluginId, loadFixture('anime_jpn_eng'), { transcodeRulesFile });
+            assert.strictEqual(fromFile.preset, fromInput.preset);
+            assert.match(fromFile.infoLog, new RegExp(`Transcode rules read from ".*${rulesFile}"\n`));
+        }
+
+        const missing = runPlugin(pluginId, loadFixture('anime_jpn_eng'), { transcodeRulesFile: '/nonexistent/rules.yaml' });
+        assert.match(missing.infoLog, /Invalid transcodeRulesFile "\/nonexistent\/rules.yaml": Can't read the rules file: ENOENT/);
+    });
+
+    it('applies the built-in presets', () => {
+        for (const preset of ['remove_commentary', 'aac_stereo_per_language', 'lossless_to_eac3', 'original_and_english']) {
+            for (const fixture of ['bluray_remux_truehd_atmos', 'anime_jpn_eng']) {
+                matchSnapshot(`preset ${preset}: ${fixture}`, snapshotOf(runPlugin(pluginId, loadFixture(fixture), { preset })));
+            }
+        }
+    });
+
+    it('combines the custom rules with the preset rules', () => {
+        const customRules = JSON.stringify([{ name: 'Keep commentaries', match: { codecs: '*', dispositions: { comment: 1 } }, operations: [{ copy: {} }] }]);
+        const before = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), { preset: 'remove_commentary', transcodeRules: customRules });
+        assert.match(before.infoLog, /Using the "remove_commentary" preset, with 1 custom rule\(s\) before the preset rules/);
+        assert.match(before.infoLog, /matches rule "Keep commentaries"/);
+
+        const after = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), { preset: 'remove_commentary', transcodeRules: customRules, customRulesPosition: 'after' });
+        assert.match(after.infoLog, /matches rule "Remove commentaries"/);
+
+        const invalid = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), { preset: 'unknown' });
+        assert.match(invalid.infoLog, /Invalid preset: 'preset' must be one of: none, remove_commentary, aac_stereo_per_language, lossless_to_eac3, original_and_english\./);
+    });
+
+    it('skips files the rules already converged on', () => {
+        const convergedRules = [
+            { name: 'Keep AAC', match: { codecs: 'aac' }, operations: [{ copy: {} }] },
+            { name: 'Rename to the same title', match: { codecs: 'eac3', title: { pattern: '(.*)' } }, operations: [{ copy: { title: '{1}' } }] },
+        ];
+        const converged = runPlugin(pluginId, loadFixture('anime_jpn_eng'), { transcodeRules: JSON.stringify(convergedRules) });
+        assert.strictEqual(converged.processFile, false);
+        assert.match(converged.infoLog, /The output would be equivalent to the input file \(same streams, codecs, titles and dispositions\)\nNothing to convert\./);
+
+        const sorted = runPlugin(pluginId, loadFixture('anime_jpn_eng'),
+            { transcodeRules: JSON.stringify({ rules: convergedRules, sort: [{ by: 'languages', order: ['eng', 'jpn'] }] }) });
+        assert.strictEqual(sorted.processFile, true);
+
+        const dropped = runPlugin(pluginId, loadFixture('anime_jpn_eng'), { transcodeRules: JSON.stringify({ rules: convergedRules, streams: { attachments: 'drop' } }) });
+        assert.strictEqual(dropped.processFile, true);
+    });
+
+    it('keeps attachments and cover art unless the streams policy drops them', () => {
+        const streamsRules = [{ match: { codecs: 'eac3' }, operations: [] }];
+        const kept = runPlugin(pluginId, loadFixture('anime_jpn_eng'), { transcodeRules: JSON.stringify(streamsRules) });
+        assert.match(kept.preset, /-map 0:t:0 -c:t:0 copy -map 0:t:1 -c:t:1 copy /);
+
+        const dropped = runPlugin(pluginId, loadFixture('anime_jpn_eng'), { transcodeRules: JSON.stringify({ rules: streamsRules, streams: { attachments: 'drop', metadata: 'drop' } }) });
+        assert.doesNotMatch(dropped.preset, /0:t/);
+        assert.match(dropped.preset, / -map_metadata -1 /);
+        matchSnapshot('streams policy: anime_jpn_eng', snapshotOf(dropped));
+    });
+
+    it('keeps the original language and English tracks', () => {
+        const languageRules = [{ name: 'Other languages', match: { codecs: '*', languages: ['!original', '!en'] }, operations: [] }];
+        const response = runPlugin(pluginId, loadFixture('missing_bitrate'), { transcodeRules: JSON.stringify(languageRules), originalLanguage: 'de' });
+        assert.match(response.infoLog, /Original language: ger \(from the originalLanguage input\)/);
+        assert.strictEqual(response.processFile, false);
+
+        const response2 = runPlugin(pluginId, loadFixture('mp4_mov_text'), { transcodeRules: JSON.stringify(languageRules), originalLanguage: 'ja' });
+        assert.strictEqual(response2.processFile, true);
+        assert.match(response2.preset, /-map 0:a:0 -c:a:0 copy/);
+        assert.doesNotMatch(response2.preset, /0:a:1/);
+
+        const invalidResponse = runPlugin(pluginId, loadFixture('mp4_mov_text'), { transcodeRules: JSON.stringify(languageRules), originalLanguage: 'japanese-jp' });
+        assert.match(invalidResponse.infoLog, /Invalid originalLanguage "japanese-jp"/);
+    });
+
+    it('sets the language of untagged tracks before the other rules', () => {
+        const file = loadFixture('anime_jpn_eng');
+        file.ffProbeData.streams.filter(stream => stream.codec_type === 'audio').forEach(stream => delete stream.tags.language);
+        const languageRules = [
+            { name: 'Dubs', match: { codecs: '*', languages: 'eng' }, operations: [] },
+            { name: 'Untagged', match: { codecs: '*', languages: 'und' }, operations: [{ setLanguage: { infer: 'title' } }] },
+        ];
+        const response = runPlugin(pluginId, file, { transcodeRules: JSON.stringify(languageRules) });
+        assert.match(response.infoLog, /Track 2 matches language rule "Untagged", language set from "und" to "eng" \(inferred from the track title\)/);
+        assert.match(response.preset, /^,-map 0:v -c:v copy -map 0:a:0 -c:a:0 copy -metadata:s:a:0 'language=jpn' /);
+        assert.doesNotMatch(response.preset, /0:a:1|0:a:2/);
+    });
+
+    it('logs the rules warnings', () => {
+        const warnedRules = [{ name: 'All', match: { codecs: '*' }, operations: [{ copy: {} }] }, { match: { codecs: 'truehd' }, operations: [] }];
+        const response = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), { transcodeRules: JSON.stringify(warnedRules) });
+        assert.match(response.infoLog, /Warning in transcodeRules JSON: rules\[1\]: unreachable rule, the tracks it matches are all matched first by rules\[0\] \("All"\)\./);
+    });
+
+    it('rejects invalid rules', () => {
+        const response = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), { transcodeRules: '[{"match":{"codecs":"*","channels":6},"operations":[]}]' });
+        assert.strictEqual(response.processFile, false);
+        assert.match(response.infoLog, /Invalid transcodeRules JSON: rules\[0\]\.match\.channels: must be an int selector string/);
+    });
+});
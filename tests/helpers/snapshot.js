@@ -0,0 +1,42 @@
+/**
+ * Test helper: minimal snapshot testing
+ * Description: Compares values to the snapshots stored as JSON in "tests/__snapshots__", one file per test file.
+ * Missing snapshots are written, unless running in CI. Run the tests with UPDATE_SNAPSHOTS=1 to rewrite mismatching snapshots.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+
+const snapshotsPath = path.join(__dirname, '..', '__snapshots__');
+const updateSnapshots = process.env.UPDATE_SNAPSHOTS === '1';
+const isCI = !!process.env.CI;
+
+// Returns a snapshot store for the given test file
+function createSnapshotStore(testFile) {
+    const snapshotFile = path.join(snapshotsPath, `${path.basename(testFile, '.js')}.snap.json`);
+    const snapshots = fs.existsSync(snapshotFile) ? JSON.parse(fs.readFileSync(snapshotFile, 'utf8')) : {};
+
+    function save() {
+        const sortedSnapshots = Object.fromEntries(Object.keys(snapshots).sort().map(name => [name, snapshots[name]]));
+        fs.mkdirSync(snapshotsPath, { recursive: true });
+        fs.writeFileSync(snapshotFile, JSON.stringify(sortedSnapshots, null, 2) + '\n');
+    }
+
+    // Asserts the given value matches the snapshot of the given name
+    function matchSnapshot(name, value) {
+        const serializedValue = JSON.parse(JSON.stringify(value));
+        if (!(name in snapshots) || (updateSnapshots && !isDeepStrictEqual(snapshots[name], serializedValue))) {
+            if (isCI && !updateSnapshots) assert.fail(`Missing snapshot "${name}" in ${path.relative(process.cwd(), snapshotFile)}. Run the tests locally to write it.`);
+            snapshots[name] = serializedValue;
+            save();
+            return;
+        }
+        assert.deepStrictEqual(serializedValue, snapshots[name], `Snapshot "${name}" mismatch. Run the tests with UPDATE_SNAPSHOTS=1 if the change is expected.`);
+    }
+
+    return { matchSnapshot };
+}
+
+module.exports.createSnapshotStore = createSnapshotStore;
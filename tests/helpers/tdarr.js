@@ -0,0 +1,51 @@
+/**
+ * Test helper: Tdarr environment stub
+ * Description: Lets the plugins run outside of a Tdarr install, by resolving their `require('../methods/lib')()` to a stub
+ * providing `loadDefaultValues`, and runs them against the ffprobe fixtures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+const pluginsPath = path.join(__dirname, '..', '..', 'Plugins');
+const fixturesPath = path.join(__dirname, '..', 'fixtures');
+const libStubPath = path.join(__dirname, 'tdarr_lib_stub.js');
+
+// Resolve the Tdarr library required by the plugins to the stub
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, parent, ...args) {
+    if (request === '../methods/lib' && parent && parent.filename && path.dirname(parent.filename) === pluginsPath) return libStubPath;
+    return resolveFilename.call(this, request, parent, ...args);
+};
+
+// Returns the plugin module of the given id
+function loadPlugin(pluginId) {
+    return require(path.join(pluginsPath, `${pluginId}.js`));
+}
+
+// Returns a fresh copy of the given ffprobe fixture, as Tdarr's file object
+function loadFixture(fixtureName) {
+    return JSON.parse(fs.readFileSync(path.join(fixturesPath, `${fixtureName}.json`), 'utf8'));
+}
+
+// Returns the names of all the ffprobe fixtures
+function listFixtures() {
+    return fs.readdirSync(fixturesPath).filter(fileName => fileName.endsWith('.json')).map(fileName => fileName.slice(0, -'.json'.length)).sort();
+}
+
+// Runs the given plugin on a file with the given inputs, silencing the plugin's console output
+function runPlugin(pluginId, file, inputs = {}, libraryOptions = {}) {
+    const consoleLog = console.log;
+    console.log = () => {};
+    try {
+        return loadPlugin(pluginId).plugin(file, libraryOptions, inputs);
+    } finally {
+        console.log = consoleLog;
+    }
+}
+
+module.exports.loadPlugin = loadPlugin;
+module.exports.loadFixture = loadFixture;
+module.exports.listFixtures = listFixtures;
+module.exports.runPlugin = runPlugin;
@@ -0,0 +1,16 @@
+/**
+ * Test helper: stub of Tdarr's "methods/lib" module, only providing what the plugins use.
+ */
+
+// Fills the inputs the user didn't set with the default values of the plugin's details, as Tdarr does
+function loadDefaultValues(inputs, details) {
+    const loadedInputs = { ...(inputs || {}) };
+    details().Inputs.forEach(input => {
+        if (loadedInputs[input.name] === undefined) loadedInputs[input.name] = input.defaultValue;
+    });
+    return loadedInputs;
+}
+
+module.exports = () => ({
+    loadDefaultValues,
+});
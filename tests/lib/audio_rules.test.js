@@ -0,0 +1,620 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const rules = require('../../Plugins/lib/audio_rules');
+const { loadFixture } = require('../helpers/tdarr');
+
+// Returns the audio tracks and the matching context of the given fixture
+function loadAudioTracks(fixtureName) {
+    const context = rules.getMatchContext(loadFixture(fixtureName));
+    return { tracks: context.audioTracks, context };
+}
+
+describe('audio_rules', () => {
+    describe('matchesIntCondition', () => {
+        it('compares ints against selectors', () => {
+            assert.strictEqual(rules.matchesIntCondition(6, '<=6'), true);
+            assert.strictEqual(rules.matchesIntCondition(8, '<=6'), false);
+            assert.strictEqual(rules.matchesIntCondition(8, '>6'), true);
+            assert.strictEqual(rules.matchesIntCondition(2, '>=2'), true);
+            assert.strictEqual(rules.matchesIntCondition(2, '<2'), false);
+            assert.strictEqual(rules.matchesIntCondition(6, '6'), true);
+        });
+
+        it('parses ffprobe string values', () => {
+            assert.strictEqual(rules.matchesIntCondition('640000', '640000'), true);
+            assert.strictEqual(rules.matchesIntCondition('640000', '>128000'), true);
+        });
+
+        it('only matches missing values with "*"', () => {
+            assert.strictEqual(rules.matchesIntCondition(undefined, '*'), true);
+            assert.strictEqual(rules.matchesIntCondition(undefined, '<=640000'), false);
+        });
+    });
+
+    describe('matchesListSelectors', () => {
+        it('supports "*", values and negated values', () => {
+            assert.strictEqual(rules.matchesListSelectors('aac', '*'), true);
+            assert.strictEqual(rules.matchesListSelectors('aac', ['ac3', 'AAC']), true);
+            assert.strictEqual(rules.matchesListSelectors('aac', '!aac'), false);
+            assert.strictEqual(rules.matchesListSelectors('ac3', ['!aac', '!eac3']), true);
+            assert.strictEqual(rules.matchesListSelectors('dts', ['ac3', '!aac']), false);
+        });
+    });
+
+    describe('languages', () => {
+        it('normalizes ISO 639 codes and English names', () => {
+            assert.deepStrictEqual(['fr', 'FRA', 'fre', 'French'].map(rules.normalizeLanguage), ['fre', 'fre', 'fre', 'fre']);
+            assert.strictEqual(rules.normalizeLanguage('qaa'), 'qaa');
+            assert.strictEqual(rules.getLanguageName('deu'), 'German');
+            assert.strictEqual(rules.isSameLanguage('zh', 'chi'), true);
+        });
+
+        it('matches equivalent codes and the original language', () => {
+            assert.strictEqual(rules.matchesLanguageSelectors('fra', ['eng', 'fr']), true);
+            assert.strictEqual(rules.matchesLanguageSelectors('fre', '!fra'), false);
+            assert.strictEqual(rules.matchesLanguageSelectors('jpn', ['original', 'en'], 'ja'), true);
+            assert.strictEqual(rules.matchesLanguageSelectors('eng', '!original', 'jpn'), true);
+            assert.strictEqual(rules.matchesLanguageSelectors('und', 'original'), false);
+        });
+
+        it('infers the language of a track from its title or the file path', () => {
+            const infer = (title, filePath, sources) => rules.inferTrackLanguage({ tags: title ? { title } : {} }, filePath, sources, 'jpn');
+            assert.deepStrictEqual(infer('Castellano 5.1', '/media/film.mkv'), { language: 'spa', source: 'title' });
+            assert.deepStrictEqual(infer('VO', '/media/film.mkv'), { language: 'jpn', source: 'title' });
+            assert.deepStrictEqual(infer('DE 5.1', '/media/Amelie (2001) TRUEFRENCH/Amelie.mkv'), { language: 'fre', source: 'path' });
+            assert.deepStrictEqual(infer(null, '/media/Japanese Films/Ran.mkv', 'path'), { language: 'jpn', source: 'path' });
+            assert.strictEqual(infer('English Dub', '/media/film.mkv', 'path'), null);
+        });
+
+        it('finds the original language of a file', () => {
+            assert.strictEqual(rules.getOriginalLanguage(loadFixture('anime_jpn_eng')), 'jpn');
+            assert.strictEqual(rules.getOriginalLanguage(loadFixture('mp4_mov_text')), 'eng');
+            assert.strictEqual(rules.getOriginalLanguage(loadFixture('mp4_mov_text'), 'French'), 'fre');
+
+            const { tracks, context } = loadAudioTracks('anime_jpn_eng');
+            assert.deepStrictEqual(tracks.map(track => rules.trackMatches(track, { languages: 'original' }, context)), [true, false, false]);
+        });
+    });
+
+    describe('trackMatches', () => {
+        const { tracks, context } = loadAudioTracks('bluray_remux_truehd_atmos');
+        const [truehd, ac3, commentary] = tracks;
+
+        it('matches dispositions given as strings, numbers or booleans', () => {
+            assert.strictEqual(rules.trackMatches(commentary, { dispositions: { comment: '1' } }), true);
+            assert.strictEqual(rules.trackMatches(commentary, { dispositions: { comment: 1 } }), true);
+            assert.strictEqual(rules.trackMatches(commentary, { dispositions: { comment: true } }), true);
+            assert.strictEqual(rules.trackMatches(ac3, { dispositions: { comment: 1 } }), false);
+        });
+
+        it('tests titles case-insensitively by default', () => {
+            assert.strictEqual(rules.trackMatches(commentary, { title: { pattern: 'commentary' } }), true);
+            assert.strictEqual(rules.trackMatches(commentary, { title: { pattern: 'commentary', caseSensitive: true } }), false);
+            assert.strictEqual(rules.trackMatches(commentary, { title: { pattern: 'Commentary', caseSensitive: true } }), true);
+        });
+
+        it('combines any, all and not blocks', () => {
+            const match = { any: [{ codecs: 'truehd' }, { codecs: 'dts' }], not: [{ dispositions: { comment: 1 } }, { languages: 'jpn' }] };
+            assert.strictEqual(rules.trackMatches(truehd, match), true);
+            assert.strictEqual(rules.trackMatches(ac3, match), false);
+            assert.deepStrictEqual(rules.evaluateMatch(truehd, { all: [{ channels: '>6' }, { any: [{ codecs: 'dts' }, { codecs: 'truehd' }] }] }).branches, ['all[1].any[1]']);
+        });
+
+        it('evaluates file-context conditions against the other tracks', () => {
+            assert.strictEqual(rules.trackMatches(truehd, { audioTracksCount: '>2' }, context), true);
+            assert.strictEqual(rules.trackMatches(truehd, { noOtherTrack: { codecs: 'ac3', sameLanguage: true } }, context), false);
+            assert.strictEqual(rules.trackMatches(truehd, { noOtherTrack: { codecs: 'aac', sameLanguage: true } }, context), true);
+            assert.strictEqual(rules.trackMatches(truehd, { anyOtherTrack: { dispositions: { comment: 1 } } }, context), true);
+            assert.strictEqual(rules.trackMatches(truehd, { noOtherTrack: { sameLanguage: true } }, context), false);
+        });
+
+        it('compares the tracks for betterTrack conditions', () => {
+            const bestOfLanguage = { noOtherTrack: { sameLanguage: true, betterTrack: true } };
+            assert.strictEqual(rules.trackMatches(truehd, bestOfLanguage, context), true);
+            assert.strictEqual(rules.trackMatches(ac3, bestOfLanguage, context), false);
+            assert.strictEqual(rules.trackMatches(ac3, { anyOtherTrack: { betterTrack: false } }, context), true);
+
+            const twin = { ...ac3, index: ac3.index + 10 };
+            const twinContext = { ...context, audioTracks: [ac3, twin], tracks: [ac3, twin] };
+            assert.strictEqual(rules.trackMatches(ac3, bestOfLanguage, twinContext), true);
+            assert.strictEqual(rules.trackMatches(twin, bestOfLanguage, twinContext), false);
+        });
+
+        it('matches channel layouts', () => {
+            assert.strictEqual(rules.trackMatches(truehd, { channelLayouts: '7.1' }), true);
+            assert.strictEqual(rules.trackMatches(ac3, { channelLayouts: ['5.1', '5.1(side)'] }), true);
+            assert.strictEqual(rules.trackMatches(commentary, { channelLayouts: '!stereo' }), false);
+        });
+
+        it('matches codec profiles, their parts and aliases', () => {
+            assert.strictEqual(rules.trackMatches(truehd, { profiles: 'Dolby TrueHD + Dolby Atmos' }), true);
+            assert.strictEqual(rules.trackMatches(truehd, { profiles: ['dts:x', 'atmos'] }), true);
+            assert.strictEqual(rules.trackMatches(truehd, { profiles: '!object-based' }), false);
+            assert.strictEqual(rules.trackMatches(ac3, { profiles: '!object-based' }), true);
+            assert.strictEqual(rules.trackMatches(ac3, { profiles: '*' }), true);
+            assert.strictEqual(rules.trackMatches(ac3, { profiles: 'atmos' }), false);
+            assert.deepStrictEqual(rules.getTrackProfiles({ codec_type: 'audio', codec_name: 'dts', profile: 'DTS-HD MA + DTS:X IMAX' }),
+                ['dts-hd ma + dts:x imax', 'dts-hd ma', 'dts:x imax', 'dts:x', 'object-based']);
+            assert.deepStrictEqual(rules.getTrackProfiles({ codec_type: 'audio', codec_name: 'eac3', profile: 'Dolby Digital Plus + Dolby Atmos' }),
+                ['dolby digital plus + dolby atmos', 'dolby digital plus', 'dolby atmos', 'atmos', 'joc', 'object-based']);
+        });
+
+        it('hints the profile from the title when ffprobe reports none', () => {
+            const hinted = (codec_name, title) => rules.getTrackProfile({ codec_type: 'audio', codec_name, tags: { title } });
+            assert.strictEqual(hinted('truehd', 'TrueHD Atmos 7.1'), 'Dolby TrueHD + Dolby Atmos');
+            assert.strictEqual(hinted('eac3', 'E-AC3 JOC 5.1'), 'Dolby Digital Plus + Dolby Atmos');
+            assert.strictEqual(hinted('dts', 'DTS:X 7.1'), 'DTS-HD MA + DTS:X');
+            assert.strictEqual(hinted('dts', 'DTS-HD Master Audio 5.1'), 'DTS-HD MA');
+            assert.strictEqual(hinted('ac3', 'Atmos'), '');
+            assert.strictEqual(rules.getTrackProfile({ codec_type: 'audio', codec_name: 'dts', profile: 'DTS', tags: { title: 'DTS:X' } }), 'DTS');
+        });
+
+        it('matches sample rates and bit depths', () => {
+            assert.strictEqual(rules.trackMatches(truehd, { sampleRate: '48000', bitDepth: '>=24' }), true);
+            assert.strictEqual(rules.trackMatches(truehd, { sampleRate: '>48000' }), false);
+            assert.strictEqual(rules.trackMatches(ac3, { bitDepth: '*' }), true);
+            assert.strictEqual(rules.trackMatches(ac3, { bitDepth: '<=24' }), false);
+            assert.strictEqual(rules.getTrackBitDepth({ codec_name: 'pcm_s16le', bits_per_sample: 16 }), 16);
+        });
+
+        it('describes the condition that failed', () => {
+            const result = rules.evaluateMatch(ac3, { any: [{ codecs: 'truehd' }, { channels: '>6' }] });
+            assert.strictEqual(result.matches, false);
+            assert.strictEqual(result.failure, 'any: no block matched (any[0].codecs "truehd" (track: ac3); any[1].channels ">6" (track: 6))');
+        });
+    });
+
+    describe('getNewTrackTitle', () => {
+        const { tracks } = loadAudioTracks('bluray_remux_truehd_atmos');
+
+        it('replaces capture groups and input/output tags', () => {
+            const title = rules.getNewTrackTitle(tracks[2], { pattern: 'Commentary by (.*)' }, '{1}: {LANG} {i_CODEC} -> {o_CODEC} {o_channels_fancy} {o_bitrate_kbps}kbps', { codec: 'aac', channels: 2, bitrate: 128000 });
+            assert.strictEqual(title, 'Director Denis Villeneuve: ENG AC3 -> AAC Stereo 128kbps');
+        });
+
+        it('replaces characters that break the ffmpeg command', () => {
+            assert.strictEqual(rules.getNewTrackTitle(tracks[0], null, '"{title}", remux'), '″TrueHD Atmos 7.1″‚ remux');
+        });
+
+        it('removes tags without value, and keeps sections only when their tag has one', () => {
+            const template = '{LANG} {i_CODEC}{#i_bitrate} {i_bitrate_kbps}kbps{/i_bitrate}{^i_bitrate} (lossless){/i_bitrate} {i_channel_layout}{missing}';
+            assert.strictEqual(rules.getNewTrackTitle(tracks[0], null, template), 'ENG TRUEHD (lossless) 7.1{missing}');
+            assert.strictEqual(rules.getNewTrackTitle(tracks[1], null, template), 'ENG AC3 640kbps 5.1(side){missing}');
+            assert.strictEqual(rules.getNewTrackTitle(tracks[0], null, '{i_bitrate|kbps|default:?}kbps'), '?kbps');
+        });
+
+        it('applies filters and fills the new tags', () => {
+            const template = '{lang|lang_name} {i_profile} {i_sample_rate|khz}kHz {o_channels|fancy|upper} {title|lower|capitalize} [{dispositions}]{#flag_comment} (comment){/flag_comment}';
+            assert.strictEqual(rules.getNewTrackTitle(tracks[0], null, template, { channels: 2, dispositions: { default: false } }),
+                'English Dolby TrueHD + Dolby Atmos 48kHz STEREO Truehd Atmos 7.1 [original]');
+            assert.strictEqual(rules.getNewTrackTitle(tracks[2], null, '{rule}: {o_bitrate|kbps} {dispositions}{#flag_comment} (comment){/flag_comment}', { bitrate: 95999 }, { ruleName: 'Commentaries' }),
+                'Commentaries: 96 comment (comment)');
+        });
+
+        it('replaces named capture groups', () => {
+            assert.strictEqual(rules.getNewTrackTitle(tracks[2], { pattern: '(?<role>\\w+) (?<name>Denis \\w+)$' }, '{name} ({role|lower})'), 'Denis Villeneuve (director)');
+        });
+
+        it('rejects invalid templates', () => {
+            assert.throws(() => rules.parseTitleTemplate('{#title}{LANG}'), /the "\{#title\}" section is never closed with "\{\/title\}"/);
+            assert.throws(() => rules.parseTitleTemplate('{LANG}{/title}'), /"\{\/title\}" closes no "\{#title\}" or "\{\^title\}" section/);
+            assert.throws(() => rules.parseTitleTemplate('{title|uper}'), /unknown filter "uper"/);
+            assert.deepStrictEqual(rules.parseTitleTemplate('{Director\'s cut} {^title}-{/title}'), ["{Director's cut} ", { tag: 'title', inverted: true, nodes: ['-'] }]);
+        });
+    });
+
+    describe('encoder capabilities', () => {
+        it('resolves encoders by name or alias', () => {
+            assert.strictEqual(rules.getEncoderName('opus'), 'libopus');
+            assert.strictEqual(rules.getEncoderName('MP3'), 'libmp3lame');
+            assert.strictEqual(rules.getEncoderCodecName('libmp3lame'), 'mp3');
+            assert.strictEqual(rules.getEncoderCodecName('mp3'), 'mp3');
+            assert.strictEqual(rules.getEncoderName('pcm_s24le'), 'pcm_s24le');
+        });
+
+        it('limits channels to the counts the encoder supports', () => {
+            assert.strictEqual(rules.limitChannels('libmp3lame', 6), 2);
+            assert.strictEqual(rules.limitChannels('mp3', 6), 2);
+            assert.strictEqual(rules.limitChannels('eac3', 8), 6);
+            assert.strictEqual(rules.limitChannels('libfdk_aac', 7), 6);
+            assert.strictEqual(rules.limitChannels('aac', 8), 8);
+        });
+
+        it('remaps channel layouts the encoder does not accept', () => {
+            assert.strictEqual(rules.limitChannelLayout('ac3', '5.1(side)', 6), '5.1(side)');
+            assert.strictEqual(rules.limitChannelLayout('opus', '7.1(wide)', 8), '7.1');
+            assert.strictEqual(rules.limitChannelLayout('aac', '5.1.2', 8), '7.1');
+            assert.strictEqual(rules.limitChannelLayout('libfdk_aac', '6.1', 7), null);
+            assert.strictEqual(rules.getOutputChannelLayout('aac', { channels: 8, channel_layout: '5.1.2' }, 8), '7.1');
+            assert.strictEqual(rules.getOutputChannelLayout('aac', { channels: 8, channel_layout: 'unknown' }, 8), '7.1');
+            assert.strictEqual(rules.getOutputChannelLayout('aac', { channels: 8, channel_layout: '7.1' }, 8), null);
+            assert.strictEqual(rules.getOutputChannelLayout('aac', { channels: 8, channel_layout: '5.1.2' }, 2), null);
+            assert.strictEqual(rules.getOutputChannelLayout('ac3', { channels: 8, channel_layout: '7.1' }, 6, '5.1(side)'), '5.1(side)');
+        });
+
+        it('snaps bitrates to the encoder steps or clamps them to its range', () => {
+            assert.strictEqual(rules.limitBitrate('ac3', 450000, 6), 448000);
+            assert.strictEqual(rules.limitBitrate('ac3', 1000000, 6), 640000);
+            assert.strictEqual(rules.limitBitrate('libmp3lame', 350000, 2), 320000);
+            assert.strictEqual(rules.limitBitrate('opus', 1000, 2), 6000);
+            assert.strictEqual(rules.limitBitrate('aac', 640000, 2), 576000);
+            assert.strictEqual(rules.limitBitrate('aac', 640000, 6), 640000);
+            assert.strictEqual(rules.limitBitrate('flac', 640000, 2), null);
+        });
+
+        it('snaps sample rates and formats to the ones the encoder supports', () => {
+            assert.strictEqual(rules.limitSampleRate('ac3', 96000), 48000);
+            assert.strictEqual(rules.limitSampleRate('ac3', 88200), 44100);
+            assert.strictEqual(rules.limitSampleRate('opus', '44100'), 48000);
+            assert.strictEqual(rules.limitSampleRate('ac3', '48000'), '48000');
+            assert.strictEqual(rules.limitSampleRate('flac', 192000), 192000);
+            assert.strictEqual(rules.limitSampleFormat('alac', 's16'), 's16p');
+            assert.strictEqual(rules.limitSampleFormat('flac', 'fltp'), 's32');
+            assert.strictEqual(rules.limitSampleFormat('ac3', 's16'), 'fltp');
+            assert.strictEqual(rules.limitSampleFormat('flac', 's16'), 's16');
+        });
+
+        it('converts the sample rate and format with the given resampler', () => {
+            const filter = rules.getResampleFilter({ engine: 'soxr', precision: 28, dither: 'triangular' }, 48000, 's16');
+            assert.strictEqual(filter, 'aresample=osr=48000:osf=s16:resampler=soxr:precision=28:dither_method=triangular');
+            assert.strictEqual(rules.getResampleFilter({ engine: 'soxr' }, undefined, undefined), '');
+            assert.strictEqual(rules.getAudioTrackCommands({ inputIndex: 0, codec: 'flac', sampleRate: 48000, sampleFormat: 's16', filters: filter }, 0),
+                `-map 0:a:0 -c:a:0 flac -ar:a:0 48000 -sample_fmt:a:0 s16 -filter:a:0 "${filter}"`);
+        });
+
+        it('maps VBR qualities to the encoder native control', () => {
+            assert.strictEqual(rules.limitQuality('libmp3lame', 12), 9);
+            assert.strictEqual(rules.limitQuality('vorbis', 6), 6);
+            assert.strictEqual(rules.limitQuality('ac3', 2), null);
+            assert.strictEqual(rules.getAudioTrackCommands({ inputIndex: 0, codec: 'mp3', quality: 2 }, 0), '-map 0:a:0 -c:a:0 libmp3lame -q:a:0 2');
+            assert.strictEqual(rules.getAudioTrackCommands({ inputIndex: 0, codec: 'opus', bitrate: 128000, quality: 10 }, 1),
+                '-map 0:a:0 -c:a:1 libopus -b:a:1 128000 -vbr:a:1 on -compression_level:a:1 10');
+            assert.strictEqual(rules.getAudioTrackCommands({ inputIndex: 0, codec: 'flac', quality: 8 }, 0), '-map 0:a:0 -c:a:0 flac -compression_level:a:0 8');
+        });
+
+        it('refuses codecs ffmpeg cannot encode', () => {
+            assert.strictEqual(rules.getEncoderError('wmapro'), 'ffmpeg has no encoder for WMAPRO');
+            assert.strictEqual(rules.getEncoderError('ac3'), null);
+        });
+
+        it('uses the encoder name and enables experimental encoders in commands', () => {
+            assert.strictEqual(rules.getAudioTrackCommands({ inputIndex: 0, codec: 'opus', bitrate: 128000 }, 1), '-map 0:a:0 -c:a:1 libopus -b:a:1 128000');
+            assert.strictEqual(rules.getAudioTrackCommands({ inputIndex: 0, codec: 'dts' }, 0), '-map 0:a:0 -c:a:0 dca -strict:a:0 experimental');
+        });
+
+        it('extracts the lossless cores of DTS-HD and TrueHD tracks', () => {
+            const dtsX = { codec_type: 'audio', codec_name: 'dts', profile: 'DTS-HD MA + DTS:X', channels: 8, bit_rate: '4500000' };
+            const truehd = { codec_type: 'audio', codec_name: 'truehd', profile: 'Dolby TrueHD + Dolby Atmos', channels: 8, bit_rate: '4512345' };
+            assert.deepStrictEqual(rules.getTrackCore(dtsX), { bitstreamFilter: 'dca_core', codec: 'dts', channels: 6, bitrate: 1509000 });
+            assert.deepStrictEqual(rules.getTrackCore(truehd), { bitstreamFilter: 'truehd_core', codec: 'truehd', channels: 8, bitrate: null });
+            assert.deepStrictEqual(rules.getTrackCore({ codec_type: 'audio', codec_name: 'dts', profile: 'DTS', channels: 6, bit_rate: '768000' }),
+                { bitstreamFilter: 'dca_core', codec: 'dts', channels: 6, bitrate: 768000 });
+            assert.strictEqual(rules.getCoreExtractionError(dtsX), null);
+            assert.strictEqual(rules.getCoreExtractionError({ codec_type: 'audio', codec_name: 'dts', profile: 'DTS Express' }), 'DTS Express tracks have no DTS core');
+            assert.strictEqual(rules.getCoreExtractionError({ codec_type: 'audio', codec_name: 'eac3' }), 'EAC3 has no extractable core, only DTS and TRUEHD tracks have one');
+            assert.strictEqual(rules.getAudioTrackCommands({ inputIndex: 0, track: dtsX, codec: 'copy', bitstreamFilter: 'dca_core', channels: 6, bitrate: 1509000 }, 1),
+                '-map 0:a:0 -c:a:1 copy -bsf:a:1 dca_core');
+        });
+    });
+
+    describe('containers', () => {
+        it('knows which codecs each container can hold', () => {
+            assert.strictEqual(rules.isAudioCodecCompatible('libopus', 'webm'), true);
+            assert.strictEqual(rules.isAudioCodecCompatible('truehd', 'mp4'), false);
+            assert.strictEqual(rules.isAudioCodecCompatible('libopus', 'avi'), false);
+            assert.strictEqual(rules.isAudioCodecCompatible('truehd', 'mkv'), true);
+        });
+
+        it('switches the container only when every track fits the new one', () => {
+            const track = { channels: 2, codec_name: 'aac' };
+            const log = () => {};
+            assert.deepStrictEqual(rules.applyContainerPolicies([{ inputIndex: 0, track, codec: 'libvorbis', containerPolicy: { action: 'switch', container: 'webm' } }], 'mp4', log),
+                { container: 'webm', skip: null });
+            assert.deepStrictEqual(rules.applyContainerPolicies([{ inputIndex: 0, track, codec: 'copy' }, { inputIndex: 0, track, codec: 'libvorbis', containerPolicy: { action: 'switch', container: 'webm' } }], 'mp4', log),
+                { container: 'mp4', skip: "WEBM can't hold the AAC output track (from input track 0)" });
+        });
+    });
+
+    describe('streams preservation', () => {
+        const log = () => {};
+
+        it('drops the streams the container cannot hold', () => {
+            const file = loadFixture('anime_jpn_eng');
+            assert.strictEqual(rules.getPreservedStreamsCommands(file, rules.getStreamsPolicy({}), 'mkv', log), '-map 0:t:0 -c:t:0 copy -map 0:t:1 -c:t:1 copy ');
+            const logs = [];
+            assert.strictEqual(rules.getPreservedStreamsCommands(file, rules.getStreamsPolicy({}), 'mp4', line => logs.push(line)), '');
+            assert.deepStrictEqual(logs, [
+                'Dropping attachment stream 6 (TTF "OpenSans-Semibold.ttf") since MP4 can\'t hold them',
+                'Dropping attachment stream 7 (TTF "Roboto-Medium.ttf") since MP4 can\'t hold them',
+            ]);
+        });
+
+        it('only copies data streams with a codec', () => {
+            const file = { ffProbeData: { streams: [
+                { index: 0, codec_type: 'data', codec_tag_string: 'tmcd', tags: { handler_name: 'TimeCode' } },
+                { index: 1, codec_type: 'data', codec_name: 'bin_data' },
+            ] } };
+            assert.strictEqual(rules.getPreservedStreamsCommands(file, rules.getStreamsPolicy({}), 'mp4', log), '-map 0:d:1 -c:d:0 copy ');
+        });
+    });
+
+    describe('watermark', () => {
+        const file = { container: 'mp4', ffProbeData: { format: { tags: { copyright: 'NBC [Tdarr:rename_audio_tracks:MS4wOio6] [Tdarr:other:abc]' } } } };
+
+        it('hashes the plugin version and data into a short watermark', () => {
+            const watermark = rules.getPluginWatermark('rename_audio_tracks', '1.0', { codecs: ['aac'] });
+            assert.match(watermark, /^\[Tdarr:rename_audio_tracks:[0-9a-f]{12}\]$/);
+            assert.strictEqual(rules.getPluginWatermark('rename_audio_tracks', '1.0', { codecs: ['aac'] }), watermark);
+            assert.notStrictEqual(rules.getPluginWatermark('rename_audio_tracks', '1.1', { codecs: ['aac'] }), watermark);
+        });
+
+        it('replaces the previous watermarks of the plugin only', () => {
+            assert.strictEqual(rules.getWatermarkCommand(file, '[Tdarr:rename_audio_tracks:0123456789ab]'),
+                '-metadata "copyright=NBC [Tdarr:other:abc] [Tdarr:rename_audio_tracks:0123456789ab]"');
+            assert.strictEqual(rules.hasWatermark(file, '[Tdarr:other:abc]'), true);
+            assert.strictEqual(rules.hasWatermark(file, '[Tdarr:other:abc]', 'tag'), false);
+            assert.strictEqual(rules.hasWatermark(file, '[Tdarr:other:abc]', 'disabled'), false);
+        });
+
+        it('moves the watermark to the dedicated tag', () => {
+            assert.strictEqual(rules.getWatermarkCommand(file, '[Tdarr:rename_audio_tracks:0123456789ab]', 'tag'),
+                '-metadata "copyright=NBC [Tdarr:other:abc]" -metadata "TDARR_WATERMARK=[Tdarr:rename_audio_tracks:0123456789ab]" -movflags use_metadata_tags');
+            assert.strictEqual(rules.getWatermarkCommand(file, '[Tdarr:other:abc]', 'tag', 'mkv'),
+                '-metadata "copyright=NBC [Tdarr:rename_audio_tracks:MS4wOio6]" -metadata "TDARR_WATERMARK=[Tdarr:other:abc]"');
+            assert.strictEqual(rules.getWatermarkCommand(file, '[Tdarr:other:abc]', 'disabled'), '');
+        });
+    });
+
+    describe('downmix', () => {
+        it('generates the pan filter of the source layout', () => {
+            assert.strictEqual(rules.getDownmixFilters({ channels: 6, channel_layout: '5.1' }, 2, 'itu'),
+                'pan=stereo|FL<FL+0.707*FC+0.707*BL|FR<FR+0.707*FC+0.707*BR,aformat=channel_layouts=stereo');
+            assert.strictEqual(rules.getDownmixFilters({ channels: 6, channel_layout: '5.1(side)' }, 2, 'dialogue'),
+                'pan=stereo|FL<0.707*FL+FC+0.5*SL|FR<0.707*FR+FC+0.5*SR,aformat=channel_layouts=stereo');
+            assert.strictEqual(rules.getDownmixFilters({ channels: 8, channel_layout: '7.1' }, 6, 'itu'),
+                'pan=5.1|FL=FL|FR=FR|FC=FC|LFE=LFE|BL<SL+BL|BR<SR+BR,aformat=channel_layouts=5.1');
+        });
+
+        it('assumes the standard layout when ffprobe reports none', () => {
+            assert.strictEqual(rules.getDownmixSourceLayout({ channels: 8 }), '7.1');
+        });
+
+        it('explains the downmixes it cannot generate', () => {
+            assert.strictEqual(rules.getDownmixError({ channels: 6, channel_layout: '5.1' }, 1, 'dplii'), 'The "dplii" downmix matrix only supports stereo outputs');
+            assert.strictEqual(rules.getDownmixError({ channels: 4, channel_layout: 'quad' }, 2, 'itu'), 'Unsupported source channel layout "quad"');
+            assert.strictEqual(rules.getDownmixError({ channels: 2, channel_layout: 'stereo' }, 2, 'itu'), 'Downmix requires fewer output channels than the 2 source channels');
+        });
+
+        it('validates the matrix name', () => {
+            assert.strictEqual(rules.validateTranscodeConfig('[{"match":{"codecs":"*"},"operations":[{"transcode":{"codec":"aac","channels":2,"downmix":"loud"}}]}]'),
+                'rules[0].operations[0].transcode.downmix: must be one of: itu, dplii, dialogue, night.');
+        });
+    });
+
+    describe('output tracks', () => {
+        const { tracks } = loadAudioTracks('bluray_remux_truehd_atmos');
+        const outputTracks = () => tracks.map((track, inputIndex) => ({ inputIndex, track, codec: 'copy' }));
+
+        it('sorts output tracks by successive keys', () => {
+            const sorted = rules.sortOutputTracks(outputTracks(), [{ by: 'disposition', flag: 'comment', direction: 'desc' }, { by: 'channels' }]);
+            assert.deepStrictEqual(sorted.map(outputTrack => outputTrack.inputIndex), [2, 1, 0]);
+        });
+
+        it('sorts and elects by language, "original" standing for the original language', () => {
+            const output = outputTracks().map((outputTrack, index) => ({ ...outputTrack, language: ['en', 'fra', 'ja'][index] }));
+            assert.deepStrictEqual(rules.sortOutputTracks(output, [{ by: 'languages', order: ['original', 'fre'] }], 'jpn').map(outputTrack => outputTrack.inputIndex), [2, 1, 0]);
+            assert.strictEqual(rules.electDefaultTrack(output, { languages: ['original'], avoid: [] }, 'jpn').index, 2);
+        });
+
+        it('elects a single default track', () => {
+            const output = outputTracks();
+            const election = rules.electDefaultTrack(output, { codecs: ['ac3'] });
+            assert.strictEqual(election.index, 1);
+            assert.strictEqual(rules.applyDefaultTrack(output, election.index), 2);
+            assert.deepStrictEqual(output.map(outputTrack => !!rules.getOutputTrackProperties(outputTrack).dispositions.default), [false, true, false]);
+            assert.deepStrictEqual(output[1].dispositions, { default: true, original: true });
+        });
+    });
+
+    describe('desired state', () => {
+        const track = { index: 1, codec_name: 'eac3', channels: 6, bit_rate: '640000', tags: { language: 'eng', title: 'English' }, disposition: { default: 1, comment: 0 } };
+
+        it('considers output tracks reproducing their source as unchanged', () => {
+            assert.strictEqual(rules.isOutputTrackUnchanged({ inputIndex: 0, track, codec: 'copy', title: 'English', dispositions: { default: true } }), true);
+            assert.strictEqual(rules.isOutputTrackUnchanged({ inputIndex: 0, track, codec: 'eac3', channels: 6, bitrate: 640000 }), true);
+            assert.strictEqual(rules.isOutputTrackUnchanged({ inputIndex: 0, track, codec: 'copy', dispositions: { default: false } }), false);
+            assert.strictEqual(rules.isOutputTrackUnchanged({ inputIndex: 0, track, codec: 'eac3', bitrate: 448000 }), false);
+            assert.strictEqual(rules.isOutputTrackUnchanged({ inputIndex: 0, track, codec: 'copy', filters: 'volume=2' }), false);
+        });
+
+        it('requires the same tracks in the same order', () => {
+            const other = { ...track, index: 2, tags: { language: 'fre', title: 'French' } };
+            assert.strictEqual(rules.areOutputTracksUnchanged([{ inputIndex: 0, track, codec: 'copy' }, { inputIndex: 1, track: other, codec: 'copy' }], [track, other]), true);
+            assert.strictEqual(rules.areOutputTracksUnchanged([{ inputIndex: 1, track: other, codec: 'copy' }, { inputIndex: 0, track, codec: 'copy' }], [track, other]), false);
+            assert.strictEqual(rules.areOutputTracksUnchanged([{ inputIndex: 0, track, codec: 'copy' }], [track, other]), false);
+        });
+    });
+
+    describe('presets', () => {
+        it('only holds valid rules', () => {
+            for (const presetName of Object.keys(rules.rulesPresets)) {
+                const { errors, warnings } = rules.lintTranscodeConfig(rules.getPresetRules(presetName));
+                assert.deepStrictEqual([...errors, ...warnings], [], presetName);
+            }
+        });
+
+        it('adds the preset rules before or after the custom rules', () => {
+            const config = { rules: [{ name: 'custom', operations: [] }], sort: [] };
+            const presetRules = rules.getPresetRules('lossless_to_eac3');
+            assert.deepStrictEqual(rules.applyPreset(config, 'lossless_to_eac3', 'before').rules, [config.rules[0], ...presetRules]);
+            assert.deepStrictEqual(rules.applyPreset(config, 'lossless_to_eac3', 'after').rules, [...presetRules, config.rules[0]]);
+            assert.strictEqual(rules.applyPreset(config, 'none', 'before'), config);
+        });
+    });
+
+    describe('validateTranscodeConfig', () => {
+        it('accepts a bare array of rules', () => {
+            assert.deepStrictEqual(rules.validateTranscodeConfig('[{"match":{"codecs":"*"},"operations":[]}]'), { rules: [{ match: { codecs: '*' }, operations: [] }] });
+        });
+
+        it('reports errors in nested blocks', () => {
+            assert.strictEqual(rules.validateTranscodeConfig('{"rules":[{"match":{"any":[{"codecs":"dts"},{"channels":6}]},"operations":[]}]}'),
+                "rules[0].match.any[1].channels: must be an int selector string ('*', 'N', '<N', '<=N', '>N' or '>=N') or an array of int selectors.");
+        });
+
+        it('collects every error with its path', () => {
+            const { errors } = rules.lintTranscodeConfig({
+                rules: [
+                    { match: { codecs: 'dts', chanels: '>6' }, operations: [{ transcode: { codec: 'aac', bitrate: '192k' } }] },
+                    { match: { codecs: '*', channels: '=>6', title: { pattern: '(Commentary' } }, operations: [{ copy: {}, transcode: { codec: 'aac' } }] },
+                    { match: { codecs: '*' }, operations: [{ transcode: { codec: 'wmapro' } }] },
+                ],
+                sorting: [],
+            });
+            assert.deepStrictEqual(errors.map(rules.formatValidationIssue), [
+                "sorting: unknown property, expected one of: rules, subtitleRules, streams, sort, defaultTrack.",
+                "rules[0].match.chanels: unknown property, did you mean 'channels'?",
+                'rules[0].operations[0].transcode.bitrate: must be a positive number, in bps.',
+                "rules[1].match.channels: invalid int selector \"=>6\", expected '*', 'N', '<N', '<=N', '>N' or '>=N'.",
+                'rules[1].match.title.pattern: Invalid regular expression: /(Commentary/i: Unterminated group.',
+                "rules[1].operations[0]: must have either a 'copy', an 'extractCore', a 'transcode' or a 'setLanguage' property, not several.",
+                'rules[2].operations[0].transcode.codec: ffmpeg has no encoder for WMAPRO.',
+            ]);
+            assert.match(rules.validateTranscodeConfig('[{"match":{"codecs":1},"operations":{}}]'), /^2 issues:\n - rules\[0\]\.match\.codecs: must be a selector string.*\n - rules\[0\]\.operations: must be an array/);
+        });
+
+        it('warns about unknown languages', () => {
+            const { warnings } = rules.lintTranscodeConfig([{ match: { codecs: '*', languages: ['original', 'fr', 'French', 'qaa', 'en-US'] }, operations: [] }]);
+            assert.deepStrictEqual(warnings.map(rules.formatValidationIssue),
+                ["rules[0].match.languages[4]: unknown language 'en-US', expected an ISO 639 code (e.g., eng, fre, ja), an English language name or 'original'."]);
+        });
+
+        it('checks the language rules', () => {
+            const { errors } = rules.lintTranscodeConfig([
+                { match: { codecs: '*' }, operations: [{ setLanguage: { infer: 'audio', language: 'klingon' } }] },
+                { match: { codecs: '*' }, operations: [{ setLanguage: { language: 'fre' } }, { copy: {} }] },
+                { match: { codecs: '*' }, operations: [{ setLanguage: {} }] },
+            ]);
+            assert.deepStrictEqual(errors.map(rules.formatValidationIssue), [
+                "rules[0].operations[0].setLanguage.language: unknown language 'klingon', expected an ISO 639 code (e.g., eng, fre, ja), an English language name or 'original'.",
+                'rules[0].operations[0].setLanguage.infer: must be one of, or an array of: title, path.',
+                "rules[1].operations: a 'setLanguage' operation must be the only operation of its rule.",
+                "rules[2].operations[0].setLanguage: must have a 'language' or an 'infer' property.",
+            ]);
+        });
+
+        it('checks the title templates', () => {
+            const { errors, warnings } = rules.lintTranscodeConfig([
+                { match: { codecs: '*', title: { pattern: '(?<lang>.*) by (?<author>.*)' } }, operations: [
+                    { copy: { title: '{author} {i_bitrat_kbps} {o_codec|upper}' } },
+                    { transcode: { codec: 'aac', title: '{#title}{title}' } },
+                ] },
+            ]);
+            assert.deepStrictEqual(errors.map(rules.formatValidationIssue), ['rules[0].operations[1].transcode.title: the "{#title}" section is never closed with "{/title}".']);
+            assert.deepStrictEqual(warnings.map(rules.formatValidationIssue), [
+                'rules[0].match.title.pattern: the "lang" capture group can\'t be used in titles, "{lang}" is a tag.',
+                'rules[0].operations[0].copy.title: unknown tag "{i_bitrat_kbps}", did you mean "{i_bitrate_kbps}"?',
+            ]);
+        });
+
+        it('warns about unreachable rules, clamped transcodes and unknown values', () => {
+            const { errors, warnings } = rules.lintTranscodeConfig([
+                { name: 'AC3 stereo', match: { codecs: ['ac3', 'dtx'], channels: '<=2' }, operations: [{ transcode: { codec: 'ac3', channels: 8, bitrate: 700000 } }] },
+                { name: 'Catch-all', match: { codecs: '*', languages: ['*'] }, operations: [{ transcode: { codec: 'flac', bitrate: 192000, downmix: 'itu' } }] },
+                { name: 'Too late', match: { codecs: 'truehd', dispositions: { commentary: 1 } }, operations: [] },
+            ]);
+            assert.deepStrictEqual(errors, []);
+            assert.deepStrictEqual(warnings.map(rules.formatValidationIssue), [
+                "rules[0].match.codecs[1]: unknown audio codec 'dtx', expected a codec name reported by ffprobe (e.g., truehd, dts, eac3).",
+                "rules[0].operations[0].transcode.channels: AC3 doesn't support 8 channels, will be limited to 6 channels.",
+                'rules[0].operations[0].transcode.bitrate: will be adjusted to 640000 to fit AC3 supported bitrates for 6 channels.',
+                'rules[1].operations[0].transcode.bitrate: ignored, FLAC is lossless.',
+                "rules[1].operations[0].transcode.downmix: only applies when 'channels' or 'channelLayout' reduces the channels count, ignored without them.",
+                `rules[2].match.dispositions.commentary: unknown disposition flag, expected one of: ${['default', 'dub', 'original', 'comment', 'lyrics', 'karaoke', 'forced', 'hearing_impaired', 'visual_impaired', 'clean_effects', 'attached_pic', 'timed_thumbnails', 'non_diegetic', 'captions', 'descriptions', 'metadata', 'dependent', 'still_image', 'multilayer'].join(', ')}.`,
+                'rules[2]: unreachable rule, the tracks it matches are all matched first by rules[1] ("Catch-all").',
+            ]);
+        });
+
+        it('checks the sample rate, sample format and resampler', () => {
+            const { errors, warnings } = rules.lintTranscodeConfig([
+                { match: { codecs: 'flac', sampleRate: '>48000', bitDepth: '24 bits' }, operations: [{ transcode: { codec: 'ac3', sampleRate: 96000, sampleFormat: 's24', resampler: { engine: 'sox', precision: 28 } } }] },
+                { match: { codecs: 'truehd' }, operations: [{ transcode: { codec: 'alac', sampleFormat: 's16', resampler: { engine: 'soxr', precision: 40, dither: 'shibata' } } }] },
+            ]);
+            assert.deepStrictEqual(errors.map(rules.formatValidationIssue), [
+                `rules[0].match.bitDepth: invalid int selector "24 bits", expected '*', 'N', '<N', '<=N', '>N' or '>=N'.`,
+                'rules[0].operations[0].transcode.sampleFormat: must be an ffmpeg sample format: u8, s16, s32, s64, flt, dbl, or their planar variant (e.g., "s16p").',
+                'rules[0].operations[0].transcode.resampler.engine: must be one of: swr, soxr.',
+                'rules[1].operations[0].transcode.resampler.precision: must be an integer between 15 and 33, in bits.',
+            ]);
+            assert.deepStrictEqual(warnings.map(rules.formatValidationIssue), [
+                'rules[0].operations[0].transcode.sampleRate: will be adjusted to 48000 to fit AC3 supported sample rates.',
+                "rules[0].operations[0].transcode.resampler.precision: only applies to the 'soxr' engine, ignored here.",
+                'rules[1].operations[0].transcode.sampleFormat: will be adjusted to s16p to fit ALAC supported sample formats.',
+            ]);
+        });
+
+        it('checks the channel layouts', () => {
+            const { errors, warnings } = rules.lintTranscodeConfig([
+                { match: { codecs: 'truehd', channelLayouts: ['7.1', '7.1(side)'] }, operations: [{ transcode: { codec: 'ac3', channelLayout: '7.1' } }, { transcode: { codec: 'aac', channels: 6, channelLayout: 'stereo' } }] },
+                { match: { codecs: 'dts' }, operations: [{ transcode: { codec: 'opus', channelLayout: '5.1(back)' } }] },
+            ]);
+            assert.deepStrictEqual(errors.map(rules.formatValidationIssue), [
+                "rules[0].operations[1].transcode: 'channels' (6) doesn't match the 2 channels of the 'stereo' layout.",
+                `rules[1].operations[0].transcode.channelLayout: unknown channel layout "5.1(back)", expected one of: ${Object.keys(rules.layoutChannels).join(', ')}.`,
+            ]);
+            assert.deepStrictEqual(warnings.map(rules.formatValidationIssue), [
+                "rules[0].match.channelLayouts[1]: unknown channel layout '7.1(side)', expected a layout reported by ffprobe (e.g., stereo, 5.1, 5.1(side), 7.1).",
+                "rules[0].operations[0].transcode.channelLayout: AC3 doesn't support the '7.1' layout, will be remapped to '5.1'.",
+            ]);
+        });
+
+        it('checks the other tracks conditions', () => {
+            const { errors, warnings } = rules.lintTranscodeConfig([
+                { match: { codecs: '*', betterTrack: true, noOtherTrack: { sameLanguage: true, betterTrack: 'yes' } }, operations: [{ copy: {} }] },
+            ]);
+            assert.deepStrictEqual(errors.map(rules.formatValidationIssue), ['rules[0].match.noOtherTrack.betterTrack: must be a boolean.']);
+            assert.deepStrictEqual(warnings.map(rules.formatValidationIssue), ["rules[0].match.betterTrack: only applies inside 'noOtherTrack' and 'anyOtherTrack' blocks, ignored here."]);
+        });
+
+        it('checks the profile selectors', () => {
+            const { errors, warnings } = rules.lintTranscodeConfig([
+                { match: { codecs: 'dts', profiles: ['DTS-HD MA', '!dts:x', 'dts-hd mab'] }, operations: [{ transcode: { codec: 'eac3' } }] },
+                { match: { codecs: '*', profiles: 5 }, operations: [{ transcode: { codec: 'eac3' } }] },
+            ]);
+            assert.deepStrictEqual(errors.map(rules.formatValidationIssue), [
+                "rules[1].match.profiles: must be a selector string ('*', 'value' or '!value') or an array of selectors.",
+            ]);
+            assert.deepStrictEqual(warnings.map(rules.formatValidationIssue), [
+                "rules[0].match.profiles[2]: unknown profile 'dts-hd mab', expected a profile reported by ffprobe (e.g., DTS-HD HRA, DTS-HD MA, DTS-HD MA + DTS:X) or one of: atmos, dts:x, joc, object-based.",
+            ]);
+        });
+
+        it('checks the per-channel bitrate and the VBR quality', () => {
+            const { errors, warnings } = rules.lintTranscodeConfig([
+                { match: { codecs: 'truehd' }, operations: [{ transcode: { codec: 'mp3', bitratePerChannel: 96000, quality: 12 } }, { transcode: { codec: 'ac3', quality: 2 } }] },
+                { match: { codecs: 'dts' }, operations: [{ transcode: { codec: 'opus', bitrate: 256000, bitratePerChannel: 64000, quality: 'high' } }] },
+            ]);
+            assert.deepStrictEqual(errors.map(rules.formatValidationIssue), [
+                "rules[1].operations[0].transcode: can't have both a 'bitrate' and a 'bitratePerChannel' property.",
+                "rules[1].operations[0].transcode.quality: must be a number, on the encoder's VBR quality scale.",
+            ]);
+            assert.deepStrictEqual(warnings.map(rules.formatValidationIssue), [
+                'rules[0].operations[0].transcode.quality: will be adjusted to 9 to fit MP3 quality range (0 to 9).',
+                "rules[0].operations[0].transcode.bitratePerChannel: ignored, the 'quality' VBR mode replaces the bitrate in MP3.",
+                'rules[0].operations[1].transcode.quality: ignored, AC3 has no VBR mode.',
+            ]);
+        });
+
+        it('validates the subtitle rules', () => {
+            assert.strictEqual(rules.validateTranscodeConfig('{"rules":[],"subtitleRules":[{"match":{"codecs":"ass"},"operations":[{"transcode":{"codec":"dvdsub"}}]}]}'),
+                'subtitleRules[0].operations[0].transcode.codec: must be one of: srt, subrip, ass, ssa, mov_text, webvtt.');
+            assert.strictEqual(rules.validateTranscodeConfig('{"rules":[],"subtitleRules":[{"match":{"codecs":"ass"},"operations":[{"copy":{"channels":2}}]}]}'),
+                'subtitleRules[0].operations[0].copy.channels: unknown property, expected one of: title, dispositions.');
+        });
+
+        it('validates the sort and default track sections', () => {
+            assert.strictEqual(rules.validateTranscodeConfig('{"rules":[],"sort":[{"by":"size"}]}'), 'sort[0].by: must be one of: languages, codecs, channels, bitrate, disposition.');
+            assert.strictEqual(rules.validateTranscodeConfig('{"rules":[],"defaultTrack":{"channels":"most"}}'), "defaultTrack.channels: must be 'asc' or 'desc'.");
+        });
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const rulesFiles = require('../../Plugins/lib/rules_file');
+
+const rulesFixturesPath = path.join(__dirname, '..', 'fixtures', 'rules');
+
+// Configuration held by the rules files fixtures
+const advancedConfig = {
+    rules: [
+        {
+            name: 'Lossless but no commentary, add an AAC stereo track when missing',
+            match: {
+                any: [{ codecs: 'truehd' }, { codecs: ['dts', 'flac'] }],
+                not: [{ dispositions: { comment: 1 } }],
+                noOtherTrack: { codecs: 'aac', channels: '<=2', sameLanguage: true },
+            },
+            operations: [{ copy: {} }, { transcode: { codec: 'aac', channels: 2, bitrate: 192000, title: '{LANG} AAC Stereo' } }],
+        },
+        { name: 'Remove commentaries', match: { codecs: '*', dispositions: { comment: 1 }, audioTracksCount: '>1' }, operations: [] },
+    ],
+    sort: [{ by: 'languages', order: ['eng', 'jpn'] }, { by: 'channels', direction: 'desc' }],
+    defaultTrack: { languages: ['eng'] },
+};
+
+describe('rules_file', () => {
+    it('reads JSON rules files with comments', () => {
+        assert.deepStrictEqual(rulesFiles.readRulesFile(path.join(rulesFixturesPath, 'advanced_config.jsonc')), advancedConfig);
+        assert.strictEqual(rulesFiles.stripJsonComments('{"url": "http://host/*x*/"} // end'), '{"url": "http://host/*x*/"} ');
+    });
+
+    it('reads YAML rules files', () => {
+        assert.deepStrictEqual(rulesFiles.readRulesFile(path.join(rulesFixturesPath, 'advanced_config.yaml')), advancedConfig);
+    });
+
+    it('parses YAML scalars', () => {
+        assert.deepStrictEqual(rulesFiles.parseYaml([
+            'plain: Director\'s Cut # comment',
+            'quoted: "a # b: \\"c\\""',
+            'single: \'it\'\'s\'',
+            'numbers: [1, -2, 0.5]',
+            'flags: {a: true, b: false, c: null, d: ~}',
+            'empty:',
+        ].join('\n')), { plain: 'Director\'s Cut', quoted: 'a # b: "c"', single: 'it\'s', numbers: [1, -2, 0.5], flags: { a: true, b: false, c: null, d: null }, empty: null });
+    });
+
+    it('reports errors with their line', () => {
+        assert.strictEqual(rulesFiles.parseRulesFile('- match: {codecs: !aac}\n', 'rules.yaml'), 'Invalid YAML: line 1: values starting with "!" must be quoted (e.g., "!aac")');
+        assert.strictEqual(rulesFiles.parseRulesFile('rules:\n  - a\n    b: 1\n', 'rules.yml'), 'Invalid YAML: line 3: unexpected indentation');
+        assert.strictEqual(rulesFiles.parseRulesFile('rules: [a, b\n', 'rules.yml'), 'Invalid YAML: line 1: unterminated flow collection "[a, b"');
+        assert.match(rulesFiles.parseRulesFile('[{"name": }]', 'rules.json'), /^Invalid JSON: /);
+        assert.strictEqual(rulesFiles.parseRulesFile('just text', 'rules'), "Expected an array of rules, or an object with a 'rules' property.");
+        assert.match(rulesFiles.readRulesFile(path.join(rulesFixturesPath, 'missing.yaml')), /^Can't read the rules file: ENOENT/);
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { loadFixture, listFixtures, runPlugin } = require('./helpers/tdarr');
+const { matchSnapshot } = require('./helpers/snapshot').createSnapshotStore(__filename);
+
+const pluginId = 'rename_audio_tracks';
+
+// Returns the parts of the plugin's response covered by the snapshots
+function snapshotOf(response) {
+    return { processFile: response.processFile, container: response.container, preset: response.preset, infoLog: response.infoLog };
+}
+
+describe(pluginId, () => {
+    describe('default inputs', () => {
+        for (const fixture of listFixtures()) {
+            it(fixture, () => matchSnapshot(`default inputs: ${fixture}`, snapshotOf(runPlugin(pluginId, loadFixture(fixture)))));
+        }
+    });
+
+    it('renames commentary tracks using capture groups', () => {
+        const inputs = { dispositions: 'comment:1', pattern: 'Commentary by (.*)', renameTo: 'Commentary ({1}) - {LANG} {CODEC} {channels_fancy}' };
+        const response = runPlugin(pluginId, loadFixture('bluray_remux_truehd_atmos'), inputs);
+        assert.match(response.preset, /-metadata:s:a:2 "title=Commentary \(Director Denis Villeneuve\) - ENG AC3 Stereo"/);
+        matchSnapshot('commentary capture groups: bluray_remux_truehd_atmos', snapshotOf(response));
+    });
+
+    it('takes the capture groups from the first match of the pattern', () => {
+        const file = loadFixture('bluray_remux_truehd_atmos');
+        file.ffProbeData.streams[1].tags.title = 'AB-CD-EF';
+        const response = runPlugin(pluginId, file, { codecs: 'truehd', caseSensitive: 'true', pattern: '([A-Z])([A-Z])|(-)', renameTo: '[{1}{2}][{3}]' });
+        assert.match(response.preset, /-metadata:s:a:0 "title=\[AB\]\[\]"/);
+    });
+
+    it('selects tracks by codecs, channels and languages', () => {
+        const inputs = { codecs: '!aac', channels: '<=6', languages: 'eng;jpn', caseSensitive: 'false', pattern: '(.*)', renameTo: '{LANG} {CODEC} {channels}ch' };
+        for (const fixture of ['anime_jpn_eng', 'mp4_mov_text']) {
+            matchSnapshot(`codecs channels languages: ${fixture}`, snapshotOf(runPlugin(pluginId, loadFixture(fixture), inputs)));
+        }
+    });
+
+    it('sets or infers the language of untagged tracks', () => {
+        const file = loadFixture('mp4_mov_text');
+        file.ffProbeData.streams.filter(stream => stream.codec_type === 'audio').forEach(stream => delete stream.tags.language);
+        const inputs = { languages: 'und', renameTo: '{lang_name}{#title} ({title}){/title}', setLanguage: 'infer:eng' };
+        const response = runPlugin(pluginId, file, inputs);
+        assert.match(response.preset, /-metadata:s:a:0 "language=eng" -metadata:s:a:0 "title=English"/);
+        assert.match(response.preset, /-metadata:s:a:1 "language=fre" -metadata:s:a:1 "title=French \(Français‚ stéréo\)"/);
+        assert.match(response.infoLog, /setting language from 'und' to 'fre' \(inferred from the track title\)/);
+    });
+
+    it('aborts when the file carries the plugin watermark', () => {
+        const file = loadFixture('anime_jpn_eng');
+        file.ffProbeData.format.tags.COPYRIGHT = runPlugin(pluginId, file).preset.match(/copyright=(.*)"$/)[1];
+        const response = runPlugin(pluginId, file);
+        assert.strictEqual(response.processFile, false);
+        assert.match(response.infoLog, /Plugin watermark found/);
+    });
+
+    it('replaces the previous watermarks of the plugin', () => {
+        const file = loadFixture('anime_jpn_eng');
+        file.ffProbeData.format.tags.COPYRIGHT = 'Sunrise Inc. [Tdarr:rename_audio_tracks:0123456789ab]';
+        const response = runPlugin(pluginId, file, { renameTo: '{LANG} {CODEC}' });
+        assert.match(response.preset, /-metadata "copyright=Sunrise Inc\. \[Tdarr:rename_audio_tracks:[0-9a-f]{12}\]"$/);
+        assert.doesNotMatch(response.preset, /0123456789ab/);
+    });
+
+    it('only renames the tracks whose title changes when the watermark is disabled', () => {
+        const unchanged = runPlugin(pluginId, loadFixture('anime_jpn_eng'), { pattern: '^(.*)$', renameTo: '{1}', watermark: 'disabled' });
+        assert.strictEqual(unchanged.processFile, false);
+        assert.match(unchanged.infoLog, /already up to date/);
+
+        const renamed = runPlugin(pluginId, loadFixture('anime_jpn_eng'), { renameTo: '{LANG} {CODEC}', watermark: 'disabled' });
+        assert.strictEqual(renamed.processFile, true);
+        assert.match(renamed.preset, /-metadata:s:a:0 "title=JPN FLAC" /);
+        assert.doesNotMatch(renamed.preset, /copyright=|TDARR_WATERMARK=/);
+
+        const growing = runPlugin(pluginId, loadFixture('anime_jpn_eng'), { watermark: 'disabled' });
+        assert.strictEqual(growing.processFile, false);
+        assert.match(growing.infoLog, /the title would change again on every run without watermark/);
+    });
+
+    it('does nothing when no track matches', () => {
+        const response = runPlugin(pluginId, loadFixture('missing_bitrate'), { codecs: 'truehd' });
+        assert.strictEqual(response.processFile, false);
+        assert.match(response.infoLog, /Nothing to do/);
+    });
+});